@@ -11,9 +11,21 @@ dotenv.config();
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Proxies in front of the app whose X-Forwarded-For is believed for req.ip: a hop count, or
+// addresses/subnets such as "loopback". Off unless set, so clients can't choose their own address.
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy && trustProxy !== 'false') {
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === 'true' || trustProxy);
+}
+
 // Middleware
 app.use(cors());
-app.use(express.json());
+// Keep the raw body so payment webhooks can verify provider signatures
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Serve static files for uploads
@@ -250,7 +262,7 @@ if (fs.existsSync(authRoutePath)) {
 }
 
 // Load other routes
-const routeFiles = ['properties', 'tenants', 'leases', 'payments', 'dashboard', 'maintenance'];
+const routeFiles = ['properties', 'tenants', 'leases', 'payments', 'dashboard', 'maintenance', 'reconciliation', 'owners', 'expenses', 'reports', 'currencies', 'renewals', 'templates', 'signatures'];
 routeFiles.forEach(routeFile => {
   const routePath = path.join(routesPath, `${routeFile}.js`);
   if (fs.existsSync(routePath)) {
@@ -281,4 +293,10 @@ app.use('*', (req, res) => {
 
 app.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
+
+  // Background jobs (late fees, etc.) can be switched off for extra instances
+  if (process.env.DISABLE_JOBS !== 'true') {
+    require('./jobs').startJobs();
+    console.log('✓ Background jobs scheduled');
+  }
 });
@@ -0,0 +1,30 @@
+const { scheduleDaily } = require('./scheduler');
+const { assessLateFees } = require('../services/lateFees');
+const { generateRecurringCharges } = require('../services/recurringCharges');
+const { generateOwnerStatements } = require('../services/ownerStatements');
+const { generateRecurringExpenses } = require('../services/expenses');
+const { generateRentNotices } = require('../services/rentSchedule');
+const { expireRenewalOffers } = require('../services/renewals');
+const { syncLeaseStatuses } = require('../services/leaseExpiry');
+
+// Register the recurring background jobs
+const startJobs = () => {
+  // One job, so ended leases are expired before the night's charges are generated. Charges still
+  // go out if the expiry run fails.
+  scheduleDaily('lease-expiry-and-charges', async () => {
+    const expiry = await syncLeaseStatuses().catch(error => {
+      console.error('❌ Lease expiry failed:', error);
+      return null;
+    });
+    const charges = await generateRecurringCharges();
+    return { expiry, charges };
+  }, { hour: 0 });
+  scheduleDaily('recurring-expenses', () => generateRecurringExpenses(), { hour: 0 });
+  scheduleDaily('late-fees', () => assessLateFees(), { hour: 1 });
+  scheduleDaily('rent-notices', () => generateRentNotices(), { hour: 1 });
+  scheduleDaily('renewal-offers', () => expireRenewalOffers(), { hour: 0 });
+  // Last month's owner statements, drafted on the 1st
+  scheduleDaily('owner-statements', () => (new Date().getDate() === 1 ? generateOwnerStatements() : null), { hour: 2 });
+};
+
+module.exports = { startJobs };
@@ -0,0 +1,62 @@
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+const jobs = new Map();
+
+// Run a registered job now, logging instead of throwing so one failure never stops the timer
+const runJob = async (name) => {
+  const job = jobs.get(name);
+  if (!job) {
+    throw new Error(`Unknown job: ${name}`);
+  }
+
+  try {
+    const result = await job.task();
+    job.lastRun = new Date();
+    console.log(`✓ Job ${name} completed`);
+    return result;
+  } catch (error) {
+    console.error(`❌ Job ${name} failed:`, error);
+    return null;
+  }
+};
+
+// Milliseconds until the next occurrence of the given local hour
+const msUntilHour = (hour) => {
+  const now = new Date();
+  const next = new Date(now);
+  next.setHours(hour, 0, 0, 0);
+  if (next <= now) {
+    next.setDate(next.getDate() + 1);
+  }
+  return next - now;
+};
+
+// Register a task to run once a day at the given local hour
+const scheduleDaily = (name, task, { hour = 2 } = {}) => {
+  const job = { name, task, hour, lastRun: null, timer: null };
+  jobs.set(name, job);
+
+  job.timer = setTimeout(() => {
+    runJob(name);
+    job.timer = setInterval(() => runJob(name), DAY_MS);
+  }, msUntilHour(hour));
+
+  return job;
+};
+
+const stopAll = () => {
+  jobs.forEach(job => {
+    clearTimeout(job.timer);
+    clearInterval(job.timer);
+  });
+  jobs.clear();
+};
+
+const listJobs = () => Array.from(jobs.values()).map(({ name, hour, lastRun }) => ({ name, hour, lastRun }));
+
+module.exports = {
+  scheduleDaily,
+  runJob,
+  stopAll,
+  listJobs
+};
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+const bankStatementSchema = new mongoose.Schema({
+  filename: {
+    type: String,
+    required: true
+  },
+  format: {
+    type: String,
+    enum: ['csv', 'ofx'],
+    required: true
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lineCount: {
+    type: Number,
+    default: 0
+  },
+  duplicateCount: {
+    type: Number,
+    default: 0
+  },
+  skippedCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('BankStatement', bankStatementSchema);
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const { moneyField, moneySchemaOptions } = require('../services/money');
+
+const bankTransactionSchema = new mongoose.Schema({
+  statement: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BankStatement',
+    required: true
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  amount: moneyField({ required: true, min: 0 }),
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  reference: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  payerName: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Same line imported twice (e.g. overlapping statements) is only queued once
+  fingerprint: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: ['unmatched', 'proposed', 'matched', 'ignored'],
+    default: 'unmatched'
+  },
+  proposals: [{
+    payment: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment' },
+    tenant: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    confidence: { type: Number, min: 0, max: 1 },
+    reasons: [String]
+  }],
+  matchedPayment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    default: null
+  },
+  matchedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  matchedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  ...moneySchemaOptions
+});
+
+bankTransactionSchema.index({ status: 1, date: 1 });
+
+module.exports = mongoose.model('BankTransaction', bankTransactionSchema);
@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// Named sequence incremented atomically with $inc
+const counterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Counter', counterSchema);
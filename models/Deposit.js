@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+const { moneyField, moneySchemaOptions, sumAmounts } = require('../services/money');
+
+const depositSchema = new mongoose.Schema({
+  lease: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lease',
+    required: true,
+    unique: true
+  },
+  tenant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  property: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true
+  },
+  securityAmount: moneyField({ min: 0, default: 0 }),
+  petAmount: moneyField({ min: 0, default: 0 }),
+  amountCollected: moneyField({ min: 0, default: 0 }),
+  status: {
+    type: String,
+    enum: ['awaiting_collection', 'partially_collected', 'held', 'disposed'],
+    default: 'awaiting_collection'
+  },
+  collections: [{
+    depositType: { type: String, enum: ['security', 'pet'], default: 'security' },
+    amount: moneyField({ required: true, min: 0 }),
+    date: { type: Date, default: Date.now },
+    paymentMethod: {
+      type: String,
+      enum: ['cash', 'check', 'bank_transfer', 'credit_card', 'online', 'other']
+    },
+    payment: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment' },
+    recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+  }],
+  deductions: [{
+    description: { type: String, required: true, trim: true },
+    category: {
+      type: String,
+      enum: ['damage', 'cleaning', 'repairs', 'unpaid_utilities', 'other'],
+      default: 'damage'
+    },
+    amount: moneyField({ required: true, min: 0 }),
+    maintenance: { type: mongoose.Schema.Types.ObjectId, ref: 'Maintenance', default: null },
+    payment: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment', default: null },
+    addedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    date: { type: Date, default: Date.now }
+  }],
+  disposition: {
+    moveOutDate: { type: Date, default: null },
+    totalDeductions: moneyField({ default: 0 }),
+    appliedToBalance: moneyField({ default: 0 }),
+    refundAmount: moneyField({ default: 0 }),
+    amountOwed: moneyField({ default: 0 }),
+    processedAt: { type: Date, default: null },
+    processedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    statement: { type: mongoose.Schema.Types.Mixed, default: null }
+  }
+}, {
+  timestamps: true,
+  ...moneySchemaOptions
+});
+
+// Virtual for total deposit required by the lease
+depositSchema.virtual('amountRequired').get(function() {
+  return sumAmounts([this.securityAmount, this.petAmount]);
+});
+
+module.exports = mongoose.model('Deposit', depositSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+const currencyCode = {
+  type: String,
+  required: true,
+  uppercase: true,
+  trim: true,
+  match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO 4217 code']
+};
+
+// Units of `to` bought by one unit of `from`, effective from a date until the next rate for the pair
+const exchangeRateSchema = new mongoose.Schema({
+  from: currencyCode,
+  to: currencyCode,
+  rate: {
+    type: Number,
+    required: true,
+    min: [0.000001, 'Rate must be greater than zero']
+  },
+  effectiveDate: {
+    type: Date,
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ['manual', 'import'],
+    default: 'manual'
+  },
+  notes: {
+    type: String,
+    default: ''
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// One rate per pair per day
+exchangeRateSchema.index({ from: 1, to: 1, effectiveDate: -1 }, { unique: true });
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+const { moneyField, moneySchemaOptions } = require('../services/money');
+
+const expenseSchema = new mongoose.Schema({
+  property: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true
+  },
+  category: {
+    type: String,
+    enum: ['property_tax', 'insurance', 'utilities', 'hoa', 'repairs', 'maintenance', 'mortgage', 'management', 'cleaning', 'landscaping', 'legal', 'other'],
+    required: true
+  },
+  description: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  amount: moneyField({ required: true, min: 0 }),
+  // Date the cost was incurred (or falls due, for bills not yet paid)
+  date: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['unpaid', 'paid', 'void'],
+    default: 'paid'
+  },
+  paidDate: {
+    type: Date,
+    default: null
+  },
+  paymentMethod: {
+    type: String,
+    enum: ['cash', 'check', 'bank_transfer', 'credit_card', 'online', 'other'],
+    default: null
+  },
+  vendor: {
+    name: String,
+    contact: String,
+    email: String
+  },
+  // Vendor's invoice or bill number
+  reference: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  receipts: [{
+    name: String,
+    url: String,
+    uploadDate: { type: Date, default: Date.now }
+  }],
+  // Set for expenses raised automatically from a completed maintenance request
+  maintenance: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Maintenance',
+    default: null
+  },
+  // Paid on the owner's behalf and recovered from their payout
+  deductFromOwner: {
+    type: Boolean,
+    default: true
+  },
+  isRecurring: {
+    type: Boolean,
+    default: false
+  },
+  recurringPeriod: {
+    type: String,
+    enum: ['monthly', 'quarterly', 'yearly'],
+    default: null
+  },
+  // Only the newest expense in a recurring series carries the next date
+  nextDueDate: {
+    type: Date,
+    default: null
+  },
+  notes: {
+    type: String,
+    default: ''
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  ...moneySchemaOptions
+});
+
+expenseSchema.index({ property: 1, date: -1 });
+expenseSchema.index({ category: 1, date: -1 });
+expenseSchema.index({ isRecurring: 1, nextDueDate: 1 });
+// One expense per maintenance request
+expenseSchema.index(
+  { maintenance: 1 },
+  { unique: true, partialFilterExpression: { maintenance: { $type: 'objectId' } } }
+);
+
+module.exports = mongoose.model('Expense', expenseSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { DEFAULT_CURRENCY, isSupportedCurrency } = require('../services/currency');
+const { moneyField, moneySchemaOptions } = require('../services/money');
 
 const leaseSchema = new mongoose.Schema({
   property: {
@@ -6,11 +8,19 @@ const leaseSchema = new mongoose.Schema({
     ref: 'Property',
     required: true
   },
+  // Primary tenant: the account charges are raised against
   tenant: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
+  // Everyone on the lease, the primary tenant included. Occupants split the rent by share, adding up
+  // to 100; a guarantor's share is the percentage of it they guarantee.
+  parties: [{
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    role: { type: String, enum: ['occupant', 'guarantor'], default: 'occupant' },
+    share: { type: Number, min: 0, max: 100, required: true }
+  }],
   startDate: {
     type: Date,
     required: true
@@ -19,21 +29,29 @@ const leaseSchema = new mongoose.Schema({
     type: Date,
     required: true
   },
-  monthlyRent: {
-    type: Number,
-    required: true,
-    min: 0
-  },
-  securityDeposit: {
-    type: Number,
-    required: true,
-    min: 0
+  monthlyRent: moneyField({ required: true, min: 0 }),
+  securityDeposit: moneyField({ required: true, min: 0 }),
+  // Set from the property when the lease is created
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO 4217 code'],
+    validate: [isSupportedCurrency, 'Currency must have two decimal places']
   },
   status: {
     type: String,
     enum: ['active', 'expired', 'terminated', 'pending', 'renewed'],
     default: 'pending'
   },
+  // Every status change, oldest first; written by the lease lifecycle service
+  statusHistory: [{
+    from: { type: String, default: null },
+    to: { type: String, required: true },
+    changedAt: { type: Date, default: Date.now },
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    reason: { type: String, default: '' }
+  }],
   leaseTerms: {
     type: String,
     required: true
@@ -45,8 +63,17 @@ const leaseSchema = new mongoose.Schema({
     max: 31,
     default: 1
   },
+  // How partial first and last months are charged
+  proration: {
+    type: String,
+    enum: ['actual_days', 'thirty_day', 'none'],
+    default: 'actual_days'
+  },
   lateFee: {
-    amount: { type: Number, default: 0 },
+    type: { type: String, enum: ['flat', 'percentage', 'daily'], default: 'flat' },
+    amount: moneyField({ default: 0 }), // flat fee, or fee per day for daily accrual
+    percentage: { type: Number, min: 0, default: 0 }, // percent of the overdue rent
+    maxAmount: moneyField({ min: 0, default: 0 }), // cap per period, 0 for no cap
     gracePeriod: { type: Number, default: 5 } // days
   },
   utilities: {
@@ -57,25 +84,71 @@ const leaseSchema = new mongoose.Schema({
     cable: { type: Boolean, default: false },
     trash: { type: Boolean, default: false }
   },
-  petDeposit: {
-    type: Number,
-    default: 0
-  },
+  petDeposit: moneyField({ default: 0 }),
   additionalCharges: [{
     description: String,
-    amount: Number,
+    amount: moneyField(),
     frequency: { type: String, enum: ['monthly', 'one-time'], default: 'monthly' }
   }],
+  // Scheduled rent changes. A step sets the rent for billing periods starting on or after its
+  // effective date; before the first step the rent is monthlyRent.
+  rentSchedule: [{
+    effectiveDate: { type: Date, required: true },
+    type: { type: String, enum: ['percentage', 'amount', 'fixed'], default: 'percentage' },
+    percentage: { type: Number, default: 0 }, // increase over the rent before the step
+    amount: moneyField({ default: 0 }), // increase over the rent before the step, or the new rent when fixed
+    monthlyRent: moneyField({ required: true, min: 0 }), // worked out from the chain of steps
+    noticeDays: { type: Number, required: true, min: 0 }, // how long before the step the notice goes out
+    notice: {
+      url: { type: String, default: null },
+      generatedAt: { type: Date, default: null }
+    },
+    notes: { type: String, default: '' },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+  }],
   renewalNotice: {
     sent: { type: Boolean, default: false },
     sentDate: { type: Date, default: null },
     response: { type: String, enum: ['renew', 'terminate', 'pending'], default: 'pending' }
   },
+  // Leases linked by a renewal
+  previousLease: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lease',
+    default: null
+  },
+  nextLease: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lease',
+    default: null
+  },
+  // Planned move-out once the tenant has said they are leaving
+  moveOut: {
+    scheduledDate: { type: Date, default: null },
+    noticeDate: { type: Date, default: null },
+    reason: { type: String, default: '' },
+    inspection: { type: mongoose.Schema.Types.ObjectId, ref: 'Maintenance', default: null }
+  },
   documents: [{
     name: String,
     url: String,
-    uploadDate: { type: Date, default: Date.now }
+    uploadDate: { type: Date, default: Date.now },
+    // Set on agreements generated from a lease template
+    template: { type: mongoose.Schema.Types.ObjectId, ref: 'LeaseTemplate', default: null },
+    templateVersion: { type: Number, default: null },
+    // Set on the signed copy produced by an e-signature request
+    signatureRequest: { type: mongoose.Schema.Types.ObjectId, ref: 'SignatureRequest', default: null }
   }],
+  // Set once an agreement is generated or sent for signature; the lease then can't be activated
+  // until a signature request for it is completed
+  signatureRequired: {
+    type: Boolean,
+    default: false
+  },
+  terminationDate: {
+    type: Date,
+    default: null
+  },
   notes: {
     type: String,
     default: ''
@@ -85,9 +158,12 @@ const leaseSchema = new mongoose.Schema({
     default: true
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  ...moneySchemaOptions
 });
 
+leaseSchema.index({ 'parties.user': 1 });
+
 // Virtual for lease duration in months
 leaseSchema.virtual('durationMonths').get(function() {
   const start = new Date(this.startDate);
@@ -116,4 +192,19 @@ leaseSchema.virtual('isRenewalNoticeDue').get(function() {
   return today >= noticeDate && !this.renewalNotice.sent;
 });
 
+// A lease given only a tenant has them as its sole occupant
+leaseSchema.pre('validate', function() {
+  if (this.parties.length === 0 && this.tenant) {
+    this.parties.push({ user: this.tenant, role: 'occupant', share: 100 });
+  }
+});
+
+// Leases are billed in their property's currency unless one was given
+leaseSchema.pre('save', async function() {
+  if (!this.currency) {
+    const property = await mongoose.model('Property').findById(this.property).select('currency');
+    this.currency = property?.currency || DEFAULT_CURRENCY;
+  }
+});
+
 module.exports = mongoose.model('Lease', leaseSchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// Lease agreement text with {{merge.fields}}. Each edit after publishing is a new version; a
+// template family is its name, company and jurisdiction, and has at most one published version.
+const leaseTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Matches Property.company; empty string is the default for every company
+  company: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Matches the property's state; empty string applies anywhere
+  jurisdiction: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    default: ''
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1,
+    default: 1
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'published', 'retired'],
+    default: 'draft'
+  },
+  body: {
+    type: String,
+    required: true
+  },
+  notes: {
+    type: String,
+    default: ''
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  publishedAt: {
+    type: Date,
+    default: null
+  },
+  publishedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+leaseTemplateSchema.index({ name: 1, company: 1, jurisdiction: 1, version: 1 }, { unique: true });
+leaseTemplateSchema.index({ status: 1, company: 1, jurisdiction: 1 });
+
+module.exports = mongoose.model('LeaseTemplate', leaseTemplateSchema);
@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const { moneyField, moneySchemaOptions } = require('../services/money');
+
+const ledgerLineSchema = new mongoose.Schema({
+  account: {
+    type: String,
+    enum: [
+      'accounts_receivable',
+      'cash',
+      'rental_income',
+      'fee_income',
+      'utility_income',
+      'maintenance_income',
+      'other_income',
+      'deposits_held'
+    ],
+    required: true
+  },
+  debit: moneyField({ min: 0, default: 0 }),
+  credit: moneyField({ min: 0, default: 0 })
+}, { _id: false });
+
+const ledgerEntrySchema = new mongoose.Schema({
+  entryType: {
+    type: String,
+    enum: ['charge', 'credit', 'payment', 'adjustment'],
+    required: true
+  },
+  tenant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lease: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lease',
+    default: null
+  },
+  property: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    default: null
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    default: null
+  },
+  effectiveDate: {
+    type: Date,
+    required: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  lines: {
+    type: [ledgerLineSchema],
+    validate: {
+      validator: (lines) => lines.length >= 2,
+      message: 'A journal entry needs at least two lines'
+    }
+  },
+  // Receivable impact of the entry: positive increases what the tenant owes
+  amount: moneyField({ required: true }),
+  reversalOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LedgerEntry',
+    default: null
+  },
+  postedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  ...moneySchemaOptions
+});
+
+// Journal entries must balance and can never be changed once posted
+ledgerEntrySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Ledger entries are immutable; post an adjustment instead'));
+  }
+
+  // Compared in stored minor units, so the check is exact
+  const debits = this.lines.reduce((sum, line) => sum + line.get('debit', null, { getters: false }), 0);
+  const credits = this.lines.reduce((sum, line) => sum + line.get('credit', null, { getters: false }), 0);
+  if (debits !== credits) {
+    return next(new Error('Ledger entry is not balanced'));
+  }
+
+  next();
+});
+
+const rejectMutation = function(next) {
+  next(new Error('Ledger entries are immutable; post an adjustment instead'));
+};
+
+ledgerEntrySchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], rejectMutation);
+ledgerEntrySchema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete'], rejectMutation);
+
+// Index for efficient queries
+ledgerEntrySchema.index({ tenant: 1, effectiveDate: 1, createdAt: 1 });
+ledgerEntrySchema.index({ lease: 1, effectiveDate: 1, createdAt: 1 });
+ledgerEntrySchema.index({ payment: 1 });
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
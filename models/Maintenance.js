@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { moneyField, moneySchemaOptions } = require('../services/money');
 
 const maintenanceSchema = new mongoose.Schema({
   property: {
@@ -46,16 +47,8 @@ const maintenanceSchema = new mongoose.Schema({
     enum: ['pending', 'in_progress', 'completed', 'cancelled', 'on_hold'],
     default: 'pending'
   },
-  estimatedCost: {
-    type: Number,
-    min: 0,
-    default: 0
-  },
-  actualCost: {
-    type: Number,
-    min: 0,
-    default: 0
-  },
+  estimatedCost: moneyField({ min: 0, default: 0 }),
+  actualCost: moneyField({ min: 0, default: 0 }),
   scheduledDate: {
     type: Date,
     default: null
@@ -88,7 +81,7 @@ const maintenanceSchema = new mongoose.Schema({
     name: String,
     contact: String,
     email: String,
-    cost: Number
+    cost: moneyField()
   },
   isUrgent: {
     type: Boolean,
@@ -100,7 +93,8 @@ const maintenanceSchema = new mongoose.Schema({
     confirmed: { type: Boolean, default: false }
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  ...moneySchemaOptions
 });
 
 // Virtual for days since request
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+const numberingSchemeSchema = new mongoose.Schema({
+  documentType: {
+    type: String,
+    enum: ['receipt', 'invoice'],
+    required: true
+  },
+  // Matches Property.company; empty string is the default for every company
+  company: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  prefix: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true,
+    match: /^[A-Z0-9-]+$/
+  },
+  padding: {
+    type: Number,
+    min: 1,
+    max: 12,
+    default: 6
+  },
+  resetYearly: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+numberingSchemeSchema.index({ documentType: 1, company: 1 }, { unique: true });
+
+module.exports = mongoose.model('NumberingScheme', numberingSchemeSchema);
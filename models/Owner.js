@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const { moneyField, moneySchemaOptions } = require('../services/money');
+
+const ownerSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  company: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  address: {
+    street: String,
+    city: String,
+    state: String,
+    zipCode: String,
+    country: { type: String, default: 'USA' }
+  },
+  // Fee kept by us out of each month's collections
+  managementFee: {
+    type: { type: String, enum: ['percentage', 'flat'], default: 'percentage' },
+    percentage: { type: Number, min: 0, max: 100, default: 10 }, // of rent collected
+    amount: moneyField({ min: 0, default: 0 }) // per property per month
+  },
+  // One-off fee for placing a new tenant, charged in the month the lease starts
+  leasingFee: {
+    type: { type: String, enum: ['none', 'percentage', 'flat'], default: 'none' },
+    percentage: { type: Number, min: 0, max: 100, default: 0 }, // of one month's rent
+    amount: moneyField({ min: 0, default: 0 })
+  },
+  payoutMethod: {
+    type: String,
+    enum: ['bank_transfer', 'check', 'other'],
+    default: 'bank_transfer'
+  },
+  payoutDetails: {
+    type: String,
+    default: ''
+  },
+  notes: {
+    type: String,
+    default: ''
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  ...moneySchemaOptions
+});
+
+module.exports = mongoose.model('Owner', ownerSchema);
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const { moneyField, moneySchemaOptions } = require('../services/money');
+const { DEFAULT_CURRENCY } = require('../services/currency');
+
+const ownerStatementSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Owner',
+    required: true
+  },
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+  // Currency of the totals; each property's figures are in its own currency
+  currency: {
+    type: String,
+    default: DEFAULT_CURRENCY
+  },
+  properties: [{
+    property: { type: mongoose.Schema.Types.ObjectId, ref: 'Property' },
+    title: String,
+    currency: { type: String, default: DEFAULT_CURRENCY },
+    rentCollected: moneyField({ default: 0 }),
+    otherIncome: moneyField({ default: 0 }),
+    expenses: moneyField({ default: 0 }),
+    managementFee: moneyField({ default: 0 }),
+    leasingFees: moneyField({ default: 0 }),
+    netPayout: moneyField({ default: 0 }),
+    expenseItems: [{
+      expense: { type: mongoose.Schema.Types.ObjectId, ref: 'Expense' },
+      category: String,
+      description: String,
+      date: Date,
+      amount: moneyField()
+    }],
+    leases: [{
+      lease: { type: mongoose.Schema.Types.ObjectId, ref: 'Lease' },
+      startDate: Date,
+      monthlyRent: moneyField(),
+      fee: moneyField()
+    }]
+  }],
+  totals: {
+    rentCollected: moneyField({ default: 0 }),
+    otherIncome: moneyField({ default: 0 }),
+    expenses: moneyField({ default: 0 }),
+    managementFees: moneyField({ default: 0 }),
+    leasingFees: moneyField({ default: 0 }),
+    netPayout: moneyField({ default: 0 })
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'approved', 'paid'],
+    default: 'draft'
+  },
+  generatedAt: {
+    type: Date,
+    default: Date.now
+  },
+  generatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  paidAt: {
+    type: Date,
+    default: null
+  },
+  payoutReference: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: true,
+  ...moneySchemaOptions
+});
+
+// One statement per owner per period
+ownerStatementSchema.index({ owner: 1, periodStart: 1 }, { unique: true });
+
+module.exports = mongoose.model('OwnerStatement', ownerStatementSchema);
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { nextNumber } = require('../services/numbering');
+const { DEFAULT_CURRENCY, isSupportedCurrency } = require('../services/currency');
+const { moneyField, moneySchemaOptions, roundAmount } = require('../services/money');
 
 const paymentSchema = new mongoose.Schema({
   lease: {
@@ -16,10 +19,14 @@ const paymentSchema = new mongoose.Schema({
     ref: 'Property',
     required: true
   },
-  amount: {
-    type: Number,
-    required: true,
-    min: 0
+  amount: moneyField({ required: true, min: 0 }),
+  // Set from the lease (or the property) when the charge is created
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO 4217 code'],
+    validate: [isSupportedCurrency, 'Currency must have two decimal places']
   },
   paymentType: {
     type: String,
@@ -29,11 +36,11 @@ const paymentSchema = new mongoose.Schema({
   paymentMethod: {
     type: String,
     enum: ['cash', 'check', 'bank_transfer', 'credit_card', 'online', 'other'],
-    required: true
+    default: null // set once the charge is paid
   },
   status: {
     type: String,
-    enum: ['pending', 'completed', 'failed', 'refunded', 'partial'],
+    enum: ['pending', 'completed', 'failed', 'refunded', 'partial', 'void'],
     default: 'pending'
   },
   dueDate: {
@@ -44,9 +51,54 @@ const paymentSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
-  lateFee: {
-    type: Number,
-    default: 0
+  // Days of occupancy a rent charge covers
+  periodStart: {
+    type: Date,
+    default: null
+  },
+  periodEnd: {
+    type: Date,
+    default: null
+  },
+  paidAmount: moneyField({ min: 0, default: 0 }),
+  allocations: [{
+    amount: moneyField({ required: true, min: 0 }),
+    paidDate: { type: Date, default: Date.now },
+    paymentMethod: {
+      type: String,
+      enum: ['cash', 'check', 'bank_transfer', 'credit_card', 'online', 'other']
+    },
+    transactionId: String,
+    notes: String,
+    // Which tenant on the lease the money came from, when known
+    paidBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    // Set when the money never arrived, e.g. a bounced check
+    reversed: { type: Boolean, default: false },
+    reversedAt: { type: Date, default: null }
+  }],
+  // Money given back on this charge that the tenant is not expected to pay again
+  refundedAmount: moneyField({ min: 0, default: 0 }),
+  // For refund and reversal records, the charge they offset
+  relatedPayment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    default: null
+  },
+  auditTrail: [{
+    action: { type: String, enum: ['refund', 'reversal', 'void'], required: true },
+    amount: moneyField({ default: 0 }),
+    reason: { type: String, default: '' },
+    relatedPayment: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment', default: null },
+    performedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    date: { type: Date, default: Date.now }
+  }],
+  lateFee: moneyField({ default: 0 }),
+  // For late_fee charges, the overdue charge the fee was assessed on
+  lateFeeFor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    default: null
   },
   description: {
     type: String,
@@ -62,6 +114,11 @@ const paymentSchema = new mongoose.Schema({
     unique: true,
     sparse: true
   },
+  invoiceNumber: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
   invoiceGenerated: {
     type: Boolean,
     default: false
@@ -70,6 +127,10 @@ const paymentSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  receiptUrl: {
+    type: String,
+    default: null
+  },
   notes: {
     type: String,
     default: ''
@@ -91,14 +152,28 @@ const paymentSchema = new mongoose.Schema({
   nextDueDate: {
     type: Date,
     default: null
+  },
+  // Identifies the series a recurring charge belongs to: 'rent' or 'additional:<chargeId>'
+  recurringKey: {
+    type: String,
+    default: null
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  // Saves that change what is owed or paid fail if the charge changed since it was read
+  optimisticConcurrency: ['amount', 'paidAmount', 'status'],
+  ...moneySchemaOptions
+});
+
+// Virtual for amount still owed on the charge
+paymentSchema.virtual('balanceDue').get(function() {
+  if (!['pending', 'partial'].includes(this.status)) return 0;
+  return Math.max(roundAmount(this.amount - (this.paidAmount || 0)), 0);
 });
 
 // Virtual for overdue status
 paymentSchema.virtual('isOverdue').get(function() {
-  return this.status === 'pending' && new Date() > new Date(this.dueDate);
+  return ['pending', 'partial'].includes(this.status) && new Date() > new Date(this.dueDate);
 });
 
 // Virtual for days overdue
@@ -109,17 +184,40 @@ paymentSchema.virtual('daysOverdue').get(function() {
   return Math.ceil((today - due) / (1000 * 60 * 60 * 24));
 });
 
-// Generate unique receipt number
-paymentSchema.pre('save', function(next) {
-  if (!this.receiptNumber && this.status === 'completed') {
-    this.receiptNumber = `RCP-${Date.now()}-${Math.random().toString(36).substr(2, 9).toUpperCase()}`;
+// Charges are in the currency of their lease, or of the property when there is none
+paymentSchema.pre('save', async function() {
+  if (!this.currency) {
+    const lease = this.lease ? await mongoose.model('Lease').findById(this.lease).select('currency') : null;
+    let currency = lease?.currency;
+    if (!currency) {
+      const property = await mongoose.model('Property').findById(this.property).select('currency');
+      currency = property?.currency;
+    }
+    this.currency = currency || DEFAULT_CURRENCY;
+  }
+});
+
+// Assign the next sequential receipt number once money has been received
+paymentSchema.pre('save', async function() {
+  if (!this.receiptNumber && (this.status === 'completed' || this.paidAmount > 0)) {
+    const property = await mongoose.model('Property').findById(this.property).select('company');
+    this.receiptNumber = await nextNumber('receipt', {
+      company: property?.company || '',
+      date: this.paidDate || new Date()
+    });
   }
-  next();
 });
 
 // Index for efficient queries
 paymentSchema.index({ tenant: 1, dueDate: -1 });
 paymentSchema.index({ property: 1, dueDate: -1 });
 paymentSchema.index({ status: 1, dueDate: 1 });
+paymentSchema.index({ isRecurring: 1, nextDueDate: 1 });
+paymentSchema.index({ relatedPayment: 1 });
+// One late fee per overdue charge
+paymentSchema.index(
+  { lateFeeFor: 1 },
+  { unique: true, partialFilterExpression: { lateFeeFor: { $type: 'objectId' } } }
+);
 
 module.exports = mongoose.model('Payment', paymentSchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const { moneyField, moneySchemaOptions } = require('../services/money');
+const { DEFAULT_CURRENCY } = require('../services/currency');
+
+const paymentIntentSchema = new mongoose.Schema({
+  tenant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  charges: [{
+    payment: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment', required: true },
+    amount: moneyField({ required: true, min: 0 })
+  }],
+  amount: moneyField({ required: true, min: 0 }),
+  // Currency of every charge in the checkout
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: DEFAULT_CURRENCY
+  },
+  status: {
+    type: String,
+    enum: ['created', 'succeeded', 'failed', 'cancelled'],
+    default: 'created'
+  },
+  providerReference: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  checkoutUrl: {
+    type: String,
+    default: null
+  },
+  transactionId: {
+    type: String,
+    default: null
+  },
+  failureReason: {
+    type: String,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  ...moneySchemaOptions
+});
+
+paymentIntentSchema.index({ tenant: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PaymentIntent', paymentIntentSchema);
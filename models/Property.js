@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { DEFAULT_CURRENCY, isSupportedCurrency } = require('../services/currency');
+const { moneyField, moneySchemaOptions } = require('../services/money');
 
 const propertySchema = new mongoose.Schema({
   title: {
@@ -28,15 +30,16 @@ const propertySchema = new mongoose.Schema({
     enum: ['apartment', 'house', 'condo', 'townhouse', 'studio', 'other'],
     required: true
   },
-  rentAmount: {
-    type: Number,
-    required: true,
-    min: 0
-  },
-  securityDeposit: {
-    type: Number,
-    required: true,
-    min: 0
+  rentAmount: moneyField({ required: true, min: 0 }),
+  securityDeposit: moneyField({ required: true, min: 0 }),
+  // ISO 4217 code for the rent and deposit, inherited by the property's leases and charges
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO 4217 code'],
+    validate: [isSupportedCurrency, 'Currency must have two decimal places'],
+    default: DEFAULT_CURRENCY
   },
   bedrooms: {
     type: Number,
@@ -71,6 +74,12 @@ const propertySchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Landlord we manage the property for; null when the property is our own
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Owner',
+    default: null
+  },
   currentTenant: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -91,8 +100,8 @@ const propertySchema = new mongoose.Schema({
   },
   petPolicy: {
     allowed: { type: Boolean, default: false },
-    deposit: { type: Number, default: 0 },
-    monthlyFee: { type: Number, default: 0 },
+    deposit: moneyField({ default: 0 }),
+    monthlyFee: moneyField({ default: 0 }),
     restrictions: { type: String, default: '' }
   },
   parkingSpaces: {
@@ -114,7 +123,8 @@ const propertySchema = new mongoose.Schema({
     default: ''
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  ...moneySchemaOptions
 });
 
 // Index for search functionality
@@ -124,6 +134,7 @@ propertySchema.index({
   'address.city': 'text',
   'address.state': 'text'
 });
+propertySchema.index({ owner: 1 });
 
 // Virtual for full address
 propertySchema.virtual('fullAddress').get(function() {
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+const { moneyField, moneySchemaOptions } = require('../services/money');
+
+// Terms offered to a tenant for the lease that follows their current one
+const renewalOfferSchema = new mongoose.Schema({
+  lease: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lease',
+    required: true
+  },
+  tenant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  property: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true
+  },
+  monthlyRent: moneyField({ required: true, min: 0 }),
+  securityDeposit: moneyField({ min: 0, default: 0 }),
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
+  leaseTerms: {
+    type: String,
+    required: true
+  },
+  // The tenant must answer by this date
+  respondBy: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'withdrawn', 'expired'],
+    default: 'pending'
+  },
+  message: {
+    type: String,
+    default: ''
+  },
+  letter: {
+    url: { type: String, default: null },
+    generatedAt: { type: Date, default: null }
+  },
+  response: {
+    respondedAt: { type: Date, default: null },
+    respondedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    reason: { type: String, default: '' }
+  },
+  successorLease: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lease',
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true,
+  ...moneySchemaOptions
+});
+
+renewalOfferSchema.index({ tenant: 1, status: 1 });
+// A lease has at most one offer awaiting an answer
+renewalOfferSchema.index({ lease: 1 }, { unique: true, partialFilterExpression: { status: 'pending' } });
+
+module.exports = mongoose.model('RenewalOffer', renewalOfferSchema);
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+// A lease document sent out for electronic signature. Each signer gets their own link; the
+// evidence captured when they sign goes on the certificate page of the signed PDF.
+const signerSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    enum: ['tenant', 'guarantor', 'landlord', 'other'],
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: ''
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // SHA-256 of the signing link token; the token itself is only shown when the link is issued
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'signed', 'declined'],
+    default: 'pending'
+  },
+  viewedAt: {
+    type: Date,
+    default: null
+  },
+  signature: {
+    type: { type: String, enum: ['typed', 'drawn'] },
+    text: String, // typed name, or the signer's name for a drawn signature
+    imageUrl: String // drawn signature PNG
+  },
+  evidence: {
+    signedAt: Date,
+    ip: String,
+    userAgent: String,
+    consent: String
+  },
+  declineReason: {
+    type: String,
+    default: ''
+  }
+});
+
+const signatureRequestSchema = new mongoose.Schema({
+  lease: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lease',
+    required: true
+  },
+  // The lease document being signed, and its SHA-256 when sent so changes can be detected
+  document: {
+    name: { type: String, required: true },
+    url: { type: String, required: true },
+    template: { type: mongoose.Schema.Types.ObjectId, ref: 'LeaseTemplate', default: null },
+    templateVersion: { type: Number, default: null },
+    sha256: { type: String, required: true }
+  },
+  signers: [signerSchema],
+  status: {
+    type: String,
+    enum: ['pending', 'completed', 'declined', 'cancelled', 'expired'],
+    default: 'pending'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  signedDocument: {
+    url: { type: String, default: null },
+    sha256: { type: String, default: null }
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+signatureRequestSchema.index({ lease: 1, status: 1 });
+signatureRequestSchema.index({ 'signers.tokenHash': 1 });
+
+module.exports = mongoose.model('SignatureRequest', signatureRequestSchema);
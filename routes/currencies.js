@@ -0,0 +1,177 @@
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const ExchangeRate = require('../models/ExchangeRate');
+const currency = require('../services/currency');
+const { authenticateToken, managerAccess, adminOnly } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Rate files are parsed straight from memory, nothing is kept on disk
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024 }, // 2MB limit
+  fileFilter: (req, file, cb) => {
+    if (path.extname(file.originalname).toLowerCase() === '.csv') {
+      return cb(null, true);
+    } else {
+      cb(new Error('Only CSV rate files are allowed'));
+    }
+  }
+});
+
+// @route   GET /api/currencies/rates
+// @desc    List stored exchange rates (?from, to, startDate, endDate)
+// @access  Private (Admin, Property Manager)
+router.get('/rates', authenticateToken, managerAccess, async (req, res) => {
+  try {
+    const { from, to, startDate, endDate, page = 1, limit = 50 } = req.query;
+
+    const query = {};
+    if (from) query.from = currency.normalizeCurrency(from);
+    if (to) query.to = currency.normalizeCurrency(to);
+    if (startDate || endDate) {
+      query.effectiveDate = {};
+      if (startDate) query.effectiveDate.$gte = new Date(startDate);
+      if (endDate) query.effectiveDate.$lte = new Date(endDate);
+    }
+
+    const rates = await ExchangeRate.find(query)
+      .populate('createdBy', 'name')
+      .sort({ effectiveDate: -1, from: 1, to: 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await ExchangeRate.countDocuments(query);
+
+    res.json({
+      baseCurrency: currency.DEFAULT_CURRENCY,
+      rates,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Get exchange rates error:', error);
+    res.status(500).json({ message: 'Server error fetching exchange rates' });
+  }
+});
+
+// @route   POST /api/currencies/rates
+// @desc    Enter an exchange rate; a second rate for the same pair and day replaces the first
+// @access  Private (Admin, Property Manager)
+router.post('/rates', authenticateToken, managerAccess, async (req, res) => {
+  try {
+    const { from, to, rate, effectiveDate, notes } = req.body;
+
+    const saved = await currency.saveRate({
+      from,
+      to,
+      rate,
+      effectiveDate,
+      notes,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      message: 'Exchange rate saved',
+      rate: saved
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Save exchange rate error:', error);
+    res.status(500).json({ message: 'Server error saving exchange rate' });
+  }
+});
+
+// @route   POST /api/currencies/rates/import
+// @desc    Import exchange rates from a CSV file (from, to, rate, date columns)
+// @access  Private (Admin, Property Manager)
+router.post('/rates/import', authenticateToken, managerAccess, upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'Rate file is required' });
+    }
+
+    const result = await currency.importRates({
+      buffer: req.file.buffer,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      message: `Imported ${result.imported} rate(s)`,
+      ...result
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Import exchange rates error:', error);
+    res.status(500).json({ message: 'Server error importing exchange rates' });
+  }
+});
+
+// @route   GET /api/currencies/convert
+// @desc    Convert an amount between currencies at the rate in force on a date (?amount, from, to, date)
+// @access  Private (Admin, Property Manager)
+router.get('/convert', authenticateToken, managerAccess, async (req, res) => {
+  try {
+    const { amount = 1, from, to, date } = req.query;
+    const source = currency.normalizeCurrency(from);
+    const target = currency.normalizeCurrency(to);
+    const asOf = date ? new Date(date) : new Date();
+    if (isNaN(asOf) || isNaN(Number(amount))) {
+      return res.status(400).json({ message: 'Invalid amount or date' });
+    }
+
+    const rate = await currency.getRate(source, target, asOf);
+    const convert = currency.createConverter(target, asOf);
+
+    res.json({
+      from: source,
+      to: target,
+      date: asOf,
+      rate,
+      amount: Number(amount),
+      converted: await convert(Number(amount), source)
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Convert currency error:', error);
+    res.status(500).json({ message: 'Server error converting currency' });
+  }
+});
+
+// @route   DELETE /api/currencies/rates/:id
+// @desc    Delete a stored exchange rate
+// @access  Private (Admin only)
+router.delete('/rates/:id', authenticateToken, adminOnly, async (req, res) => {
+  try {
+    const rate = await ExchangeRate.findByIdAndDelete(req.params.id);
+    if (!rate) {
+      return res.status(404).json({ message: 'Exchange rate not found' });
+    }
+
+    res.json({ message: 'Exchange rate deleted' });
+
+  } catch (error) {
+    console.error('Delete exchange rate error:', error);
+    res.status(500).json({ message: 'Server error deleting exchange rate' });
+  }
+});
+
+module.exports = router;
@@ -4,15 +4,22 @@ const User = require('../models/User');
 const Lease = require('../models/Lease');
 const Payment = require('../models/Payment');
 const Maintenance = require('../models/Maintenance');
+const gateways = require('../services/gateways');
+const leaseParties = require('../services/leaseParties');
+const { DEFAULT_CURRENCY, currencyField, normalizeCurrency, createConverter, sumConverted } = require('../services/currency');
+const { fromMinorTotals, sumAmounts } = require('../services/money');
 const { authenticateToken, managerAccess } = require('../middleware/auth');
 
 const router = express.Router();
 
 // @route   GET /api/dashboard/stats
-// @desc    Get dashboard statistics
+// @desc    Get dashboard statistics, with amounts in a base currency (?currency)
 // @access  Private (Admin, Property Manager)
 router.get('/stats', authenticateToken, managerAccess, async (req, res) => {
   try {
+    const currency = normalizeCurrency(req.query.currency);
+    const convert = createConverter(currency);
+
     // Basic counts
     const totalProperties = await Property.countDocuments({ isActive: true });
     const occupiedProperties = await Property.countDocuments({ status: 'occupied' });
@@ -39,19 +46,19 @@ router.get('/stats', authenticateToken, managerAccess, async (req, res) => {
       },
       {
         $group: {
-          _id: null,
+          _id: currencyField,
           total: { $sum: '$amount' }
         }
       }
-    ]);
+    ]).then(rows => fromMinorTotals(rows));
     
     const pendingPayments = await Payment.countDocuments({
-      status: 'pending',
+      status: { $in: ['pending', 'partial'] },
       dueDate: { $gte: currentMonth, $lt: nextMonth }
     });
     
     const overduePayments = await Payment.countDocuments({
-      status: 'pending',
+      status: { $in: ['pending', 'partial'] },
       dueDate: { $lt: new Date() }
     });
     
@@ -88,7 +95,9 @@ router.get('/stats', authenticateToken, managerAccess, async (req, res) => {
         activeLeases
       },
       payments: {
-        monthlyRevenue: monthlyRevenue[0]?.total || 0,
+        currency,
+        monthlyRevenue: await sumConverted(monthlyRevenue, convert),
+        revenueByCurrency: monthlyRevenue.map(row => ({ currency: row._id, total: row.total })),
         pending: pendingPayments,
         overdue: overduePayments
       },
@@ -103,16 +112,20 @@ router.get('/stats', authenticateToken, managerAccess, async (req, res) => {
     });
 
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
     console.error('Get dashboard stats error:', error);
     res.status(500).json({ message: 'Server error fetching dashboard statistics' });
   }
 });
 
 // @route   GET /api/dashboard/revenue-chart
-// @desc    Get revenue chart data for the last 12 months
+// @desc    Get revenue chart data for the last 12 months in a base currency (?currency)
 // @access  Private (Admin, Property Manager)
 router.get('/revenue-chart', authenticateToken, managerAccess, async (req, res) => {
   try {
+    const currency = normalizeCurrency(req.query.currency);
     const monthsData = [];
     
     for (let i = 11; i >= 0; i--) {
@@ -133,21 +146,28 @@ router.get('/revenue-chart', authenticateToken, managerAccess, async (req, res)
         },
         {
           $group: {
-            _id: null,
+            _id: currencyField,
             total: { $sum: '$amount' }
           }
         }
-      ]);
+      ]).then(rows => fromMinorTotals(rows));
+
+      // Each month is converted at the rates in force when it closed
+      const monthEnd = new Date(Math.min(nextMonth - 1, Date.now()));
       
       monthsData.push({
         month: date.toLocaleDateString('en-US', { month: 'short', year: 'numeric' }),
-        revenue: revenue[0]?.total || 0
+        currency,
+        revenue: await sumConverted(revenue, createConverter(currency, monthEnd))
       });
     }
     
     res.json(monthsData);
 
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
     console.error('Get revenue chart error:', error);
     res.status(500).json({ message: 'Server error fetching revenue chart data' });
   }
@@ -235,30 +255,46 @@ router.get('/tenant/:tenantId', authenticateToken, async (req, res) => {
       return res.status(403).json({ message: 'Access denied' });
     }
     
-    // Get tenant's current lease
+    // Get tenant's current lease, as primary tenant, co-tenant or guarantor
     const currentLease = await Lease.findOne({ 
-      tenant: tenantId, 
+      ...leaseParties.partyQuery(tenantId), 
       status: 'active' 
-    }).populate('property', 'title address images rentAmount');
+    }).populate('property', 'title address images rentAmount')
+      .populate('parties.user', 'name email phone');
     
+    // Charges on shared leases count for everyone on them
+    const chargeQuery = await leaseParties.chargeQuery(tenantId);
+
     // Get payment history
-    const payments = await Payment.find({ tenant: tenantId })
+    const payments = await Payment.find(chargeQuery)
       .sort({ dueDate: -1 })
       .limit(12);
     
     // Get upcoming payments
     const upcomingPayments = await Payment.find({
-      tenant: tenantId,
-      status: 'pending',
+      ...chargeQuery,
+      status: { $in: ['pending', 'partial'] },
       dueDate: { $gte: new Date() }
     }).sort({ dueDate: 1 }).limit(3);
     
     // Get overdue payments
     const overduePayments = await Payment.find({
-      tenant: tenantId,
-      status: 'pending',
+      ...chargeQuery,
+      status: { $in: ['pending', 'partial'] },
       dueDate: { $lt: new Date() }
     }).sort({ dueDate: 1 });
+
+    // This tenant's role and part of the rent on the current lease
+    const party = currentLease && leaseParties.partyFor(currentLease, tenantId);
+
+    // On a shared lease the summary counts only this tenant's part of each charge
+    const leases = await Lease.find(leaseParties.partyQuery(tenantId)).select('tenant parties');
+    const leasesById = new Map(leases.map(lease => [lease._id.toString(), lease]));
+    const shareOf = (payment, amount) => leaseParties.amountFor(
+      payment.lease ? leasesById.get(payment.lease.toString()) : null,
+      tenantId,
+      amount
+    );
     
     // Get maintenance requests
     const maintenanceRequests = await Maintenance.find({ tenant: tenantId })
@@ -268,14 +304,22 @@ router.get('/tenant/:tenantId', authenticateToken, async (req, res) => {
 
     res.json({
       currentLease,
+      leaseRole: party ? { role: party.role, share: party.share } : null,
       payments,
       upcomingPayments,
       overduePayments,
       maintenanceRequests,
+      onlinePayment: {
+        checkoutUrl: '/api/payments/checkout',
+        providers: gateways.listProviders(),
+        defaultProvider: gateways.defaultProvider()
+      },
       summary: {
-        totalPaid: payments.filter(p => p.status === 'completed').reduce((sum, p) => sum + p.amount, 0),
-        pendingAmount: upcomingPayments.reduce((sum, p) => sum + p.amount, 0),
-        overdueAmount: overduePayments.reduce((sum, p) => sum + p.amount, 0)
+        currency: currentLease?.currency || DEFAULT_CURRENCY,
+        totalPaid: sumAmounts(payments.map(p => shareOf(p, p.status === 'completed' ? p.amount : p.paidAmount))),
+        pendingAmount: sumAmounts(upcomingPayments.map(p => shareOf(p, p.balanceDue))),
+        overdueAmount: sumAmounts(overduePayments.map(p => shareOf(p, p.balanceDue))),
+        rentShare: party ? leaseParties.amountFor(currentLease, tenantId, currentLease.monthlyRent) : null
       }
     });
 
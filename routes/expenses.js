@@ -0,0 +1,413 @@
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+const Expense = require('../models/Expense');
+const Property = require('../models/Property');
+const expenses = require('../services/expenses');
+const { PERIOD_MONTHS } = require('../services/recurringCharges');
+const { authenticateToken, managerAccess } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Configure multer for expense receipt uploads
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    const uploadPath = path.join(__dirname, '../uploads/expenses');
+    if (!fs.existsSync(uploadPath)) {
+      fs.mkdirSync(uploadPath, { recursive: true });
+    }
+    cb(null, uploadPath);
+  },
+  filename: (req, file, cb) => {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, 'expense-' + uniqueSuffix + path.extname(file.originalname));
+  }
+});
+
+const upload = multer({
+  storage: storage,
+  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = /jpeg|jpg|png|gif|webp|pdf/;
+    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
+    const mimetype = allowedTypes.test(file.mimetype);
+
+    if (mimetype && extname) {
+      return cb(null, true);
+    } else {
+      cb(new Error('Only image and PDF receipts are allowed'));
+    }
+  }
+});
+
+const receiptsFrom = (files) => (files || []).map(file => ({
+  name: file.originalname,
+  url: `/uploads/expenses/${file.filename}`
+}));
+
+// Multipart bodies carry nested fields as JSON strings
+const parseVendor = (vendor) => (typeof vendor === 'string' ? JSON.parse(vendor) : vendor);
+
+// Property managers only see the properties they manage
+const propertyScope = (user) => (user.role === 'property_manager' ? { managedBy: user._id } : {});
+
+const canAccessProperty = async (user, propertyId) => {
+  const property = await Property.findById(propertyId).select('managedBy');
+  if (!property) return null;
+  if (user.role === 'property_manager' && property.managedBy.toString() !== user._id.toString()) {
+    return false;
+  }
+  return property;
+};
+
+// @route   GET /api/expenses
+// @desc    Get expenses with filtering
+// @access  Private (Admin, Property Manager)
+router.get('/', authenticateToken, managerAccess, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, propertyId, category, status, startDate, endDate } = req.query;
+
+    const query = {};
+    if (propertyId) query.property = propertyId;
+    if (category) query.category = category;
+    if (status) query.status = status;
+    if (startDate || endDate) {
+      query.date = {};
+      if (startDate) query.date.$gte = new Date(startDate);
+      if (endDate) query.date.$lte = new Date(endDate);
+    }
+    if (req.user.role === 'property_manager') {
+      const managed = await Property.find(propertyScope(req.user)).distinct('_id');
+      query.property = propertyId
+        ? { $in: managed.filter(id => id.toString() === propertyId) }
+        : { $in: managed };
+    }
+
+    const results = await Expense.find(query)
+      .populate('property', 'title address')
+      .populate('maintenance', 'title status')
+      .sort({ date: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Expense.countDocuments(query);
+
+    res.json({
+      expenses: results,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+
+  } catch (error) {
+    console.error('Get expenses error:', error);
+    res.status(500).json({ message: 'Server error fetching expenses' });
+  }
+});
+
+// @route   GET /api/expenses/summary/noi
+// @desc    Net operating income per property for a date range
+// @access  Private (Admin, Property Manager)
+router.get('/summary/noi', authenticateToken, managerAccess, async (req, res) => {
+  try {
+    const { propertyId, startDate, endDate } = req.query;
+
+    const end = endDate ? new Date(endDate) : new Date();
+    const start = startDate ? new Date(startDate) : new Date(end.getFullYear(), 0, 1);
+    if (isNaN(start) || isNaN(end)) {
+      return res.status(400).json({ message: 'Invalid date range' });
+    }
+    if (endDate && /^\d{4}-\d{2}-\d{2}$/.test(endDate)) {
+      end.setUTCHours(23, 59, 59, 999);
+    }
+
+    const propertyQuery = propertyScope(req.user);
+    if (propertyId) propertyQuery._id = propertyId;
+
+    const result = await expenses.netOperatingIncome({ propertyQuery, start, end });
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Get net operating income error:', error);
+    res.status(500).json({ message: 'Server error calculating net operating income' });
+  }
+});
+
+// @route   POST /api/expenses/recurring/run
+// @desc    Raise recurring expenses due within the rolling window now
+// @access  Private (Admin, Property Manager)
+router.post('/recurring/run', authenticateToken, managerAccess, async (req, res) => {
+  try {
+    const { propertyId, windowDays } = req.body;
+    const result = await expenses.generateRecurringExpenses({
+      propertyId,
+      windowDays: windowDays || undefined
+    });
+
+    res.json({
+      message: `${result.count} recurring expense(s) generated`,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Generate recurring expenses error:', error);
+    res.status(500).json({ message: 'Server error generating recurring expenses' });
+  }
+});
+
+// @route   GET /api/expenses/:id
+// @desc    Get single expense
+// @access  Private (Admin, Property Manager)
+router.get('/:id', authenticateToken, managerAccess, async (req, res) => {
+  try {
+    const expense = await Expense.findById(req.params.id)
+      .populate('property', 'title address managedBy')
+      .populate('maintenance', 'title status completedDate actualCost')
+      .populate('recordedBy', 'name email');
+
+    if (!expense) {
+      return res.status(404).json({ message: 'Expense not found' });
+    }
+
+    // Role-based access control
+    if (req.user.role === 'property_manager' && expense.property.managedBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    res.json(expense);
+
+  } catch (error) {
+    console.error('Get expense error:', error);
+    res.status(500).json({ message: 'Server error fetching expense' });
+  }
+});
+
+// @route   POST /api/expenses
+// @desc    Record an expense, optionally recurring, with receipt uploads
+// @access  Private (Admin, Property Manager)
+router.post('/', authenticateToken, managerAccess, upload.array('receipts', 5), async (req, res) => {
+  try {
+    const {
+      propertyId,
+      category,
+      description,
+      amount,
+      date,
+      status,
+      paidDate,
+      paymentMethod,
+      vendor,
+      reference,
+      deductFromOwner,
+      isRecurring,
+      recurringPeriod,
+      notes
+    } = req.body;
+
+    if (!propertyId || !category || !description || amount === undefined) {
+      return res.status(400).json({ message: 'propertyId, category, description and amount are required' });
+    }
+
+    const recurring = isRecurring === true || isRecurring === 'true';
+    if (recurring && recurringPeriod && !PERIOD_MONTHS[recurringPeriod]) {
+      return res.status(400).json({ message: 'recurringPeriod must be monthly, quarterly or yearly' });
+    }
+
+    const property = await canAccessProperty(req.user, propertyId);
+    if (property === null) {
+      return res.status(400).json({ message: 'Property not found' });
+    }
+    if (property === false) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const expense = await expenses.createExpense({
+      property: propertyId,
+      category,
+      description,
+      amount: Number(amount),
+      date: date ? new Date(date) : new Date(),
+      status: status || 'paid',
+      paidDate: paidDate ? new Date(paidDate) : null,
+      paymentMethod: paymentMethod || null,
+      vendor: parseVendor(vendor),
+      reference,
+      deductFromOwner: deductFromOwner === undefined ? true : deductFromOwner === true || deductFromOwner === 'true',
+      isRecurring: recurring,
+      recurringPeriod: recurring ? recurringPeriod || 'monthly' : null,
+      notes,
+      receipts: receiptsFrom(req.files)
+    }, { recordedBy: req.user._id });
+
+    const populatedExpense = await Expense.findById(expense._id)
+      .populate('property', 'title address');
+
+    res.status(201).json({
+      message: 'Expense recorded successfully',
+      expense: populatedExpense
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Create expense error:', error);
+    res.status(500).json({ message: 'Server error creating expense' });
+  }
+});
+
+// @route   PUT /api/expenses/:id
+// @desc    Update expense and attach more receipts
+// @access  Private (Admin, Property Manager)
+router.put('/:id', authenticateToken, managerAccess, upload.array('receipts', 5), async (req, res) => {
+  try {
+    const expense = await Expense.findById(req.params.id);
+
+    if (!expense) {
+      return res.status(404).json({ message: 'Expense not found' });
+    }
+
+    if (!(await canAccessProperty(req.user, expense.property))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const fields = ['category', 'description', 'amount', 'date', 'status', 'paidDate', 'paymentMethod', 'reference', 'notes'];
+    fields.forEach(field => {
+      if (req.body[field] !== undefined) expense.set(field, req.body[field]);
+    });
+    if (req.body.vendor !== undefined) expense.vendor = parseVendor(req.body.vendor);
+    if (req.body.deductFromOwner !== undefined) {
+      expense.deductFromOwner = req.body.deductFromOwner === true || req.body.deductFromOwner === 'true';
+    }
+    // Turning recurrence off ends the series
+    if (req.body.isRecurring === false || req.body.isRecurring === 'false') {
+      expense.isRecurring = false;
+      expense.nextDueDate = null;
+    }
+    if (expense.status === 'paid' && !expense.paidDate) {
+      expense.paidDate = new Date();
+    }
+    expense.receipts.push(...receiptsFrom(req.files));
+    await expense.save();
+
+    res.json({
+      message: 'Expense updated successfully',
+      expense
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Update expense error:', error);
+    res.status(500).json({ message: 'Server error updating expense' });
+  }
+});
+
+// @route   PUT /api/expenses/:id/pay
+// @desc    Mark an unpaid expense as paid
+// @access  Private (Admin, Property Manager)
+router.put('/:id/pay', authenticateToken, managerAccess, async (req, res) => {
+  try {
+    const { paidDate, paymentMethod, reference } = req.body;
+
+    const expense = await Expense.findById(req.params.id);
+
+    if (!expense) {
+      return res.status(404).json({ message: 'Expense not found' });
+    }
+
+    if (!(await canAccessProperty(req.user, expense.property))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (expense.status !== 'unpaid') {
+      return res.status(400).json({ message: `Expense is ${expense.status} and cannot be paid` });
+    }
+
+    expense.status = 'paid';
+    expense.paidDate = paidDate ? new Date(paidDate) : new Date();
+    if (paymentMethod) expense.paymentMethod = paymentMethod;
+    if (reference) expense.reference = reference;
+    await expense.save();
+
+    res.json({
+      message: 'Expense marked as paid',
+      expense
+    });
+
+  } catch (error) {
+    console.error('Pay expense error:', error);
+    res.status(500).json({ message: 'Server error paying expense' });
+  }
+});
+
+// @route   DELETE /api/expenses/:id/receipts/:receiptId
+// @desc    Remove a receipt from an expense
+// @access  Private (Admin, Property Manager)
+router.delete('/:id/receipts/:receiptId', authenticateToken, managerAccess, async (req, res) => {
+  try {
+    const expense = await Expense.findById(req.params.id);
+
+    if (!expense) {
+      return res.status(404).json({ message: 'Expense not found' });
+    }
+
+    if (!(await canAccessProperty(req.user, expense.property))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const receipt = expense.receipts.id(req.params.receiptId);
+    if (!receipt) {
+      return res.status(404).json({ message: 'Receipt not found' });
+    }
+
+    const receiptPath = path.join(__dirname, '../', receipt.url);
+    if (fs.existsSync(receiptPath)) {
+      fs.unlinkSync(receiptPath);
+    }
+
+    receipt.deleteOne();
+    await expense.save();
+
+    res.json({
+      message: 'Receipt removed successfully',
+      expense
+    });
+
+  } catch (error) {
+    console.error('Delete expense receipt error:', error);
+    res.status(500).json({ message: 'Server error removing receipt' });
+  }
+});
+
+// @route   DELETE /api/expenses/:id
+// @desc    Void an expense (the record and its receipts are kept)
+// @access  Private (Admin, Property Manager)
+router.delete('/:id', authenticateToken, managerAccess, async (req, res) => {
+  try {
+    const expense = await Expense.findById(req.params.id);
+
+    if (!expense) {
+      return res.status(404).json({ message: 'Expense not found' });
+    }
+
+    if (!(await canAccessProperty(req.user, expense.property))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    expense.status = 'void';
+    expense.nextDueDate = null;
+    await expense.save();
+
+    res.json({ message: 'Expense voided successfully' });
+
+  } catch (error) {
+    console.error('Delete expense error:', error);
+    res.status(500).json({ message: 'Server error deleting expense' });
+  }
+});
+
+module.exports = router;
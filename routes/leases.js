@@ -3,6 +3,16 @@ const Lease = require('../models/Lease');
 const Property = require('../models/Property');
 const User = require('../models/User');
 const Payment = require('../models/Payment');
+const Deposit = require('../models/Deposit');
+const ledger = require('../services/ledger');
+const deposits = require('../services/deposits');
+const refunds = require('../services/refunds');
+const lifecycle = require('../services/leaseLifecycle');
+const leaseExpiry = require('../services/leaseExpiry');
+const leaseDocuments = require('../services/leaseDocuments');
+const rentSchedule = require('../services/rentSchedule');
+const recurringCharges = require('../services/recurringCharges');
+const leaseParties = require('../services/leaseParties');
 const { authenticateToken, managerAccess } = require('../middleware/auth');
 
 const router = express.Router();
@@ -29,7 +39,7 @@ router.get('/', authenticateToken, managerAccess, async (req, res) => {
     // Filters
     if (status) query.status = status;
     if (propertyId) query.property = propertyId;
-    if (tenantId) query.tenant = tenantId;
+    if (tenantId) Object.assign(query, leaseParties.partyQuery(tenantId));
     
     if (startDate || endDate) {
       query.startDate = {};
@@ -70,14 +80,16 @@ router.get('/:id', authenticateToken, async (req, res) => {
   try {
     const lease = await Lease.findById(req.params.id)
       .populate('property', 'title address rentAmount images')
-      .populate('tenant', 'name email phone');
+      .populate('tenant', 'name email phone')
+      .populate('parties.user', 'name email phone')
+      .populate('statusHistory.changedBy', 'name role');
 
     if (!lease) {
       return res.status(404).json({ message: 'Lease not found' });
     }
 
     // Role-based access control
-    if (req.user.role === 'tenant' && lease.tenant._id.toString() !== req.user._id.toString()) {
+    if (req.user.role === 'tenant' && !leaseParties.isParty(lease, req.user._id)) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
@@ -88,7 +100,8 @@ router.get('/:id', authenticateToken, async (req, res) => {
 
     res.json({
       lease,
-      payments
+      payments,
+      rentResponsibility: leaseParties.responsibilityFor(lease, lease.monthlyRent)
     });
 
   } catch (error) {
@@ -114,7 +127,11 @@ router.post('/', authenticateToken, managerAccess, async (req, res) => {
       lateFee,
       utilities,
       petDeposit,
-      additionalCharges
+      additionalCharges,
+      proration,
+      currency,
+      parties,
+      rentSchedule: scheduledRent
     } = req.body;
 
     // Validate property
@@ -129,10 +146,13 @@ router.post('/', authenticateToken, managerAccess, async (req, res) => {
       return res.status(400).json({ message: 'Invalid tenant' });
     }
 
+    // Roommates and guarantors; without them the tenant is the sole occupant
+    const partyList = await leaseParties.buildParties(tenantId, parties);
+
     // Check for overlapping leases
     const overlappingLease = await Lease.findOne({
       property: propertyId,
-      status: { $in: ['active', 'pending'] },
+      status: { $in: lifecycle.RUNNING_STATUSES },
       $or: [
         {
           startDate: { $lte: new Date(endDate) },
@@ -148,6 +168,7 @@ router.post('/', authenticateToken, managerAccess, async (req, res) => {
     const leaseData = {
       property: propertyId,
       tenant: tenantId,
+      parties: partyList,
       startDate: new Date(startDate),
       endDate: new Date(endDate),
       monthlyRent: monthlyRent || property.rentAmount,
@@ -158,28 +179,30 @@ router.post('/', authenticateToken, managerAccess, async (req, res) => {
       utilities: utilities || {},
       petDeposit: petDeposit || 0,
       additionalCharges: additionalCharges || [],
+      proration: proration || 'actual_days',
+      currency: currency || property.currency,
       status: 'pending'
     };
 
     const lease = new Lease(leaseData);
-    await lease.save();
 
-    // Update property and tenant
-    property.currentLease = lease._id;
-    property.currentTenant = tenantId;
-    property.status = 'occupied';
-    await property.save();
+    // Check the scheduled rent steps before anything is saved
+    const rentSteps = [].concat(scheduledRent || []);
+    rentSteps.forEach(step => rentSchedule.buildRentSteps(lease, step));
+
+    await lease.save();
 
-    tenant.leaseId = lease._id;
-    tenant.propertyId = propertyId;
-    await tenant.save();
+    for (const step of rentSteps) {
+      await rentSchedule.addRentSteps(lease, { ...step, createdBy: req.user._id });
+    }
 
-    // Create initial payment records
-    await createPaymentSchedule(lease);
+    // Occupy the property and create the initial payment records
+    await lifecycle.startLease(lease, { changedBy: req.user._id });
 
     const populatedLease = await Lease.findById(lease._id)
       .populate('property', 'title address')
-      .populate('tenant', 'name email phone');
+      .populate('tenant', 'name email phone')
+      .populate('parties.user', 'name email phone');
 
     res.status(201).json({
       message: 'Lease created successfully',
@@ -187,11 +210,19 @@ router.post('/', authenticateToken, managerAccess, async (req, res) => {
     });
 
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
     console.error('Create lease error:', error);
     res.status(500).json({ message: 'Server error creating lease' });
   }
 });
 
+// Fields the general update may change. Everything else has its own endpoint so its side effects
+// run: status, parties, deposits, additional charges, the rent schedule and documents; the
+// property, term and rent are fixed once the lease is created, and a new term goes through renewal.
+const EDITABLE_FIELDS = ['leaseTerms', 'paymentDueDate', 'proration', 'lateFee', 'utilities', 'notes'];
+
 // @route   PUT /api/leases/:id
 // @desc    Update lease
 // @access  Private (Admin, Property Manager)
@@ -203,11 +234,15 @@ router.put('/:id', authenticateToken, managerAccess, async (req, res) => {
       return res.status(404).json({ message: 'Lease not found' });
     }
 
-    const updateData = { ...req.body };
-    
-    // Handle date updates
-    if (updateData.startDate) updateData.startDate = new Date(updateData.startDate);
-    if (updateData.endDate) updateData.endDate = new Date(updateData.endDate);
+    // Status changes go through the lifecycle so their side effects run
+    if (req.body.status !== undefined && req.body.status !== lease.status) {
+      return res.status(400).json({ message: 'Use PUT /api/leases/:id/status to change the lease status' });
+    }
+
+    const updateData = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) updateData[field] = req.body[field];
+    });
 
     const updatedLease = await Lease.findByIdAndUpdate(
       req.params.id,
@@ -227,6 +262,182 @@ router.put('/:id', authenticateToken, managerAccess, async (req, res) => {
   }
 });
 
+// @route   PUT /api/leases/:id/parties
+// @desc    Replace the lease's occupants and guarantors and their responsibility shares
+// @access  Private (Admin, Property Manager)
+router.put('/:id/parties', authenticateToken, managerAccess, async (req, res) => {
+  try {
+    const lease = await Lease.findById(req.params.id);
+
+    if (!lease) {
+      return res.status(404).json({ message: 'Lease not found' });
+    }
+    if (!lifecycle.RUNNING_STATUSES.includes(lease.status)) {
+      return res.status(400).json({ message: `Lease is ${lease.status}; its parties can no longer change` });
+    }
+
+    await leaseParties.setParties(lease, req.body.parties);
+    await lease.populate('parties.user', 'name email phone');
+
+    res.json({
+      message: 'Lease parties updated successfully',
+      parties: lease.parties,
+      rentResponsibility: leaseParties.responsibilityFor(lease, lease.monthlyRent)
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Update lease parties error:', error);
+    res.status(500).json({ message: 'Server error updating lease parties' });
+  }
+});
+
+// @route   POST /api/leases/:id/additional-charges
+// @desc    Add a monthly or one-time charge to the lease, raising it if the lease is billing
+// @access  Private (Admin, Property Manager)
+router.post('/:id/additional-charges', authenticateToken, managerAccess, async (req, res) => {
+  try {
+    const lease = await Lease.findById(req.params.id);
+
+    if (!lease) {
+      return res.status(404).json({ message: 'Lease not found' });
+    }
+    if (!lifecycle.RUNNING_STATUSES.includes(lease.status)) {
+      return res.status(400).json({ message: `Lease is ${lease.status}; its charges can no longer change` });
+    }
+
+    const { description, amount, frequency } = req.body;
+    const { additional, charges } = await recurringCharges.addAdditionalCharge(
+      lease,
+      { description, amount, frequency },
+      { postedBy: req.user._id }
+    );
+
+    res.status(201).json({
+      message: 'Additional charge added successfully',
+      additionalCharge: additional,
+      charges
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Add additional charge error:', error);
+    res.status(500).json({ message: 'Server error adding additional charge' });
+  }
+});
+
+// @route   PUT /api/leases/:id/additional-charges/:chargeId
+// @desc    Change an additional charge's description or amount for charges raised from now on
+// @access  Private (Admin, Property Manager)
+router.put('/:id/additional-charges/:chargeId', authenticateToken, managerAccess, async (req, res) => {
+  try {
+    const lease = await Lease.findById(req.params.id);
+
+    if (!lease) {
+      return res.status(404).json({ message: 'Lease not found' });
+    }
+    if (!lifecycle.RUNNING_STATUSES.includes(lease.status)) {
+      return res.status(400).json({ message: `Lease is ${lease.status}; its charges can no longer change` });
+    }
+
+    const { description, amount, frequency } = req.body;
+    const additional = await recurringCharges.updateAdditionalCharge(lease, req.params.chargeId, {
+      description,
+      amount,
+      frequency
+    });
+
+    res.json({
+      message: 'Additional charge updated successfully',
+      additionalCharge: additional
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Update additional charge error:', error);
+    res.status(500).json({ message: 'Server error updating additional charge' });
+  }
+});
+
+// @route   DELETE /api/leases/:id/additional-charges/:chargeId
+// @desc    Remove an additional charge, stopping its series and voiding unpaid charges not yet due
+// @access  Private (Admin, Property Manager)
+router.delete('/:id/additional-charges/:chargeId', authenticateToken, managerAccess, async (req, res) => {
+  try {
+    const lease = await Lease.findById(req.params.id);
+
+    if (!lease) {
+      return res.status(404).json({ message: 'Lease not found' });
+    }
+    if (!lifecycle.RUNNING_STATUSES.includes(lease.status)) {
+      return res.status(400).json({ message: `Lease is ${lease.status}; its charges can no longer change` });
+    }
+
+    const result = await recurringCharges.removeAdditionalCharge(lease, req.params.chargeId, {
+      postedBy: req.user._id
+    });
+
+    res.json({
+      message: 'Additional charge removed successfully',
+      ...result
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Remove additional charge error:', error);
+    res.status(500).json({ message: 'Server error removing additional charge' });
+  }
+});
+
+// @route   PUT /api/leases/:id/status
+// @desc    Move a lease through its lifecycle (pending -> active -> expired/terminated/renewed)
+// @access  Private (Admin, Property Manager)
+router.put('/:id/status', authenticateToken, managerAccess, async (req, res) => {
+  try {
+    const { status, reason, ...options } = req.body;
+    const lease = await Lease.findById(req.params.id);
+
+    if (!lease) {
+      return res.status(404).json({ message: 'Lease not found' });
+    }
+    if (!status) {
+      return res.status(400).json({ message: 'status is required' });
+    }
+    // Renewals are made by accepting a renewal offer
+    if (status === 'renewed') {
+      return res.status(400).json({ message: 'Leases are renewed by accepting a renewal offer' });
+    }
+
+    const result = await lifecycle.transitionLease(lease, status, {
+      ...options,
+      reason,
+      changedBy: req.user._id
+    });
+
+    res.json({
+      message: `Lease status changed to ${status}`,
+      lease,
+      rentAdjustments: result.rentAdjustments,
+      depositDisposition: result.deposit && result.deposit.status === 'disposed' ? result.deposit.disposition : undefined
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Change lease status error:', error);
+    res.status(500).json({ message: 'Server error changing lease status' });
+  }
+});
+
 // @route   PUT /api/leases/:id/activate
 // @desc    Activate lease
 // @access  Private (Admin, Property Manager)
@@ -238,8 +449,10 @@ router.put('/:id/activate', authenticateToken, managerAccess, async (req, res) =
       return res.status(404).json({ message: 'Lease not found' });
     }
 
-    lease.status = 'active';
-    await lease.save();
+    await lifecycle.transitionLease(lease, 'active', {
+      reason: req.body.reason,
+      changedBy: req.user._id
+    });
 
     res.json({
       message: 'Lease activated successfully',
@@ -247,49 +460,417 @@ router.put('/:id/activate', authenticateToken, managerAccess, async (req, res) =
     });
 
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
     console.error('Activate lease error:', error);
     res.status(500).json({ message: 'Server error activating lease' });
   }
 });
 
 // @route   PUT /api/leases/:id/terminate
-// @desc    Terminate lease
+// @desc    Terminate lease and settle the security deposit
 // @access  Private (Admin, Property Manager)
 router.put('/:id/terminate', authenticateToken, managerAccess, async (req, res) => {
   try {
+    const {
+      terminationDate,
+      moveOutDate,
+      deductions,
+      applyDepositToBalance = true,
+      disposeDeposit = true,
+      reason
+    } = req.body;
     const lease = await Lease.findById(req.params.id);
     
     if (!lease) {
       return res.status(404).json({ message: 'Lease not found' });
     }
 
-    lease.status = 'terminated';
-    await lease.save();
-
-    // Update property status
-    await Property.findByIdAndUpdate(lease.property, {
-      currentTenant: null,
-      currentLease: null,
-      status: 'available'
-    });
-
-    // Update tenant
-    await User.findByIdAndUpdate(lease.tenant, {
-      propertyId: null,
-      leaseId: null
+    const { rentAdjustments, deposit } = await lifecycle.transitionLease(lease, 'terminated', {
+      terminationDate,
+      moveOutDate,
+      deductions,
+      applyDepositToBalance,
+      disposeDeposit,
+      reason,
+      changedBy: req.user._id
     });
 
     res.json({
       message: 'Lease terminated successfully',
-      lease
+      lease,
+      rentAdjustments,
+      depositDisposition: deposit && deposit.status === 'disposed' ? deposit.disposition : null
     });
 
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
     console.error('Terminate lease error:', error);
     res.status(500).json({ message: 'Server error terminating lease' });
   }
 });
 
+// @route   POST /api/leases/:id/agreement
+// @desc    Generate the lease agreement PDF from a template (the best published match unless templateId is given)
+// @access  Private (Admin, Property Manager)
+router.post('/:id/agreement', authenticateToken, managerAccess, async (req, res) => {
+  try {
+    const lease = await Lease.findById(req.params.id);
+
+    if (!lease) {
+      return res.status(404).json({ message: 'Lease not found' });
+    }
+
+    const { templateId, templateName } = req.body;
+    const { template, document } = await leaseDocuments.generateLeaseDocument(lease, {
+      templateId,
+      name: templateName
+    });
+
+    res.status(201).json({
+      message: 'Lease agreement generated successfully',
+      template: { _id: template._id, name: template.name, version: template.version },
+      document
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Generate lease agreement error:', error);
+    res.status(500).json({ message: 'Server error generating lease agreement' });
+  }
+});
+
+// @route   GET /api/leases/:id/rent-schedule
+// @desc    Get the scheduled rent changes for a lease
+// @access  Private
+router.get('/:id/rent-schedule', authenticateToken, async (req, res) => {
+  try {
+    const lease = await Lease.findById(req.params.id)
+      .populate('rentSchedule.createdBy', 'name email');
+
+    if (!lease) {
+      return res.status(404).json({ message: 'Lease not found' });
+    }
+
+    // Role-based access control
+    if (req.user.role === 'tenant' && !leaseParties.isParty(lease, req.user._id)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    res.json({
+      lease: lease._id,
+      currency: lease.currency,
+      startingRent: lease.monthlyRent,
+      currentRent: rentSchedule.rentOn(lease, new Date()),
+      steps: [...lease.rentSchedule].sort((a, b) => a.effectiveDate - b.effectiveDate)
+    });
+
+  } catch (error) {
+    console.error('Get rent schedule error:', error);
+    res.status(500).json({ message: 'Server error fetching rent schedule' });
+  }
+});
+
+// @route   POST /api/leases/:id/rent-schedule
+// @desc    Schedule a rent change, or one on every lease anniversary (repeat: 'anniversary')
+// @access  Private (Admin, Property Manager)
+router.post('/:id/rent-schedule', authenticateToken, managerAccess, async (req, res) => {
+  try {
+    const lease = await Lease.findById(req.params.id);
+
+    if (!lease) {
+      return res.status(404).json({ message: 'Lease not found' });
+    }
+    if (!['active', 'pending'].includes(lease.status)) {
+      return res.status(400).json({ message: 'Rent can only be scheduled on an active or pending lease' });
+    }
+
+    const { effectiveDate, type, percentage, amount, noticeDays, repeat, notes } = req.body;
+    const steps = await rentSchedule.addRentSteps(lease, {
+      effectiveDate,
+      type,
+      percentage,
+      amount,
+      noticeDays,
+      repeat,
+      notes,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      message: 'Rent change scheduled successfully',
+      steps,
+      rentSchedule: lease.rentSchedule
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Schedule rent change error:', error);
+    res.status(500).json({ message: 'Server error scheduling rent change' });
+  }
+});
+
+// @route   DELETE /api/leases/:id/rent-schedule/:stepId
+// @desc    Remove a scheduled rent change that has not been notified or charged
+// @access  Private (Admin, Property Manager)
+router.delete('/:id/rent-schedule/:stepId', authenticateToken, managerAccess, async (req, res) => {
+  try {
+    const lease = await Lease.findById(req.params.id);
+
+    if (!lease) {
+      return res.status(404).json({ message: 'Lease not found' });
+    }
+
+    await rentSchedule.removeRentStep(lease, req.params.stepId);
+
+    res.json({
+      message: 'Rent change removed successfully',
+      rentSchedule: lease.rentSchedule
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Remove rent change error:', error);
+    res.status(500).json({ message: 'Server error removing rent change' });
+  }
+});
+
+// @route   POST /api/leases/:id/rent-schedule/:stepId/notice
+// @desc    Generate the rent change notice letter now rather than waiting for the notice period
+// @access  Private (Admin, Property Manager)
+router.post('/:id/rent-schedule/:stepId/notice', authenticateToken, managerAccess, async (req, res) => {
+  try {
+    const lease = await Lease.findById(req.params.id)
+      .populate('tenant', 'name email')
+      .populate('property', 'title address company');
+
+    if (!lease) {
+      return res.status(404).json({ message: 'Lease not found' });
+    }
+
+    const step = lease.rentSchedule.id(req.params.stepId);
+    if (!step) {
+      return res.status(404).json({ message: 'Rent step not found' });
+    }
+    if (step.notice?.generatedAt) {
+      return res.status(400).json({ message: 'A notice has already been generated for this rent change', notice: step.notice });
+    }
+
+    await rentSchedule.createRentNotice(lease, step);
+
+    res.status(201).json({
+      message: 'Rent change notice generated successfully',
+      step
+    });
+
+  } catch (error) {
+    console.error('Generate rent notice error:', error);
+    res.status(500).json({ message: 'Server error generating rent notice' });
+  }
+});
+
+// @route   GET /api/leases/:id/deposit
+// @desc    Get security deposit status for a lease
+// @access  Private
+router.get('/:id/deposit', authenticateToken, async (req, res) => {
+  try {
+    const lease = await Lease.findById(req.params.id);
+
+    if (!lease) {
+      return res.status(404).json({ message: 'Lease not found' });
+    }
+
+    // Role-based access control
+    if (req.user.role === 'tenant' && !leaseParties.isParty(lease, req.user._id)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const deposit = await deposits.findDeposit(lease);
+    const populatedDeposit = await deposit.populate('deductions.maintenance', 'title actualCost status');
+
+    res.json(populatedDeposit.toObject({ virtuals: true }));
+
+  } catch (error) {
+    console.error('Get deposit error:', error);
+    res.status(500).json({ message: 'Server error fetching deposit' });
+  }
+});
+
+// @route   PUT /api/leases/:id/deposit
+// @desc    Change the security and pet deposit amounts, keeping the deposit record in step
+// @access  Private (Admin, Property Manager)
+router.put('/:id/deposit', authenticateToken, managerAccess, async (req, res) => {
+  try {
+    const lease = await Lease.findById(req.params.id);
+
+    if (!lease) {
+      return res.status(404).json({ message: 'Lease not found' });
+    }
+
+    const { securityDeposit, petDeposit } = req.body;
+    const deposit = await deposits.setDepositAmounts(lease, {
+      securityDeposit,
+      petDeposit,
+      postedBy: req.user._id
+    });
+
+    res.json({
+      message: 'Deposit amounts updated successfully',
+      securityDeposit: lease.securityDeposit,
+      petDeposit: lease.petDeposit,
+      deposit
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Update deposit amounts error:', error);
+    res.status(500).json({ message: 'Server error updating deposit amounts' });
+  }
+});
+
+// @route   POST /api/leases/:id/deposit/collect
+// @desc    Record security or pet deposit collected
+// @access  Private (Admin, Property Manager)
+router.post('/:id/deposit/collect', authenticateToken, managerAccess, async (req, res) => {
+  try {
+    const lease = await Lease.findById(req.params.id);
+
+    if (!lease) {
+      return res.status(404).json({ message: 'Lease not found' });
+    }
+
+    const { amount, depositType, paymentMethod, paidDate, transactionId } = req.body;
+    const deposit = await deposits.collectDeposit(lease, {
+      amount,
+      depositType,
+      paymentMethod,
+      paidDate,
+      transactionId,
+      postedBy: req.user._id
+    });
+
+    res.json({
+      message: 'Deposit collection recorded successfully',
+      deposit
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Collect deposit error:', error);
+    res.status(500).json({ message: 'Server error recording deposit' });
+  }
+});
+
+// @route   POST /api/leases/:id/deposit/deductions
+// @desc    Add an itemized move-out deduction
+// @access  Private (Admin, Property Manager)
+router.post('/:id/deposit/deductions', authenticateToken, managerAccess, async (req, res) => {
+  try {
+    const lease = await Lease.findById(req.params.id);
+
+    if (!lease) {
+      return res.status(404).json({ message: 'Lease not found' });
+    }
+
+    const { description, category, amount, maintenanceId } = req.body;
+    const deposit = await deposits.addDeduction(lease, {
+      description,
+      category,
+      amount,
+      maintenanceId,
+      postedBy: req.user._id
+    });
+
+    res.status(201).json({
+      message: 'Deduction added successfully',
+      deposit
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Add deposit deduction error:', error);
+    res.status(500).json({ message: 'Server error adding deduction' });
+  }
+});
+
+// @route   DELETE /api/leases/:id/deposit/deductions/:deductionId
+// @desc    Remove a move-out deduction before disposition
+// @access  Private (Admin, Property Manager)
+router.delete('/:id/deposit/deductions/:deductionId', authenticateToken, managerAccess, async (req, res) => {
+  try {
+    const lease = await Lease.findById(req.params.id);
+
+    if (!lease) {
+      return res.status(404).json({ message: 'Lease not found' });
+    }
+
+    const deposit = await deposits.removeDeduction(lease, req.params.deductionId);
+
+    res.json({
+      message: 'Deduction removed successfully',
+      deposit
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Remove deposit deduction error:', error);
+    res.status(500).json({ message: 'Server error removing deduction' });
+  }
+});
+
+// @route   GET /api/leases/:id/deposit/statement
+// @desc    Get the move-out deposit disposition statement
+// @access  Private
+router.get('/:id/deposit/statement', authenticateToken, async (req, res) => {
+  try {
+    const lease = await Lease.findById(req.params.id)
+      .populate('property', 'title address')
+      .populate('tenant', 'name email phone');
+
+    if (!lease) {
+      return res.status(404).json({ message: 'Lease not found' });
+    }
+
+    // Role-based access control
+    if (req.user.role === 'tenant' && !leaseParties.isParty(lease, req.user._id)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const deposit = await Deposit.findOne({ lease: lease._id });
+
+    if (!deposit || deposit.status !== 'disposed') {
+      return res.status(404).json({ message: 'Deposit has not been disposed yet' });
+    }
+
+    res.json({
+      ...deposit.disposition.statement,
+      property: lease.property,
+      tenant: lease.tenant
+    });
+
+  } catch (error) {
+    console.error('Get deposit statement error:', error);
+    res.status(500).json({ message: 'Server error fetching deposit statement' });
+  }
+});
+
 // @route   GET /api/leases/expiring
 // @desc    Get leases expiring soon
 // @access  Private (Admin, Property Manager)
@@ -315,47 +896,70 @@ router.get('/expiring/soon', authenticateToken, managerAccess, async (req, res)
   }
 });
 
-// Helper function to create payment schedule
-async function createPaymentSchedule(lease) {
+// @route   POST /api/leases/expiry/run
+// @desc    Expire ended leases now instead of waiting for the daily job
+// @access  Private (Admin, Property Manager)
+router.post('/expiry/run', authenticateToken, managerAccess, async (req, res) => {
   try {
-    const payments = [];
-    const startDate = new Date(lease.startDate);
-    const endDate = new Date(lease.endDate);
-    
-    let currentDate = new Date(startDate);
-    currentDate.setDate(lease.paymentDueDate);
-    
-    // If the due date has passed for the start month, move to next month
-    if (currentDate < startDate) {
-      currentDate.setMonth(currentDate.getMonth() + 1);
-    }
-
-    while (currentDate <= endDate) {
-      const payment = new Payment({
-        lease: lease._id,
-        tenant: lease.tenant,
-        property: lease.property,
-        amount: lease.monthlyRent,
-        paymentType: 'rent',
-        paymentMethod: 'pending',
-        dueDate: new Date(currentDate),
-        status: 'pending',
-        description: `Monthly rent for ${currentDate.toLocaleDateString('en-US', { month: 'long', year: 'numeric' })}`,
-        isRecurring: true,
-        recurringPeriod: 'monthly'
-      });
+    const result = await leaseExpiry.expireLeases({ leaseId: req.body.leaseId });
+
+    res.json({
+      message: `${result.count} lease(s) updated`,
+      ...result
+    });
 
-      payments.push(payment);
-      
-      // Move to next month
-      currentDate.setMonth(currentDate.getMonth() + 1);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
     }
+    console.error('Run lease expiry error:', error);
+    res.status(500).json({ message: 'Server error expiring leases' });
+  }
+});
+
+// @route   GET /api/leases/integrity/occupancy
+// @desc    Report properties, leases and tenants whose occupancy links disagree
+// @access  Private (Admin, Property Manager)
+router.get('/integrity/occupancy', authenticateToken, managerAccess, async (req, res) => {
+  try {
+    const result = await leaseExpiry.checkOccupancy();
+    res.json(result);
 
-    await Payment.insertMany(payments);
   } catch (error) {
-    console.error('Error creating payment schedule:', error);
+    console.error('Occupancy check error:', error);
+    res.status(500).json({ message: 'Server error checking occupancy' });
   }
-}
+});
+
+// @route   GET /api/leases/:id/ledger
+// @desc    Get ledger entries with running balance for a lease
+// @access  Private
+router.get('/:id/ledger', authenticateToken, async (req, res) => {
+  try {
+    const lease = await Lease.findById(req.params.id);
+
+    if (!lease) {
+      return res.status(404).json({ message: 'Lease not found' });
+    }
+
+    // Role-based access control
+    if (req.user.role === 'tenant' && !leaseParties.isParty(lease, req.user._id)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const { from, to } = req.query;
+    const result = await ledger.getLedger({ leaseId: lease._id }, { from, to });
+
+    res.json({
+      lease: lease._id,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Get lease ledger error:', error);
+    res.status(500).json({ message: 'Server error fetching lease ledger' });
+  }
+});
 
 // @route   DELETE /api/leases/:id
 // @desc    Delete lease
@@ -371,12 +975,23 @@ router.delete('/:id', authenticateToken, managerAccess, async (req, res) => {
       $unset: { currentLease: '', currentTenant: '' },
       status: 'available',
     });
-    // Remove lease and property reference from tenant
-    await User.findByIdAndUpdate(lease.tenant, {
+    // Remove lease and property reference from every tenant on the lease
+    await User.updateMany({ _id: { $in: leaseParties.partiesOf(lease).map(p => p.user) }, leaseId: lease._id }, {
       $unset: { leaseId: '', propertyId: '' },
     });
-    // Delete associated payments
-    await Payment.deleteMany({ lease: lease._id });
+    // Void the lease's charges so their history is kept, and stop any recurring series
+    await Payment.updateMany({ lease: lease._id, nextDueDate: { $ne: null } }, { nextDueDate: null });
+    const paymentIds = await Payment.find({ lease: lease._id, relatedPayment: null }).distinct('_id');
+    for (const paymentId of paymentIds) {
+      // Re-read each charge: voiding one also voids the late fees raised on it
+      const payment = await Payment.findOne({ _id: paymentId, status: { $ne: 'void' } });
+      if (!payment) continue;
+      await refunds.voidPayment(payment, {
+        reason: `Lease ${lease._id} deleted`,
+        postedBy: req.user._id,
+        force: true
+      });
+    }
     // Delete the lease itself
     await Lease.findByIdAndDelete(lease._id);
     res.json({ message: 'Lease deleted successfully' });
@@ -4,6 +4,8 @@ const path = require('path');
 const fs = require('fs');
 const Maintenance = require('../models/Maintenance');
 const Property = require('../models/Property');
+const { syncMaintenanceExpense } = require('../services/expenses');
+const leaseParties = require('../services/leaseParties');
 const { authenticateToken, managerAccess } = require('../middleware/auth');
 
 const router = express.Router();
@@ -151,7 +153,7 @@ router.post('/', authenticateToken, upload.array('images', 5), async (req, res)
     // Role-based validation
     if (req.user.role === 'tenant' && 
         property.currentTenant && 
-        property.currentTenant.toString() !== req.user._id.toString()) {
+        !leaseParties.livesAt(req.user, property)) {
       return res.status(403).json({ message: 'You can only create requests for your assigned property' });
     }
 
@@ -247,6 +249,9 @@ router.put('/:id', authenticateToken, upload.array('images', 5), async (req, res
     ).populate('property', 'title address')
      .populate('assignedTo', 'name email phone');
 
+    // Completed work with a cost becomes a property expense
+    await syncMaintenanceExpense(updatedMaintenance, { recordedBy: req.user._id });
+
     res.json({
       message: 'Maintenance request updated successfully',
       maintenance: updatedMaintenance
@@ -331,7 +336,7 @@ router.put('/:id/assign', authenticateToken, managerAccess, async (req, res) =>
 // @access  Private (Admin, Property Manager, or assigned user)
 router.put('/:id/status', authenticateToken, async (req, res) => {
   try {
-    const { status } = req.body;
+    const { status, actualCost } = req.body;
     
     const maintenance = await Maintenance.findById(req.params.id);
     
@@ -349,6 +354,9 @@ router.put('/:id/status', authenticateToken, async (req, res) => {
     }
 
     const updateData = { status };
+    if (actualCost !== undefined) {
+      updateData.actualCost = Number(actualCost);
+    }
     
     // Set completion date if marking as completed
     if (status === 'completed' && maintenance.status !== 'completed') {
@@ -362,6 +370,8 @@ router.put('/:id/status', authenticateToken, async (req, res) => {
     ).populate('property', 'title address')
      .populate('assignedTo', 'name email');
 
+    await syncMaintenanceExpense(updatedMaintenance, { recordedBy: req.user._id });
+
     res.json({
       message: 'Status updated successfully',
       maintenance: updatedMaintenance
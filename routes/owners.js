@@ -0,0 +1,327 @@
+const express = require('express');
+const Owner = require('../models/Owner');
+const OwnerStatement = require('../models/OwnerStatement');
+const Property = require('../models/Property');
+const pdf = require('../services/pdf');
+const ownerStatements = require('../services/ownerStatements');
+const { authenticateToken, managerAccess } = require('../middleware/auth');
+
+const router = express.Router();
+
+// @route   GET /api/owners/statements
+// @desc    List owner statements (filter by ownerId, month=YYYY-MM, status)
+// @access  Private (Admin, Property Manager)
+router.get('/statements', authenticateToken, managerAccess, async (req, res) => {
+  try {
+    const { ownerId, month, status } = req.query;
+
+    const query = {};
+    if (ownerId) query.owner = ownerId;
+    if (status) query.status = status;
+    if (month) query.periodStart = ownerStatements.monthPeriod(month).start;
+
+    const statements = await OwnerStatement.find(query)
+      .populate('owner', 'name email company')
+      .sort({ periodStart: -1 });
+
+    res.json(statements);
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Get owner statements error:', error);
+    res.status(500).json({ message: 'Server error fetching owner statements' });
+  }
+});
+
+// @route   POST /api/owners/statements/generate
+// @desc    Generate monthly owner statements (defaults to last month, all owners)
+// @access  Private (Admin, Property Manager)
+router.post('/statements/generate', authenticateToken, managerAccess, async (req, res) => {
+  try {
+    const { month, ownerId } = req.body;
+
+    const result = await ownerStatements.generateOwnerStatements({
+      month,
+      ownerId,
+      generatedBy: req.user._id
+    });
+
+    res.json({
+      message: `${result.count} owner statement(s) generated`,
+      ...result
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Generate owner statements error:', error);
+    res.status(500).json({ message: 'Server error generating owner statements' });
+  }
+});
+
+// @route   GET /api/owners/statements/:statementId
+// @desc    Get an owner statement (?format=pdf to download)
+// @access  Private (Admin, Property Manager)
+router.get('/statements/:statementId', authenticateToken, managerAccess, async (req, res) => {
+  try {
+    const statement = await OwnerStatement.findById(req.params.statementId)
+      .populate('owner', 'name email phone company payoutMethod');
+
+    if (!statement) {
+      return res.status(404).json({ message: 'Owner statement not found' });
+    }
+
+    if (req.query.format === 'pdf') {
+      const month = statement.periodStart.toISOString().slice(0, 7);
+      return pdf.sendPdf(res, `owner-statement-${month}-${statement.owner._id}.pdf`,
+        doc => ownerStatements.renderOwnerStatementPdf(doc, statement));
+    }
+
+    res.json(statement);
+
+  } catch (error) {
+    console.error('Get owner statement error:', error);
+    res.status(500).json({ message: 'Server error fetching owner statement' });
+  }
+});
+
+// @route   PUT /api/owners/statements/:statementId/approve
+// @desc    Approve a draft statement; approved statements are no longer regenerated
+// @access  Private (Admin, Property Manager)
+router.put('/statements/:statementId/approve', authenticateToken, managerAccess, async (req, res) => {
+  try {
+    const statement = await OwnerStatement.findOneAndUpdate(
+      { _id: req.params.statementId, status: 'draft' },
+      { status: 'approved', approvedBy: req.user._id },
+      { new: true }
+    );
+
+    if (!statement) {
+      return res.status(400).json({ message: 'Statement not found or not a draft' });
+    }
+
+    res.json({ message: 'Statement approved', statement });
+
+  } catch (error) {
+    console.error('Approve owner statement error:', error);
+    res.status(500).json({ message: 'Server error approving owner statement' });
+  }
+});
+
+// @route   PUT /api/owners/statements/:statementId/paid
+// @desc    Record the payout of an approved statement
+// @access  Private (Admin, Property Manager)
+router.put('/statements/:statementId/paid', authenticateToken, managerAccess, async (req, res) => {
+  try {
+    const { payoutReference, paidAt } = req.body;
+
+    const statement = await OwnerStatement.findOneAndUpdate(
+      { _id: req.params.statementId, status: 'approved' },
+      {
+        status: 'paid',
+        paidAt: paidAt ? new Date(paidAt) : new Date(),
+        payoutReference: payoutReference || ''
+      },
+      { new: true }
+    );
+
+    if (!statement) {
+      return res.status(400).json({ message: 'Statement not found or not approved' });
+    }
+
+    res.json({ message: 'Payout recorded', statement });
+
+  } catch (error) {
+    console.error('Record owner payout error:', error);
+    res.status(500).json({ message: 'Server error recording payout' });
+  }
+});
+
+// @route   GET /api/owners
+// @desc    Get all owners
+// @access  Private (Admin, Property Manager)
+router.get('/', authenticateToken, managerAccess, async (req, res) => {
+  try {
+    const { page = 1, limit = 10, search, status } = req.query;
+
+    const query = { isActive: status ? status === 'active' : true };
+    if (search) {
+      query.$or = [
+        { name: { $regex: search, $options: 'i' } },
+        { email: { $regex: search, $options: 'i' } },
+        { company: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const owners = await Owner.find(query)
+      .sort({ name: 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Owner.countDocuments(query);
+
+    res.json({
+      owners,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+
+  } catch (error) {
+    console.error('Get owners error:', error);
+    res.status(500).json({ message: 'Server error fetching owners' });
+  }
+});
+
+// @route   GET /api/owners/:id
+// @desc    Get owner with their properties
+// @access  Private (Admin, Property Manager)
+router.get('/:id', authenticateToken, managerAccess, async (req, res) => {
+  try {
+    const owner = await Owner.findById(req.params.id);
+
+    if (!owner) {
+      return res.status(404).json({ message: 'Owner not found' });
+    }
+
+    const properties = await Property.find({ owner: owner._id })
+      .select('title address status rentAmount currentTenant')
+      .populate('currentTenant', 'name email');
+
+    res.json({ ...owner.toObject(), properties });
+
+  } catch (error) {
+    console.error('Get owner error:', error);
+    res.status(500).json({ message: 'Server error fetching owner' });
+  }
+});
+
+// @route   POST /api/owners
+// @desc    Create owner
+// @access  Private (Admin, Property Manager)
+router.post('/', authenticateToken, managerAccess, async (req, res) => {
+  try {
+    const { name, email, phone, company, address, managementFee, leasingFee, payoutMethod, payoutDetails, notes } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ message: 'Name is required' });
+    }
+
+    const owner = new Owner({
+      name,
+      email,
+      phone,
+      company,
+      address,
+      managementFee,
+      leasingFee,
+      payoutMethod,
+      payoutDetails,
+      notes,
+      createdBy: req.user._id
+    });
+    await owner.save();
+
+    res.status(201).json({
+      message: 'Owner created successfully',
+      owner
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Create owner error:', error);
+    res.status(500).json({ message: 'Server error creating owner' });
+  }
+});
+
+// @route   PUT /api/owners/:id
+// @desc    Update owner details and fee terms
+// @access  Private (Admin, Property Manager)
+router.put('/:id', authenticateToken, managerAccess, async (req, res) => {
+  try {
+    const owner = await Owner.findById(req.params.id);
+
+    if (!owner) {
+      return res.status(404).json({ message: 'Owner not found' });
+    }
+
+    const fields = ['name', 'email', 'phone', 'company', 'address', 'managementFee', 'leasingFee', 'payoutMethod', 'payoutDetails', 'notes', 'isActive'];
+    fields.forEach(field => {
+      if (req.body[field] !== undefined) owner.set(field, req.body[field]);
+    });
+    await owner.save();
+
+    res.json({
+      message: 'Owner updated successfully',
+      owner
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Update owner error:', error);
+    res.status(500).json({ message: 'Server error updating owner' });
+  }
+});
+
+// @route   PUT /api/owners/:id/properties
+// @desc    Assign properties to an owner
+// @access  Private (Admin, Property Manager)
+router.put('/:id/properties', authenticateToken, managerAccess, async (req, res) => {
+  try {
+    const { propertyIds } = req.body;
+
+    if (!Array.isArray(propertyIds) || propertyIds.length === 0) {
+      return res.status(400).json({ message: 'propertyIds must be a non-empty array' });
+    }
+
+    const owner = await Owner.findById(req.params.id);
+    if (!owner) {
+      return res.status(404).json({ message: 'Owner not found' });
+    }
+
+    const result = await Property.updateMany({ _id: { $in: propertyIds } }, { owner: owner._id });
+
+    res.json({
+      message: `${result.modifiedCount} propert${result.modifiedCount === 1 ? 'y' : 'ies'} assigned`
+    });
+
+  } catch (error) {
+    console.error('Assign owner properties error:', error);
+    res.status(500).json({ message: 'Server error assigning properties' });
+  }
+});
+
+// @route   DELETE /api/owners/:id
+// @desc    Deactivate owner (statements are kept)
+// @access  Private (Admin, Property Manager)
+router.delete('/:id', authenticateToken, managerAccess, async (req, res) => {
+  try {
+    const owner = await Owner.findById(req.params.id);
+
+    if (!owner) {
+      return res.status(404).json({ message: 'Owner not found' });
+    }
+
+    if (await Property.exists({ owner: owner._id })) {
+      return res.status(400).json({ message: 'Reassign this owner\'s properties before removing them' });
+    }
+
+    owner.isActive = false;
+    await owner.save();
+
+    res.json({ message: 'Owner deactivated successfully' });
+
+  } catch (error) {
+    console.error('Delete owner error:', error);
+    res.status(500).json({ message: 'Server error deleting owner' });
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,23 @@
 const express = require('express');
 const Payment = require('../models/Payment');
 const Lease = require('../models/Lease');
-const { authenticateToken, managerAccess } = require('../middleware/auth');
+const LedgerEntry = require('../models/LedgerEntry');
+const ledger = require('../services/ledger');
+const allocation = require('../services/allocation');
+const { assessLateFees } = require('../services/lateFees');
+const { addPeriod, generateRecurringCharges, PERIOD_MONTHS } = require('../services/recurringCharges');
+const paymentDocuments = require('../services/paymentDocuments');
+const refunds = require('../services/refunds');
+const pdf = require('../services/pdf');
+const NumberingScheme = require('../models/NumberingScheme');
+const PaymentIntent = require('../models/PaymentIntent');
+const checkout = require('../services/checkout');
+const gateways = require('../services/gateways');
+const leaseParties = require('../services/leaseParties');
+const { DEFAULT_SCHEMES } = require('../services/numbering');
+const { currencyField, normalizeCurrency, createConverter, sumConverted } = require('../services/currency');
+const { roundAmount, fromMinorTotals } = require('../services/money');
+const { authenticateToken, managerAccess, adminOnly } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -75,19 +91,47 @@ router.put('/:id', authenticateToken, managerAccess, async (req, res) => {
     if (!payment) {
       return res.status(404).json({ message: 'Payment not found' });
     }
+    if (payment.status === 'void' || payment.relatedPayment) {
+      return res.status(400).json({ message: 'Void charges and refund or reversal records cannot be edited' });
+    }
     // If leaseId is being changed, validate it
     if (leaseId && leaseId !== String(payment.lease)) {
+      // Posted entries belong to the original tenant and lease; moving the charge would strand them
+      if (await LedgerEntry.exists({ payment: payment._id })) {
+        return res.status(400).json({ message: 'This charge is already posted to the ledger; void it and raise a new charge on the other lease' });
+      }
       const lease = await Lease.findById(leaseId);
       if (!lease) return res.status(400).json({ message: 'Lease not found' });
       payment.lease = leaseId;
       payment.tenant = lease.tenant;
       payment.property = lease.property;
     }
-    if (amount !== undefined) payment.amount = amount;
+    const previousAmount = payment.amount;
+    if (amount !== undefined) {
+      const value = roundAmount(Number(amount));
+      if (isNaN(value) || value < 0) {
+        return res.status(400).json({ message: 'Amount must be a non-negative number' });
+      }
+      // Money already received stays allocated to the charge, so it can't drop below it
+      if (value < (payment.paidAmount || 0)) {
+        return res.status(400).json({ message: `Amount cannot be less than the ${payment.paidAmount} already paid` });
+      }
+      payment.amount = value;
+    }
     if (dueDate !== undefined) payment.dueDate = new Date(dueDate);
     if (paymentType !== undefined) payment.paymentType = paymentType;
     if (paymentMethod !== undefined) payment.paymentMethod = paymentMethod;
+    // A changed amount can settle or reopen the charge
+    if (['pending', 'partial', 'completed'].includes(payment.status)) {
+      const paid = payment.paidAmount || 0;
+      payment.status = paid >= payment.amount ? 'completed' : (paid > 0 ? 'partial' : 'pending');
+    }
     await payment.save();
+
+    // Keep the ledger in step with the edited charge
+    if (payment.amount !== previousAmount) {
+      await ledger.recordAdjustment(payment, roundAmount(payment.amount - previousAmount), { postedBy: req.user._id });
+    }
     const populatedPayment = await Payment.findById(payment._id)
       .populate('tenant', 'name email')
       .populate('property', 'title address');
@@ -113,7 +157,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
     }
 
     // Role-based access control
-    if (req.user.role === 'tenant' && payment.tenant._id.toString() !== req.user._id.toString()) {
+    if (req.user.role === 'tenant' && !(await leaseParties.canAccessCharge(req.user, payment))) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
@@ -125,6 +169,47 @@ router.get('/:id', authenticateToken, async (req, res) => {
   }
 });
 
+// Shared handler for the receipt and invoice downloads
+const downloadDocument = (kind) => async (req, res) => {
+  try {
+    const payment = await Payment.findById(req.params.id);
+
+    if (!payment) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+
+    // Role-based access control
+    if (req.user.role === 'tenant' && !(await leaseParties.canAccessCharge(req.user, payment))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (kind === 'receipt' && !payment.paidAmount) {
+      return res.status(400).json({ message: 'No payment has been received for this charge yet' });
+    }
+
+    const url = await paymentDocuments.ensureDocument(payment, kind);
+    const filename = kind === 'receipt'
+      ? `receipt-${payment.receiptNumber || payment._id}.pdf`
+      : `invoice-${payment.invoiceNumber || payment._id}.pdf`;
+
+    res.download(pdf.pathForUrl(url), filename);
+
+  } catch (error) {
+    console.error(`Download ${kind} error:`, error);
+    res.status(500).json({ message: `Server error generating ${kind}` });
+  }
+};
+
+// @route   GET /api/payments/:id/receipt
+// @desc    Download PDF receipt for a payment
+// @access  Private
+router.get('/:id/receipt', authenticateToken, downloadDocument('receipt'));
+
+// @route   GET /api/payments/:id/invoice
+// @desc    Download PDF invoice for a charge
+// @access  Private
+router.get('/:id/invoice', authenticateToken, downloadDocument('invoice'));
+
 // @route   POST /api/payments
 // @desc    Create new payment record
 // @access  Private (Admin, Property Manager)
@@ -140,16 +225,22 @@ router.post('/', authenticateToken, managerAccess, async (req, res) => {
       dueDate,
       description,
       paidDate,
-      status = 'pending'
+      status = 'pending',
+      isRecurring,
+      recurringPeriod
     } = req.body;
 
+    if (isRecurring && !PERIOD_MONTHS[recurringPeriod]) {
+      return res.status(400).json({ message: 'recurringPeriod must be monthly, quarterly or yearly' });
+    }
+
     let paymentData = {
       amount,
       paymentType,
       paymentMethod,
       dueDate: new Date(dueDate),
       description,
-      status
+      status: status === 'completed' ? 'pending' : status
     };
 
     if (leaseId) {
@@ -174,9 +265,32 @@ router.post('/', authenticateToken, managerAccess, async (req, res) => {
       paymentData.paidDate = new Date(paidDate);
     }
 
+    // Recurring charges start a series the scheduler rolls forward
+    if (isRecurring) {
+      paymentData.isRecurring = true;
+      paymentData.recurringPeriod = recurringPeriod;
+      paymentData.nextDueDate = addPeriod(paymentData.dueDate, recurringPeriod);
+    }
+
     const payment = new Payment(paymentData);
     await payment.save();
 
+    await ledger.recordCharge(payment, { postedBy: req.user._id });
+
+    // Charges entered as already paid are settled through the normal allocation path
+    if (status === 'completed') {
+      await allocation.applyToCharge(payment, payment.amount, {
+        paidDate: paidDate || new Date(),
+        paymentMethod,
+        postedBy: req.user._id
+      });
+    }
+
+    await paymentDocuments.generateQuietly(paymentDocuments.generateInvoice, payment._id);
+    if (payment.paidAmount > 0) {
+      await paymentDocuments.generateQuietly(paymentDocuments.generateReceipt, payment._id);
+    }
+
     const populatedPayment = await Payment.findById(payment._id)
       .populate('tenant', 'name email')
       .populate('property', 'title address');
@@ -193,7 +307,7 @@ router.post('/', authenticateToken, managerAccess, async (req, res) => {
 });
 
 // @route   PUT /api/payments/:id/pay
-// @desc    Mark payment as paid
+// @desc    Record a full or partial payment against a charge
 // @access  Private (Admin, Property Manager)
 router.put('/:id/pay', authenticateToken, managerAccess, async (req, res) => {
   try {
@@ -204,53 +318,49 @@ router.put('/:id/pay', authenticateToken, managerAccess, async (req, res) => {
       return res.status(404).json({ message: 'Payment not found' });
     }
 
-    // Calculate late fee if payment is overdue
-    let lateFee = 0;
-    if (new Date() > new Date(payment.dueDate)) {
-      const lease = await Lease.findById(payment.lease);
-      if (lease && lease.lateFee) {
-        const daysLate = Math.ceil((new Date() - new Date(payment.dueDate)) / (1000 * 60 * 60 * 24));
-        if (daysLate > lease.lateFee.gracePeriod) {
-          lateFee = lease.lateFee.amount;
-        }
-      }
+    if (!allocation.OPEN_STATUSES.includes(payment.status)) {
+      return res.status(400).json({ message: `Payment is ${payment.status} and cannot be paid` });
     }
 
-    payment.status = 'completed';
-    payment.paidDate = new Date();
-    payment.paymentMethod = paymentMethod;
-    payment.transactionId = transactionId;
-    payment.notes = notes || '';
-    payment.lateFee = lateFee;
-    payment.amount = paidAmount || payment.amount;
-
-    await payment.save();
+    const balanceDue = allocation.balanceOf(payment);
+    const amountReceived = paidAmount !== undefined ? Number(paidAmount) : balanceDue;
 
-    // Create late fee payment if applicable
-    if (lateFee > 0) {
-      const lateFeePayment = new Payment({
-        lease: payment.lease,
-        tenant: payment.tenant,
-        property: payment.property,
-        amount: lateFee,
-        paymentType: 'late_fee',
-        paymentMethod: paymentMethod,
-        dueDate: new Date(),
-        paidDate: new Date(),
-        status: 'completed',
-        description: `Late fee for payment ${payment._id}`,
-        transactionId: transactionId + '_LATE'
+    if (!amountReceived || amountReceived <= 0) {
+      return res.status(400).json({ message: 'Paid amount must be greater than zero' });
+    }
+    if (amountReceived > balanceDue) {
+      return res.status(400).json({
+        message: 'Paid amount exceeds the balance due; use /api/payments/receive to allocate overpayments',
+        balanceDue
       });
-      await lateFeePayment.save();
     }
 
+    // Assess any late fee owed on this charge before the payment lands
+    const lateFeeResult = await assessLateFees({ chargeId: payment._id, postedBy: req.user._id });
+    const lateFee = lateFeeResult.total;
+
+    if (transactionId) payment.transactionId = transactionId;
+    if (notes !== undefined) payment.notes = notes;
+
+    await allocation.applyToCharge(payment, amountReceived, {
+      paymentMethod,
+      transactionId,
+      notes,
+      postedBy: req.user._id
+    });
+
+    await paymentDocuments.generateQuietly(paymentDocuments.generateReceipt, payment._id);
+
     const populatedPayment = await Payment.findById(payment._id)
       .populate('tenant', 'name email')
       .populate('property', 'title address');
 
     res.json({
-      message: 'Payment marked as paid successfully',
+      message: payment.status === 'completed'
+        ? 'Payment marked as paid successfully'
+        : 'Partial payment recorded successfully',
       payment: populatedPayment,
+      balanceDue: allocation.balanceOf(payment),
       lateFeeApplied: lateFee
     });
 
@@ -260,13 +370,379 @@ router.put('/:id/pay', authenticateToken, managerAccess, async (req, res) => {
   }
 });
 
+// @route   POST /api/payments/:id/refund
+// @desc    Refund money received on a charge (full or partial)
+// @access  Private (Admin, Property Manager)
+router.post('/:id/refund', authenticateToken, managerAccess, async (req, res) => {
+  try {
+    const { amount, reason, reopenCharge, paymentMethod, transactionId } = req.body;
+
+    const payment = await Payment.findById(req.params.id);
+    if (!payment) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+
+    const result = await refunds.refundPayment(payment, {
+      amount,
+      reason,
+      reopenCharge: reopenCharge === true || reopenCharge === 'true',
+      paymentMethod,
+      transactionId,
+      postedBy: req.user._id
+    });
+
+    res.status(201).json({
+      message: 'Refund recorded successfully',
+      payment: result.charge,
+      refund: result.refund,
+      balanceDue: allocation.balanceOf(result.charge)
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Refund payment error:', error);
+    res.status(500).json({ message: 'Server error refunding payment' });
+  }
+});
+
+// @route   POST /api/payments/:id/reverse
+// @desc    Reverse a payment that did not clear (e.g. bounced check) and reopen the charge
+// @access  Private (Admin, Property Manager)
+router.post('/:id/reverse', authenticateToken, managerAccess, async (req, res) => {
+  try {
+    const { allocationId, reason } = req.body;
+
+    const payment = await Payment.findById(req.params.id);
+    if (!payment) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+
+    const result = await refunds.reversePayment(payment, {
+      allocationId,
+      reason,
+      postedBy: req.user._id
+    });
+
+    res.status(201).json({
+      message: 'Payment reversed successfully',
+      payment: result.charge,
+      reversal: result.reversal,
+      balanceDue: allocation.balanceOf(result.charge)
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Reverse payment error:', error);
+    res.status(500).json({ message: 'Server error reversing payment' });
+  }
+});
+
+// @route   POST /api/payments/receive
+// @desc    Record money received from a tenant and allocate it across open charges
+// @access  Private (Admin, Property Manager)
+router.post('/receive', authenticateToken, managerAccess, async (req, res) => {
+  try {
+    const {
+      tenantId,
+      leaseId,
+      amount,
+      allocations,
+      paidDate,
+      paymentMethod,
+      transactionId,
+      notes
+    } = req.body;
+
+    if (!tenantId) {
+      return res.status(400).json({ message: 'tenantId is required' });
+    }
+
+    const result = await allocation.allocatePayment({
+      tenantId,
+      leaseId,
+      amount,
+      allocations,
+      paidDate,
+      paymentMethod,
+      transactionId,
+      notes,
+      postedBy: req.user._id
+    });
+
+    for (const item of result.allocations) {
+      await paymentDocuments.generateQuietly(paymentDocuments.generateReceipt, item.payment);
+    }
+
+    res.status(201).json({
+      message: 'Payment received successfully',
+      ...result
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Receive payment error:', error);
+    res.status(500).json({ message: 'Server error receiving payment' });
+  }
+});
+
+// @route   GET /api/payments/late-fees/preview
+// @desc    Dry run of the late fee engine
+// @access  Private (Admin, Property Manager)
+router.get('/late-fees/preview', authenticateToken, managerAccess, async (req, res) => {
+  try {
+    const { asOf, leaseId } = req.query;
+    const result = await assessLateFees({
+      asOf: asOf ? new Date(asOf) : new Date(),
+      leaseId,
+      dryRun: true
+    });
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Preview late fees error:', error);
+    res.status(500).json({ message: 'Server error previewing late fees' });
+  }
+});
+
+// @route   POST /api/payments/late-fees/run
+// @desc    Assess late fees now instead of waiting for the daily job
+// @access  Private (Admin, Property Manager)
+router.post('/late-fees/run', authenticateToken, managerAccess, async (req, res) => {
+  try {
+    const { leaseId } = req.body;
+    const result = await assessLateFees({ leaseId, postedBy: req.user._id });
+
+    res.json({
+      message: `${result.count} late fee(s) assessed`,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Run late fees error:', error);
+    res.status(500).json({ message: 'Server error assessing late fees' });
+  }
+});
+
+// @route   POST /api/payments/checkout
+// @desc    Start an online checkout for a tenant's open charges
+// @access  Private (tenant for own charges, or Admin/Property Manager)
+router.post('/checkout', authenticateToken, async (req, res) => {
+  try {
+    const { paymentIds, provider } = req.body;
+    const tenantId = req.user.role === 'tenant' ? req.user._id : req.body.tenantId;
+
+    if (!tenantId) {
+      return res.status(400).json({ message: 'tenantId is required' });
+    }
+
+    const intent = await checkout.createCheckoutIntent({
+      tenantId,
+      paymentIds,
+      provider,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      message: 'Checkout created successfully',
+      intent
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Create checkout error:', error);
+    res.status(500).json({ message: 'Server error creating checkout' });
+  }
+});
+
+// @route   GET /api/payments/checkout/:id
+// @desc    Get checkout status
+// @access  Private
+router.get('/checkout/:id', authenticateToken, async (req, res) => {
+  try {
+    const intent = await PaymentIntent.findById(req.params.id)
+      .populate('charges.payment', 'description dueDate amount status');
+
+    if (!intent) {
+      return res.status(404).json({ message: 'Checkout not found' });
+    }
+
+    // Role-based access control
+    if (req.user.role === 'tenant' && intent.tenant.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    res.json(intent);
+
+  } catch (error) {
+    console.error('Get checkout error:', error);
+    res.status(500).json({ message: 'Server error fetching checkout' });
+  }
+});
+
+// @route   POST /api/payments/checkout/:id/mock-complete
+// @desc    Complete a mock-provider checkout by sending it a signed webhook (development only)
+// @access  Private
+router.post('/checkout/:id/mock-complete', authenticateToken, async (req, res) => {
+  try {
+    if (process.env.NODE_ENV === 'production') {
+      return res.status(404).json({ message: 'Route not found' });
+    }
+
+    const intent = await PaymentIntent.findById(req.params.id);
+    if (!intent || intent.provider !== 'mock') {
+      return res.status(404).json({ message: 'Checkout not found' });
+    }
+
+    if (req.user.role === 'tenant' && intent.tenant.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const mock = gateways.getProvider('mock');
+    const webhookRequest = mock.buildEvent(intent, { outcome: req.body.outcome || 'paid' });
+    if (!mock.verifyWebhook(webhookRequest)) {
+      return res.status(400).json({ message: 'Invalid webhook signature' });
+    }
+
+    const result = await checkout.handleWebhookEvent('mock', mock.parseWebhook(webhookRequest));
+
+    res.json({
+      message: `Checkout ${result.intent.status}`,
+      intent: result.intent
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Mock checkout error:', error);
+    res.status(500).json({ message: 'Server error completing checkout' });
+  }
+});
+
+// @route   POST /api/payments/webhooks/:provider
+// @desc    Receive signed payment events from a provider
+// @access  Public (verified by provider signature)
+router.post('/webhooks/:provider', async (req, res) => {
+  try {
+    const gateway = gateways.getProvider(req.params.provider);
+    if (!gateway) {
+      return res.status(404).json({ message: 'Unknown payment provider' });
+    }
+
+    if (!gateway.verifyWebhook(req)) {
+      return res.status(400).json({ message: 'Invalid webhook signature' });
+    }
+
+    const result = await checkout.handleWebhookEvent(req.params.provider, gateway.parseWebhook(req));
+
+    res.json({
+      received: true,
+      duplicate: result.duplicate,
+      status: result.intent.status
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Payment webhook error:', error);
+    res.status(500).json({ message: 'Server error processing webhook' });
+  }
+});
+
+// @route   GET /api/payments/settings/numbering
+// @desc    Get receipt and invoice numbering schemes
+// @access  Private (Admin, Property Manager)
+router.get('/settings/numbering', authenticateToken, managerAccess, async (req, res) => {
+  try {
+    const schemes = await NumberingScheme.find().sort({ documentType: 1, company: 1 });
+
+    res.json({
+      defaults: DEFAULT_SCHEMES,
+      schemes
+    });
+
+  } catch (error) {
+    console.error('Get numbering schemes error:', error);
+    res.status(500).json({ message: 'Server error fetching numbering schemes' });
+  }
+});
+
+// @route   PUT /api/payments/settings/numbering
+// @desc    Create or update the numbering scheme for a document type and company
+// @access  Private (Admin only)
+router.put('/settings/numbering', authenticateToken, adminOnly, async (req, res) => {
+  try {
+    const { documentType, company = '', prefix, padding, resetYearly } = req.body;
+
+    if (!DEFAULT_SCHEMES[documentType]) {
+      return res.status(400).json({ message: 'documentType must be receipt or invoice' });
+    }
+    if (!prefix) {
+      return res.status(400).json({ message: 'prefix is required' });
+    }
+
+    const update = { prefix };
+    if (padding !== undefined) update.padding = padding;
+    if (resetYearly !== undefined) update.resetYearly = resetYearly;
+
+    const scheme = await NumberingScheme.findOneAndUpdate(
+      { documentType, company: company.trim() },
+      update,
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    res.json({
+      message: 'Numbering scheme saved successfully',
+      scheme
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Update numbering scheme error:', error);
+    res.status(500).json({ message: 'Server error saving numbering scheme' });
+  }
+});
+
+// @route   POST /api/payments/recurring/run
+// @desc    Generate recurring charges due within the rolling window now
+// @access  Private (Admin, Property Manager)
+router.post('/recurring/run', authenticateToken, managerAccess, async (req, res) => {
+  try {
+    const { leaseId, windowDays } = req.body;
+    const result = await generateRecurringCharges({
+      leaseId,
+      windowDays: windowDays || undefined,
+      postedBy: req.user._id
+    });
+
+    res.json({
+      message: `${result.count} recurring charge(s) generated`,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Generate recurring charges error:', error);
+    res.status(500).json({ message: 'Server error generating recurring charges' });
+  }
+});
+
 // @route   GET /api/payments/overdue
 // @desc    Get overdue payments
 // @access  Private (Admin, Property Manager)
 router.get('/overdue/list', authenticateToken, managerAccess, async (req, res) => {
   try {
     const overduePayments = await Payment.find({
-      status: 'pending',
+      status: { $in: ['pending', 'partial'] },
       dueDate: { $lt: new Date() }
     })
     .populate('tenant', 'name email phone')
@@ -282,7 +758,7 @@ router.get('/overdue/list', authenticateToken, managerAccess, async (req, res) =
 });
 
 // @route   GET /api/payments/tenant/:tenantId
-// @desc    Get payments for specific tenant
+// @desc    Get payments for specific tenant, including those on leases they share
 // @access  Private
 router.get('/tenant/:tenantId', authenticateToken, async (req, res) => {
   try {
@@ -293,12 +769,16 @@ router.get('/tenant/:tenantId', authenticateToken, async (req, res) => {
       return res.status(403).json({ message: 'Access denied' });
     }
 
-    const payments = await Payment.find({ tenant: tenantId })
+    // Includes charges on leases shared with other tenants, with this tenant's part of each
+    const payments = await Payment.find(await leaseParties.chargeQuery(tenantId))
       .populate('property', 'title address')
-      .populate('lease', 'startDate endDate')
+      .populate('lease', 'startDate endDate tenant parties')
       .sort({ dueDate: -1 });
 
-    res.json(payments);
+    res.json(payments.map(payment => ({
+      ...payment.toObject(),
+      responsibleAmount: leaseParties.amountFor(payment.lease, tenantId, payment.amount)
+    })));
 
   } catch (error) {
     console.error('Get tenant payments error:', error);
@@ -307,10 +787,13 @@ router.get('/tenant/:tenantId', authenticateToken, async (req, res) => {
 });
 
 // @route   GET /api/payments/stats
-// @desc    Get payment statistics
+// @desc    Get payment statistics, with amounts in a base currency (?currency)
 // @access  Private (Admin, Property Manager)
 router.get('/stats/summary', authenticateToken, managerAccess, async (req, res) => {
   try {
+    const currency = normalizeCurrency(req.query.currency);
+    const convert = createConverter(currency);
+
     const currentMonth = new Date();
     currentMonth.setDate(1);
     currentMonth.setHours(0, 0, 0, 0);
@@ -318,8 +801,8 @@ router.get('/stats/summary', authenticateToken, managerAccess, async (req, res)
     const nextMonth = new Date(currentMonth);
     nextMonth.setMonth(nextMonth.getMonth() + 1);
 
-    // Current month stats
-    const monthlyStats = await Payment.aggregate([
+    // Current month stats, totalled per currency then converted
+    const monthlyTotals = await Payment.aggregate([
       {
         $match: {
           dueDate: { $gte: currentMonth, $lt: nextMonth }
@@ -327,33 +810,44 @@ router.get('/stats/summary', authenticateToken, managerAccess, async (req, res)
       },
       {
         $group: {
-          _id: '$status',
+          _id: { status: '$status', currency: currencyField },
           count: { $sum: 1 },
           totalAmount: { $sum: '$amount' }
         }
       }
-    ]);
+    ]).then(rows => fromMinorTotals(rows, ['totalAmount']));
+
+    const monthlyStats = [];
+    for (const row of monthlyTotals) {
+      let stat = monthlyStats.find(s => s._id === row._id.status);
+      if (!stat) {
+        stat = { _id: row._id.status, count: 0, totalAmount: 0 };
+        monthlyStats.push(stat);
+      }
+      stat.count += row.count;
+      stat.totalAmount = roundAmount(stat.totalAmount + await convert(row.totalAmount, row._id.currency));
+    }
 
     // Overdue payments
     const overdueCount = await Payment.countDocuments({
-      status: 'pending',
+      status: { $in: ['pending', 'partial'] },
       dueDate: { $lt: new Date() }
     });
 
     const overdueAmount = await Payment.aggregate([
       {
         $match: {
-          status: 'pending',
+          status: { $in: ['pending', 'partial'] },
           dueDate: { $lt: new Date() }
         }
       },
       {
         $group: {
-          _id: null,
-          total: { $sum: '$amount' }
+          _id: currencyField,
+          total: { $sum: { $subtract: ['$amount', { $ifNull: ['$paidAmount', 0] }] } }
         }
       }
-    ]);
+    ]).then(rows => fromMinorTotals(rows));
 
     // Total collected this year
     const yearStart = new Date(new Date().getFullYear(), 0, 1);
@@ -366,40 +860,53 @@ router.get('/stats/summary', authenticateToken, managerAccess, async (req, res)
       },
       {
         $group: {
-          _id: null,
+          _id: currencyField,
           total: { $sum: '$amount' }
         }
       }
-    ]);
+    ]).then(rows => fromMinorTotals(rows));
 
     res.json({
+      currency,
       monthlyStats,
       overdue: {
         count: overdueCount,
-        amount: overdueAmount[0]?.total || 0
+        amount: await sumConverted(overdueAmount, convert)
       },
-      yearlyCollected: yearlyCollected[0]?.total || 0
+      yearlyCollected: await sumConverted(yearlyCollected, convert)
     });
 
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
     console.error('Get payment stats error:', error);
     res.status(500).json({ message: 'Server error fetching payment statistics' });
   }
 });
 
 // @route   DELETE /api/payments/:id
-// @desc    Delete payment by ID
+// @desc    Void a charge; the record and its ledger history are kept
 // @access  Private (Admin, Property Manager)
 router.delete('/:id', authenticateToken, managerAccess, async (req, res) => {
   try {
-    const payment = await Payment.findByIdAndDelete(req.params.id);
+    const payment = await Payment.findById(req.params.id);
     if (!payment) {
       return res.status(404).json({ message: 'Payment not found' });
     }
-    res.json({ message: 'Payment deleted successfully' });
+
+    await refunds.voidPayment(payment, {
+      reason: req.body?.reason || req.query.reason,
+      postedBy: req.user._id
+    });
+
+    res.json({ message: 'Payment voided successfully', payment });
   } catch (error) {
-    console.error('Delete payment error:', error);
-    res.status(500).json({ message: 'Server error deleting payment' });
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Void payment error:', error);
+    res.status(500).json({ message: 'Server error voiding payment' });
   }
 });
 
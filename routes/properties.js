@@ -3,6 +3,8 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const Property = require('../models/Property');
+const leaseParties = require('../services/leaseParties');
+const { toMinor } = require('../services/money');
 const { authenticateToken, managerAccess, adminOnly } = require('../middleware/auth');
 
 const router = express.Router();
@@ -83,8 +85,9 @@ router.get('/', authenticateToken, async (req, res) => {
     
     if (minRent || maxRent) {
       query.rentAmount = {};
-      if (minRent) query.rentAmount.$gte = parseFloat(minRent);
-      if (maxRent) query.rentAmount.$lte = parseFloat(maxRent);
+      // Rents are stored in minor units
+      if (minRent) query.rentAmount.$gte = toMinor(parseFloat(minRent));
+      if (maxRent) query.rentAmount.$lte = toMinor(parseFloat(maxRent));
     }
 
     // Sorting
@@ -124,6 +127,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
   try {
     const property = await Property.findById(req.params.id)
       .populate('managedBy', 'name email phone')
+      .populate('owner', 'name email phone company')
       .populate('currentTenant', 'name email phone')
       .populate('currentLease');
 
@@ -136,7 +140,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
       return res.status(403).json({ message: 'Access denied' });
     }
 
-    if (req.user.role === 'tenant' && property.currentTenant?._id.toString() !== req.user._id.toString()) {
+    if (req.user.role === 'tenant' && !leaseParties.livesAt(req.user, property)) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
@@ -171,6 +175,9 @@ router.post('/', authenticateToken, managerAccess, upload.array('images', 10), a
     if (req.body.petPolicy) {
       propertyData.petPolicy = JSON.parse(req.body.petPolicy);
     }
+    if (req.body.owner === '') {
+      propertyData.owner = null;
+    }
 
     // Handle uploaded images
     if (req.files && req.files.length > 0) {
@@ -229,6 +236,9 @@ router.put('/:id', authenticateToken, managerAccess, upload.array('images', 10),
     if (req.body.petPolicy) {
       updateData.petPolicy = JSON.parse(req.body.petPolicy);
     }
+    if (req.body.owner === '') {
+      updateData.owner = null;
+    }
 
     // Handle new uploaded images
     if (req.files && req.files.length > 0) {
@@ -0,0 +1,168 @@
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const BankStatement = require('../models/BankStatement');
+const BankTransaction = require('../models/BankTransaction');
+const reconciliation = require('../services/reconciliation');
+const { authenticateToken, managerAccess } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Statements are parsed straight from memory, nothing is kept on disk
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = /csv|ofx|qfx/;
+    if (allowedTypes.test(path.extname(file.originalname).toLowerCase())) {
+      return cb(null, true);
+    } else {
+      cb(new Error('Only CSV and OFX statement files are allowed'));
+    }
+  }
+});
+
+// @route   POST /api/reconciliation/statements
+// @desc    Import a bank statement and propose matches for its lines
+// @access  Private (Admin/Manager)
+router.post('/statements', authenticateToken, managerAccess, upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'Statement file is required' });
+    }
+
+    const { statement, transactions } = await reconciliation.importStatement({
+      buffer: req.file.buffer,
+      filename: req.file.originalname,
+      uploadedBy: req.user._id
+    });
+
+    res.status(201).json({
+      message: `Imported ${statement.lineCount} line(s)`,
+      statement,
+      proposed: transactions.filter(t => t.status === 'proposed').length,
+      unmatched: transactions.filter(t => t.status === 'unmatched').length
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Import statement error:', error);
+    res.status(500).json({ message: 'Server error importing statement' });
+  }
+});
+
+// @route   GET /api/reconciliation/statements
+// @desc    List imported bank statements
+// @access  Private (Admin/Manager)
+router.get('/statements', authenticateToken, managerAccess, async (req, res) => {
+  try {
+    const statements = await BankStatement.find()
+      .populate('uploadedBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.json(statements);
+  } catch (error) {
+    console.error('Get statements error:', error);
+    res.status(500).json({ message: 'Server error fetching statements' });
+  }
+});
+
+// @route   GET /api/reconciliation/queue
+// @desc    Get bank lines awaiting reconciliation (or any status via ?status=)
+// @access  Private (Admin/Manager)
+router.get('/queue', authenticateToken, managerAccess, async (req, res) => {
+  try {
+    const { status, statement, page = 1, limit = 50 } = req.query;
+
+    const query = { status: status ? { $in: status.split(',') } : { $in: ['unmatched', 'proposed'] } };
+    if (statement) query.statement = statement;
+
+    const transactions = await BankTransaction.find(query)
+      .populate('proposals.payment', 'amount paidAmount dueDate paymentType description invoiceNumber status')
+      .populate('proposals.tenant', 'name email')
+      .populate('matchedPayment', 'amount dueDate paymentType description')
+      .sort({ date: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await BankTransaction.countDocuments(query);
+
+    res.json({
+      transactions,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    console.error('Get reconciliation queue error:', error);
+    res.status(500).json({ message: 'Server error fetching reconciliation queue' });
+  }
+});
+
+// @route   POST /api/reconciliation/queue/:id/rematch
+// @desc    Recompute match proposals for a bank line
+// @access  Private (Admin/Manager)
+router.post('/queue/:id/rematch', authenticateToken, managerAccess, async (req, res) => {
+  try {
+    const [transaction] = await reconciliation.refreshProposals([req.params.id]);
+    if (!transaction) {
+      return res.status(404).json({ message: 'Bank line not found or already reconciled' });
+    }
+
+    res.json(transaction);
+  } catch (error) {
+    console.error('Rematch bank line error:', error);
+    res.status(500).json({ message: 'Server error matching bank line' });
+  }
+});
+
+// @route   PUT /api/reconciliation/queue/:id/ignore
+// @desc    Remove a bank line from the queue (e.g. not a rent payment)
+// @access  Private (Admin/Manager)
+router.put('/queue/:id/ignore', authenticateToken, managerAccess, async (req, res) => {
+  try {
+    const transaction = await BankTransaction.findOneAndUpdate(
+      { _id: req.params.id, status: { $in: ['unmatched', 'proposed'] } },
+      { status: 'ignored', matchedBy: req.user._id, matchedAt: new Date() },
+      { new: true }
+    );
+
+    if (!transaction) {
+      return res.status(404).json({ message: 'Bank line not found or already reconciled' });
+    }
+
+    res.json(transaction);
+  } catch (error) {
+    console.error('Ignore bank line error:', error);
+    res.status(500).json({ message: 'Server error updating bank line' });
+  }
+});
+
+// @route   POST /api/reconciliation/confirm
+// @desc    Confirm matches in bulk: { matches: [{ transactionId, paymentId? }] } or { minConfidence }
+// @access  Private (Admin/Manager)
+router.post('/confirm', authenticateToken, managerAccess, async (req, res) => {
+  try {
+    const { matches, minConfidence } = req.body;
+
+    const result = await reconciliation.confirmMatches({
+      matches,
+      minConfidence,
+      postedBy: req.user._id
+    });
+
+    res.json({
+      message: `Confirmed ${result.confirmed.length} match(es)`,
+      ...result
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Confirm matches error:', error);
+    res.status(500).json({ message: 'Server error confirming matches' });
+  }
+});
+
+module.exports = router;
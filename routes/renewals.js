@@ -0,0 +1,221 @@
+const express = require('express');
+const Lease = require('../models/Lease');
+const RenewalOffer = require('../models/RenewalOffer');
+const renewals = require('../services/renewals');
+const leaseParties = require('../services/leaseParties');
+const { authenticateToken, managerAccess } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Tenants see and answer offers on any lease they are party to, not only as its primary tenant
+const isOwnOffer = async (user, offer) => {
+  const lease = await Lease.findById(offer.lease._id || offer.lease).select('tenant parties');
+  return Boolean(lease && leaseParties.isParty(lease, user._id));
+};
+
+// @route   GET /api/renewals
+// @desc    Get renewal offers; tenants see only those on their leases
+// @access  Private
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { status, leaseId, propertyId, tenantId, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (leaseId) query.lease = leaseId;
+    if (propertyId) query.property = propertyId;
+    if (req.user.role === 'tenant') {
+      query.$or = [{ tenant: req.user._id }, { lease: { $in: await leaseParties.leaseIdsFor(req.user._id) } }];
+    } else if (tenantId) {
+      query.tenant = tenantId;
+    }
+
+    const offers = await RenewalOffer.find(query)
+      .populate('property', 'title address')
+      .populate('tenant', 'name email phone')
+      .populate('lease', 'startDate endDate monthlyRent status')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await RenewalOffer.countDocuments(query);
+
+    res.json({
+      offers,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+
+  } catch (error) {
+    console.error('Get renewal offers error:', error);
+    res.status(500).json({ message: 'Server error fetching renewal offers' });
+  }
+});
+
+// @route   GET /api/renewals/:id
+// @desc    Get a renewal offer
+// @access  Private
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const offer = await RenewalOffer.findById(req.params.id)
+      .populate('property', 'title address')
+      .populate('lease', 'startDate endDate monthlyRent status')
+      .populate('successorLease', 'startDate endDate monthlyRent status')
+      .populate('createdBy', 'name email');
+
+    if (!offer) {
+      return res.status(404).json({ message: 'Renewal offer not found' });
+    }
+
+    // Role-based access control
+    if (req.user.role === 'tenant' && !(await isOwnOffer(req.user, offer))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    res.json(offer);
+
+  } catch (error) {
+    console.error('Get renewal offer error:', error);
+    res.status(500).json({ message: 'Server error fetching renewal offer' });
+  }
+});
+
+// @route   POST /api/renewals
+// @desc    Send a tenant an offer to renew their lease
+// @access  Private (Admin, Property Manager)
+router.post('/', authenticateToken, managerAccess, async (req, res) => {
+  try {
+    const { leaseId, startDate, endDate, monthlyRent, securityDeposit, leaseTerms, respondBy, message } = req.body;
+
+    const lease = await Lease.findById(leaseId);
+    if (!lease) {
+      return res.status(404).json({ message: 'Lease not found' });
+    }
+
+    const offer = await renewals.createRenewalOffer(lease, {
+      startDate,
+      endDate,
+      monthlyRent,
+      securityDeposit,
+      leaseTerms,
+      respondBy,
+      message,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      message: 'Renewal offer sent successfully',
+      offer
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Create renewal offer error:', error);
+    res.status(500).json({ message: 'Server error creating renewal offer' });
+  }
+});
+
+// @route   PUT /api/renewals/:id/accept
+// @desc    Accept a renewal offer, creating the successor lease
+// @access  Private (a party of the lease, Admin, Property Manager)
+router.put('/:id/accept', authenticateToken, async (req, res) => {
+  try {
+    const offer = await RenewalOffer.findById(req.params.id);
+
+    if (!offer) {
+      return res.status(404).json({ message: 'Renewal offer not found' });
+    }
+    if (req.user.role === 'tenant' && !(await isOwnOffer(req.user, offer))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const { successor } = await renewals.acceptRenewalOffer(offer, { respondedBy: req.user._id });
+
+    const populatedLease = await Lease.findById(successor._id)
+      .populate('property', 'title address')
+      .populate('tenant', 'name email phone');
+
+    res.json({
+      message: 'Renewal offer accepted successfully',
+      offer,
+      lease: populatedLease
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Accept renewal offer error:', error);
+    res.status(500).json({ message: 'Server error accepting renewal offer' });
+  }
+});
+
+// @route   PUT /api/renewals/:id/decline
+// @desc    Decline a renewal offer and schedule the move-out
+// @access  Private (a party of the lease, Admin, Property Manager)
+router.put('/:id/decline', authenticateToken, async (req, res) => {
+  try {
+    const offer = await RenewalOffer.findById(req.params.id);
+
+    if (!offer) {
+      return res.status(404).json({ message: 'Renewal offer not found' });
+    }
+    if (req.user.role === 'tenant' && !(await isOwnOffer(req.user, offer))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const { lease, inspection } = await renewals.declineRenewalOffer(offer, {
+      reason: req.body.reason,
+      respondedBy: req.user._id
+    });
+
+    res.json({
+      message: 'Renewal offer declined',
+      offer,
+      moveOut: lease.moveOut,
+      inspection
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Decline renewal offer error:', error);
+    res.status(500).json({ message: 'Server error declining renewal offer' });
+  }
+});
+
+// @route   PUT /api/renewals/:id/withdraw
+// @desc    Withdraw a renewal offer the tenant has not answered
+// @access  Private (Admin, Property Manager)
+router.put('/:id/withdraw', authenticateToken, managerAccess, async (req, res) => {
+  try {
+    const offer = await RenewalOffer.findById(req.params.id);
+
+    if (!offer) {
+      return res.status(404).json({ message: 'Renewal offer not found' });
+    }
+
+    await renewals.withdrawRenewalOffer(offer);
+
+    res.json({
+      message: 'Renewal offer withdrawn',
+      offer
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Withdraw renewal offer error:', error);
+    res.status(500).json({ message: 'Server error withdrawing renewal offer' });
+  }
+});
+
+module.exports = router;
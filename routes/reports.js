@@ -0,0 +1,132 @@
+const express = require('express');
+const pdf = require('../services/pdf');
+const reports = require('../services/reports');
+const { authenticateToken, managerAccess } = require('../middleware/auth');
+
+const router = express.Router();
+
+const FORMATS = ['json', 'csv', 'pdf'];
+
+// Property managers only report on the properties they manage
+const propertyScope = (user) => (user.role === 'property_manager' ? { managedBy: user._id } : {});
+
+// Send a report as JSON, or as a CSV/PDF download
+const sendReport = (res, format, report, { filename, toCsv, renderPdf }) => {
+  if (format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+    return res.send(toCsv(report));
+  }
+  if (format === 'pdf') {
+    return pdf.sendPdf(res, `${filename}.pdf`, doc => renderPdf(doc, report));
+  }
+  res.json(report);
+};
+
+// @route   GET /api/reports/rent-roll
+// @desc    Rent roll as of a date (?asOf, propertyId, company, ownerId, currency, format=json|csv|pdf)
+// @access  Private (Admin, Property Manager)
+router.get('/rent-roll', authenticateToken, managerAccess, async (req, res) => {
+  try {
+    const { asOf, propertyId, company, ownerId, currency, format = 'json' } = req.query;
+    if (!FORMATS.includes(format)) {
+      return res.status(400).json({ message: 'format must be json, csv or pdf' });
+    }
+
+    const report = await reports.rentRoll({
+      asOf,
+      propertyId,
+      company,
+      ownerId,
+      currency,
+      scope: propertyScope(req.user)
+    });
+
+    sendReport(res, format, report, {
+      filename: `rent-roll-${report.asOf.toISOString().slice(0, 10)}`,
+      toCsv: reports.rentRollToCsv,
+      renderPdf: reports.renderRentRollPdf
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Rent roll report error:', error);
+    res.status(500).json({ message: 'Server error generating rent roll' });
+  }
+});
+
+// @route   GET /api/reports/profit-loss
+// @desc    Profit and loss for a period (?from, to, groupBy=property|company|portfolio, basis=accrual|cash, currency, format)
+// @access  Private (Admin, Property Manager)
+router.get('/profit-loss', authenticateToken, managerAccess, async (req, res) => {
+  try {
+    const { from, to, groupBy, basis, propertyId, company, ownerId, currency, format = 'json' } = req.query;
+    if (!FORMATS.includes(format)) {
+      return res.status(400).json({ message: 'format must be json, csv or pdf' });
+    }
+
+    const report = await reports.profitAndLoss({
+      from,
+      to,
+      groupBy,
+      basis,
+      propertyId,
+      company,
+      ownerId,
+      currency,
+      scope: propertyScope(req.user)
+    });
+
+    sendReport(res, format, report, {
+      filename: `profit-loss-${report.from.toISOString().slice(0, 10)}-${report.to.toISOString().slice(0, 10)}`,
+      toCsv: reports.profitAndLossToCsv,
+      renderPdf: reports.renderProfitAndLossPdf
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Profit and loss report error:', error);
+    res.status(500).json({ message: 'Server error generating profit and loss report' });
+  }
+});
+
+// @route   GET /api/reports/aging
+// @desc    Receivables aging by tenant and property (?asOf, tenantId, propertyId, company, ownerId, currency, format=json|csv|pdf)
+// @access  Private (Admin, Property Manager)
+router.get('/aging', authenticateToken, managerAccess, async (req, res) => {
+  try {
+    const { asOf, tenantId, propertyId, company, ownerId, currency, format = 'json' } = req.query;
+    if (!FORMATS.includes(format)) {
+      return res.status(400).json({ message: 'format must be json, csv or pdf' });
+    }
+
+    const report = await reports.agingReport({
+      asOf,
+      tenantId,
+      propertyId,
+      company,
+      ownerId,
+      currency,
+      scope: propertyScope(req.user)
+    });
+
+    sendReport(res, format, report, {
+      filename: `aging-${report.asOf.toISOString().slice(0, 10)}`,
+      toCsv: reports.agingToCsv,
+      renderPdf: reports.renderAgingPdf
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Aging report error:', error);
+    res.status(500).json({ message: 'Server error generating aging report' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,264 @@
+const express = require('express');
+const Lease = require('../models/Lease');
+const SignatureRequest = require('../models/SignatureRequest');
+const signatures = require('../services/signatures');
+const { authenticateToken, managerAccess } = require('../middleware/auth');
+
+const router = express.Router();
+
+const isSigner = (user, request) => request.signers.some(signer => signer.user && signer.user.toString() === user._id.toString());
+
+// Evidence recorded with a signature; behind a proxy req.ip follows the app's trust proxy setting
+const clientEvidence = (req) => ({
+  ip: req.ip,
+  userAgent: req.get('user-agent') || ''
+});
+
+// @route   GET /api/signatures
+// @desc    Get signature requests; tenants see only those they sign
+// @access  Private
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { status, leaseId, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (leaseId) query.lease = leaseId;
+    if (req.user.role === 'tenant') query['signers.user'] = req.user._id;
+
+    const requests = await SignatureRequest.find(query)
+      .populate('lease', 'property tenant startDate endDate status')
+      .populate('createdBy', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await SignatureRequest.countDocuments(query);
+
+    res.json({
+      requests,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+
+  } catch (error) {
+    console.error('Get signature requests error:', error);
+    res.status(500).json({ message: 'Server error fetching signature requests' });
+  }
+});
+
+// @route   GET /api/signatures/:id
+// @desc    Get a signature request with each signer's status and evidence
+// @access  Private
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const request = await SignatureRequest.findById(req.params.id)
+      .populate('lease', 'property tenant startDate endDate status')
+      .populate('createdBy', 'name email');
+
+    if (!request) {
+      return res.status(404).json({ message: 'Signature request not found' });
+    }
+
+    // Role-based access control
+    if (req.user.role === 'tenant' && !isSigner(req.user, request)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    res.json(request);
+
+  } catch (error) {
+    console.error('Get signature request error:', error);
+    res.status(500).json({ message: 'Server error fetching signature request' });
+  }
+});
+
+// @route   POST /api/signatures
+// @desc    Send a lease document out for signature; returns each signer's link once
+// @access  Private (Admin, Property Manager)
+router.post('/', authenticateToken, managerAccess, async (req, res) => {
+  try {
+    const { leaseId, documentId, signers, expiresInDays } = req.body;
+
+    const lease = await Lease.findById(leaseId);
+    if (!lease) {
+      return res.status(404).json({ message: 'Lease not found' });
+    }
+
+    const { request, links } = await signatures.createSignatureRequest(lease, {
+      documentId,
+      signers,
+      expiresInDays,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      message: 'Signature request created successfully',
+      request,
+      links
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Create signature request error:', error);
+    res.status(500).json({ message: 'Server error creating signature request' });
+  }
+});
+
+// @route   POST /api/signatures/:id/signers/:signerId/link
+// @desc    Issue a signer a new link, replacing the old one
+// @access  Private (Admin, Property Manager)
+router.post('/:id/signers/:signerId/link', authenticateToken, managerAccess, async (req, res) => {
+  try {
+    const request = await SignatureRequest.findById(req.params.id);
+
+    if (!request) {
+      return res.status(404).json({ message: 'Signature request not found' });
+    }
+
+    const link = await signatures.reissueLink(request, req.params.signerId);
+
+    res.json({
+      message: 'Signing link issued successfully',
+      link
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Reissue signing link error:', error);
+    res.status(500).json({ message: 'Server error issuing signing link' });
+  }
+});
+
+// @route   PUT /api/signatures/:id/cancel
+// @desc    Cancel a signature request still waiting for signatures
+// @access  Private (Admin, Property Manager)
+router.put('/:id/cancel', authenticateToken, managerAccess, async (req, res) => {
+  try {
+    const request = await SignatureRequest.findById(req.params.id);
+
+    if (!request) {
+      return res.status(404).json({ message: 'Signature request not found' });
+    }
+
+    await signatures.cancelSignatureRequest(request);
+
+    res.json({
+      message: 'Signature request cancelled successfully',
+      request
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Cancel signature request error:', error);
+    res.status(500).json({ message: 'Server error cancelling signature request' });
+  }
+});
+
+// @route   POST /api/signatures/:id/complete
+// @desc    Finish a fully signed request whose completion failed part way
+// @access  Private (Admin, Property Manager)
+router.post('/:id/complete', authenticateToken, managerAccess, async (req, res) => {
+  try {
+    const request = await SignatureRequest.findById(req.params.id);
+
+    if (!request) {
+      return res.status(404).json({ message: 'Signature request not found' });
+    }
+
+    const completed = await signatures.retryCompletion(request);
+
+    res.json({
+      message: 'Signature request completed successfully',
+      request: completed
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Complete signature request error:', error);
+    res.status(500).json({ message: 'Server error completing signature request' });
+  }
+});
+
+// @route   GET /api/signatures/sign/:token
+// @desc    Open a signing link: the document, the signer and the consent text
+// @access  Public (signing link)
+router.get('/sign/:token', async (req, res) => {
+  try {
+    res.json(await signatures.openSigningLink(req.params.token));
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Open signing link error:', error);
+    res.status(500).json({ message: 'Server error opening signing link' });
+  }
+});
+
+// @route   POST /api/signatures/sign/:token
+// @desc    Sign with a typed name or a drawn signature (PNG data URL)
+// @access  Public (signing link)
+router.post('/sign/:token', async (req, res) => {
+  try {
+    const { signatureType, typedName, signatureImage, consent } = req.body;
+
+    const request = await signatures.signDocument(req.params.token, {
+      signatureType,
+      typedName,
+      signatureImage,
+      consent,
+      ...clientEvidence(req)
+    });
+
+    res.json({
+      message: request.status === 'completed'
+        ? 'Document signed by all parties'
+        : 'Document signed successfully',
+      status: request.status,
+      signedDocument: request.status === 'completed' ? request.signedDocument : undefined
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Sign document error:', error);
+    res.status(500).json({ message: 'Server error signing document' });
+  }
+});
+
+// @route   POST /api/signatures/sign/:token/decline
+// @desc    Decline to sign; the request is closed for every signer
+// @access  Public (signing link)
+router.post('/sign/:token/decline', async (req, res) => {
+  try {
+    await signatures.declineDocument(req.params.token, {
+      reason: req.body.reason,
+      ...clientEvidence(req)
+    });
+
+    res.json({ message: 'Signature declined' });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Decline signature error:', error);
+    res.status(500).json({ message: 'Server error declining signature' });
+  }
+});
+
+module.exports = router;
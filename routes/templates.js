@@ -0,0 +1,245 @@
+const express = require('express');
+const Lease = require('../models/Lease');
+const LeaseTemplate = require('../models/LeaseTemplate');
+const leaseDocuments = require('../services/leaseDocuments');
+const { authenticateToken, managerAccess } = require('../middleware/auth');
+
+const router = express.Router();
+
+// @route   GET /api/templates
+// @desc    Get lease templates, every version unless filtered
+// @access  Private (Admin, Property Manager)
+router.get('/', authenticateToken, managerAccess, async (req, res) => {
+  try {
+    const { name, company, jurisdiction, status } = req.query;
+
+    const query = {};
+    if (name) query.name = name;
+    if (company !== undefined) query.company = company;
+    if (jurisdiction !== undefined) query.jurisdiction = jurisdiction.toUpperCase();
+    if (status) query.status = status;
+
+    const templates = await LeaseTemplate.find(query)
+      .select('-body')
+      .populate('createdBy', 'name email')
+      .sort({ name: 1, company: 1, jurisdiction: 1, version: -1 });
+
+    res.json(templates);
+
+  } catch (error) {
+    console.error('Get lease templates error:', error);
+    res.status(500).json({ message: 'Server error fetching lease templates' });
+  }
+});
+
+// @route   GET /api/templates/fields
+// @desc    List the merge fields templates can use
+// @access  Private (Admin, Property Manager)
+router.get('/fields', authenticateToken, managerAccess, (req, res) => {
+  res.json({
+    syntax: {
+      field: '{{tenant.name}}',
+      conditional: '{{#if pets.allowed}}...{{else}}...{{/if}}',
+      heading: 'A paragraph starting with # is printed as a section heading'
+    },
+    fields: leaseDocuments.listMergeFields()
+  });
+});
+
+// @route   GET /api/templates/:id
+// @desc    Get a lease template version
+// @access  Private (Admin, Property Manager)
+router.get('/:id', authenticateToken, managerAccess, async (req, res) => {
+  try {
+    const template = await LeaseTemplate.findById(req.params.id)
+      .populate('createdBy', 'name email')
+      .populate('publishedBy', 'name email');
+
+    if (!template) {
+      return res.status(404).json({ message: 'Lease template not found' });
+    }
+
+    res.json(template);
+
+  } catch (error) {
+    console.error('Get lease template error:', error);
+    res.status(500).json({ message: 'Server error fetching lease template' });
+  }
+});
+
+// @route   POST /api/templates
+// @desc    Create a lease template as a version 1 draft
+// @access  Private (Admin, Property Manager)
+router.post('/', authenticateToken, managerAccess, async (req, res) => {
+  try {
+    const { name, company, jurisdiction, body, notes } = req.body;
+
+    const template = await leaseDocuments.createTemplate({
+      name,
+      company,
+      jurisdiction,
+      body,
+      notes,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      message: 'Lease template created successfully',
+      template
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Create lease template error:', error);
+    res.status(500).json({ message: 'Server error creating lease template' });
+  }
+});
+
+// @route   PUT /api/templates/:id
+// @desc    Edit a draft template version
+// @access  Private (Admin, Property Manager)
+router.put('/:id', authenticateToken, managerAccess, async (req, res) => {
+  try {
+    const template = await LeaseTemplate.findById(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({ message: 'Lease template not found' });
+    }
+
+    await leaseDocuments.updateDraft(template, req.body);
+
+    res.json({
+      message: 'Lease template updated successfully',
+      template
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Update lease template error:', error);
+    res.status(500).json({ message: 'Server error updating lease template' });
+  }
+});
+
+// @route   POST /api/templates/:id/versions
+// @desc    Start a new draft version from this one
+// @access  Private (Admin, Property Manager)
+router.post('/:id/versions', authenticateToken, managerAccess, async (req, res) => {
+  try {
+    const source = await LeaseTemplate.findById(req.params.id);
+
+    if (!source) {
+      return res.status(404).json({ message: 'Lease template not found' });
+    }
+
+    const template = await leaseDocuments.createVersion(source, {
+      body: req.body.body,
+      notes: req.body.notes,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      message: `Version ${template.version} created successfully`,
+      template
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'Another version was created at the same time; try again' });
+    }
+    console.error('Create lease template version error:', error);
+    res.status(500).json({ message: 'Server error creating lease template version' });
+  }
+});
+
+// @route   PUT /api/templates/:id/publish
+// @desc    Publish a draft version, retiring the previously published one
+// @access  Private (Admin, Property Manager)
+router.put('/:id/publish', authenticateToken, managerAccess, async (req, res) => {
+  try {
+    const template = await LeaseTemplate.findById(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({ message: 'Lease template not found' });
+    }
+
+    await leaseDocuments.publishTemplate(template, { publishedBy: req.user._id });
+
+    res.json({
+      message: 'Lease template published successfully',
+      template
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Publish lease template error:', error);
+    res.status(500).json({ message: 'Server error publishing lease template' });
+  }
+});
+
+// @route   PUT /api/templates/:id/retire
+// @desc    Retire a template version so it is no longer used
+// @access  Private (Admin, Property Manager)
+router.put('/:id/retire', authenticateToken, managerAccess, async (req, res) => {
+  try {
+    const template = await LeaseTemplate.findById(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({ message: 'Lease template not found' });
+    }
+
+    await leaseDocuments.retireTemplate(template);
+
+    res.json({
+      message: 'Lease template retired successfully',
+      template
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Retire lease template error:', error);
+    res.status(500).json({ message: 'Server error retiring lease template' });
+  }
+});
+
+// @route   POST /api/templates/:id/preview
+// @desc    Render a template version, draft or published, against a lease
+// @access  Private (Admin, Property Manager)
+router.post('/:id/preview', authenticateToken, managerAccess, async (req, res) => {
+  try {
+    const lease = await Lease.findById(req.body.leaseId);
+
+    if (!lease) {
+      return res.status(404).json({ message: 'Lease not found' });
+    }
+
+    const { template, text } = await leaseDocuments.previewLeaseDocument(lease, { templateId: req.params.id });
+
+    res.json({
+      template: { _id: template._id, name: template.name, version: template.version, status: template.status },
+      text
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Preview lease template error:', error);
+    res.status(500).json({ message: 'Server error previewing lease template' });
+  }
+});
+
+module.exports = router;
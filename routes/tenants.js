@@ -2,6 +2,11 @@ const express = require('express');
 const User = require('../models/User');
 const Property = require('../models/Property');
 const Lease = require('../models/Lease');
+const ledger = require('../services/ledger');
+const pdf = require('../services/pdf');
+const statements = require('../services/statements');
+const lifecycle = require('../services/leaseLifecycle');
+const leaseParties = require('../services/leaseParties');
 const { authenticateToken, managerAccess, adminOnly } = require('../middleware/auth');
 
 const router = express.Router();
@@ -48,7 +53,7 @@ router.get('/', authenticateToken, managerAccess, async (req, res) => {
     // For each tenant, fetch their most recent lease if leaseId is null
     tenants = await Promise.all(tenants.map(async (tenant) => {
       if (!tenant.leaseId) {
-        const activeLease = await Lease.findOne({ tenant: tenant._id })
+        const activeLease = await Lease.findOne(leaseParties.partyQuery(tenant._id))
           .sort({ startDate: -1 })
           .select('startDate endDate status monthlyRent');
         return {
@@ -113,6 +118,76 @@ router.get('/:id', authenticateToken, async (req, res) => {
   }
 });
 
+// @route   GET /api/tenants/:id/ledger
+// @desc    Get ledger entries with running balance for a tenant
+// @access  Private
+router.get('/:id/ledger', authenticateToken, async (req, res) => {
+  try {
+    const tenant = await User.findById(req.params.id).select('-password');
+
+    if (!tenant || tenant.role !== 'tenant') {
+      return res.status(404).json({ message: 'Tenant not found' });
+    }
+
+    // Role-based access control
+    if (req.user.role === 'tenant' && req.user._id.toString() !== tenant._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    // Shared leases post under the primary tenant, so take in every lease the tenant is party to
+    const { from, to } = req.query;
+    const leaseIds = await leaseParties.leaseIdsFor(tenant._id);
+    const result = await ledger.getLedger({ tenantId: tenant._id, leaseIds }, { from, to });
+
+    res.json({
+      tenant: tenant._id,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Get tenant ledger error:', error);
+    res.status(500).json({ message: 'Server error fetching tenant ledger' });
+  }
+});
+
+// @route   GET /api/tenants/:id/statement
+// @desc    Get an account statement for a date range (?format=json|csv|pdf)
+// @access  Private
+router.get('/:id/statement', authenticateToken, async (req, res) => {
+  try {
+    // Role-based access control
+    if (req.user.role === 'tenant' && req.user._id.toString() !== req.params.id) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const { from, to, format = 'json' } = req.query;
+    if (!['json', 'csv', 'pdf'].includes(format)) {
+      return res.status(400).json({ message: 'format must be json, csv or pdf' });
+    }
+
+    const statement = await statements.buildTenantStatement(req.params.id, { from, to });
+    const filename = `statement-${statement.tenant._id}-${statement.to.toISOString().slice(0, 10)}`;
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+      return res.send(statements.statementToCsv(statement));
+    }
+    if (format === 'pdf') {
+      return pdf.sendPdf(res, `${filename}.pdf`, doc => statements.renderStatementPdf(doc, statement));
+    }
+
+    res.json(statement);
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Get tenant statement error:', error);
+    res.status(500).json({ message: 'Server error generating statement' });
+  }
+});
+
 // @route   POST /api/tenants
 // @desc    Create new tenant
 // @access  Private (Admin, Property Manager)
@@ -247,19 +322,23 @@ router.delete('/:id', authenticateToken, managerAccess, async (req, res) => {
     tenant.isActive = false;
     await tenant.save();
 
-    // Update property status
+    // Update property status; a co-tenant leaving doesn't free the property
     if (tenant.propertyId) {
-      await Property.findByIdAndUpdate(tenant.propertyId, {
+      await Property.updateOne({ _id: tenant.propertyId, currentTenant: tenant._id }, {
         currentTenant: null,
         status: 'available'
       });
     }
 
-    // Update active leases
-    await Lease.updateMany(
-      { tenant: tenant._id, status: 'active' },
-      { status: 'terminated' }
-    );
+    // Terminate active leases
+    const activeLeases = await Lease.find({ tenant: tenant._id, status: 'active' });
+    for (const lease of activeLeases) {
+      await lifecycle.transitionLease(lease, 'terminated', {
+        reason: 'Tenant deactivated',
+        disposeDeposit: false,
+        changedBy: req.user._id
+      });
+    }
 
     res.json({ message: 'Tenant deactivated successfully' });
 
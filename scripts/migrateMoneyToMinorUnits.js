@@ -0,0 +1,120 @@
+// One-off migration: rewrite stored money fields from decimal amounts to integer minor units.
+// Run it once, with the API stopped, when deploying the money layer:
+//   npm run migrate:money
+// Each collection is recorded in the `migrations` collection when done, and each document is flagged
+// while a collection is in progress, so an interrupted run can simply be started again.
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const { toMinor } = require('../services/money');
+
+dotenv.config();
+
+const MIGRATION = 'money-minor-units';
+const FLAG = '_moneyMinorUnits';
+const BATCH_SIZE = 500;
+
+const MODELS = [
+  'Property',
+  'Lease',
+  'Payment',
+  'Deposit',
+  'Expense',
+  'LedgerEntry',
+  'Maintenance',
+  'BankTransaction',
+  'PaymentIntent',
+  'Owner',
+  'OwnerStatement'
+].map(name => require(`../models/${name}`));
+
+// Dotted paths of every moneyField in a schema, including those inside subdocument arrays
+const moneyPaths = (schema, prefix = '') => {
+  const paths = [];
+  schema.eachPath((path, type) => {
+    if (type.schema) {
+      paths.push(...moneyPaths(type.schema, `${prefix}${path}.`));
+    } else if (type.options.money) {
+      paths.push(`${prefix}${path}`);
+    }
+  });
+  return paths;
+};
+
+// Value with the number at `segments` converted, walking into arrays along the way
+const convertAt = (value, segments) => {
+  if (value === null || value === undefined) return value;
+  if (Array.isArray(value)) return value.map(item => convertAt(item, segments));
+  if (segments.length === 0) return typeof value === 'number' ? toMinor(value) : value;
+  if (typeof value !== 'object' || !(segments[0] in value)) return value;
+
+  const [head, ...rest] = segments;
+  return { ...value, [head]: convertAt(value[head], rest) };
+};
+
+const migrateCollection = async (Model, migrations) => {
+  const collection = Model.collection;
+  const name = collection.collectionName;
+
+  if (await migrations.findOne({ name: MIGRATION, collection: name })) {
+    console.log(`- ${name}: already migrated`);
+    return;
+  }
+
+  const paths = moneyPaths(Model.schema);
+  const topLevel = [...new Set(paths.map(path => path.split('.')[0]))];
+
+  const cursor = collection.find({ [FLAG]: { $exists: false } }, { projection: Object.fromEntries(topLevel.map(key => [key, 1])) });
+  let batch = [];
+  let count = 0;
+
+  const flush = async () => {
+    if (batch.length === 0) return;
+    await collection.bulkWrite(batch, { ordered: false });
+    count += batch.length;
+    batch = [];
+  };
+
+  for await (const doc of cursor) {
+    let converted = doc;
+    paths.forEach(path => { converted = convertAt(converted, path.split('.')); });
+
+    const changes = {};
+    topLevel.forEach(key => {
+      if (key in doc) changes[key] = converted[key];
+    });
+
+    batch.push({
+      updateOne: {
+        filter: { _id: doc._id, [FLAG]: { $exists: false } },
+        update: { $set: { ...changes, [FLAG]: true } }
+      }
+    });
+    if (batch.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  // Record the collection before clearing the flags, so a rerun can never convert it twice
+  await migrations.insertOne({ name: MIGRATION, collection: name, documents: count, completedAt: new Date() });
+  await collection.updateMany({ [FLAG]: true }, { $unset: { [FLAG]: '' } });
+  console.log(`✓ ${name}: ${count} document(s) converted (${paths.join(', ')})`);
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/rental-management');
+  const migrations = mongoose.connection.db.collection('migrations');
+
+  for (const Model of MODELS) {
+    await migrateCollection(Model, migrations);
+  }
+};
+
+run()
+  .then(() => {
+    console.log('Money migration complete');
+    return mongoose.disconnect();
+  })
+  .catch(async (error) => {
+    console.error('Money migration failed:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
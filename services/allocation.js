@@ -0,0 +1,156 @@
+const Payment = require('../models/Payment');
+const ledger = require('./ledger');
+const leaseParties = require('./leaseParties');
+const { ServiceError } = require('./errors');
+const { roundAmount, sumAmounts } = require('./money');
+
+const OPEN_STATUSES = ['pending', 'partial'];
+
+const balanceOf = (charge) => roundAmount(charge.amount - (charge.paidAmount || 0));
+
+// Open charges a tenant can pay, oldest first: their own and those on leases they share
+const getOpenCharges = async (tenantId, { leaseId } = {}) => {
+  const query = { ...(await leaseParties.chargeQuery(tenantId)), status: { $in: OPEN_STATUSES } };
+  if (leaseId) query.lease = leaseId;
+  return Payment.find(query).sort({ dueDate: 1, createdAt: 1 });
+};
+
+// Saving an allocation is retried this many times when another payment lands on the charge first
+const MAX_ATTEMPTS = 3;
+const ALLOCATION_PATHS = ['allocations', 'paidAmount', 'status', 'paidDate', 'paymentMethod'];
+
+// Apply part (or all) of a received amount to one charge, leaving any remainder outstanding.
+// Payments can reach the same charge at once (webhook, bank match, manual receipt), so the charge
+// is saved against the version it was read at; on a conflict it is re-read and checked again.
+const applyToCharge = async (charge, amount, { paidDate, paymentMethod, transactionId, notes, paidBy, postedBy, fromAccount } = {}) => {
+  const applied = roundAmount(amount);
+  const date = paidDate ? new Date(paidDate) : new Date();
+
+  for (let attempt = 1; ; attempt++) {
+    if (!OPEN_STATUSES.includes(charge.status) || applied > balanceOf(charge)) {
+      throw new ServiceError('Amount exceeds the balance still due on the charge');
+    }
+
+    charge.allocations.push({
+      amount: applied,
+      paidDate: date,
+      paymentMethod,
+      transactionId,
+      notes,
+      paidBy: paidBy || null,
+      recordedBy: postedBy || null
+    });
+    charge.paidAmount = roundAmount((charge.paidAmount || 0) + applied);
+    charge.status = charge.paidAmount >= charge.amount ? 'completed' : 'partial';
+    charge.paidDate = date;
+    if (paymentMethod) charge.paymentMethod = paymentMethod;
+
+    try {
+      await charge.save();
+      break;
+    } catch (error) {
+      if (error.name !== 'VersionError' || attempt >= MAX_ATTEMPTS) throw error;
+      const current = await Payment.findById(charge._id).lean();
+      if (!current) throw error;
+      // Keep anything else the caller changed on the charge (e.g. its transactionId)
+      const carried = charge.directModifiedPaths()
+        .filter(path => !ALLOCATION_PATHS.includes(path))
+        .map(path => [path, charge.get(path)]);
+      charge.init(current);
+      carried.forEach(([path, value]) => charge.set(path, value));
+    }
+  }
+
+  await ledger.recordPayment(charge, applied, { postedBy, effectiveDate: date, fromAccount });
+  return charge;
+};
+
+// Allocate a received amount across a tenant's open charges, either oldest-first or by an
+// explicit list of { paymentId, amount }. Anything left over is held as a credit.
+const allocatePayment = async ({
+  tenantId,
+  leaseId,
+  amount,
+  allocations,
+  paidDate,
+  paymentMethod,
+  transactionId,
+  notes,
+  postedBy
+}) => {
+  const received = roundAmount(Number(amount));
+  if (!received || received <= 0) {
+    throw new ServiceError('A positive amount is required');
+  }
+
+  const openCharges = await getOpenCharges(tenantId, { leaseId });
+  const plan = [];
+
+  if (Array.isArray(allocations) && allocations.length > 0) {
+    // Each line is checked against the charge's balance, so a charge may only be listed once
+    const ids = allocations.map(item => String(item.paymentId));
+    if (new Set(ids).size !== ids.length) {
+      throw new ServiceError('Each charge can only appear once in allocations');
+    }
+    for (const item of allocations) {
+      const charge = openCharges.find(c => c._id.toString() === String(item.paymentId));
+      if (!charge) {
+        throw new ServiceError(`Charge ${item.paymentId} is not an open charge for this tenant`);
+      }
+      const value = roundAmount(Number(item.amount));
+      if (!value || value <= 0 || value > balanceOf(charge)) {
+        throw new ServiceError(`Invalid allocation amount for charge ${item.paymentId}`);
+      }
+      plan.push({ charge, amount: value });
+    }
+  } else {
+    let remaining = received;
+    for (const charge of openCharges) {
+      if (remaining <= 0) break;
+      const value = Math.min(remaining, balanceOf(charge));
+      if (value <= 0) continue;
+      plan.push({ charge, amount: value });
+      remaining = roundAmount(remaining - value);
+    }
+  }
+
+  const allocated = sumAmounts(plan.map(item => item.amount));
+  if (allocated > received) {
+    throw new ServiceError('Allocations exceed the amount received');
+  }
+
+  const details = { paidDate, paymentMethod, transactionId, notes, paidBy: tenantId, postedBy };
+  const charges = [];
+  for (const item of plan) {
+    charges.push(await applyToCharge(item.charge, item.amount, details));
+  }
+
+  const unallocated = roundAmount(received - allocated);
+  if (unallocated > 0) {
+    const reference = charges[0] || openCharges[0];
+    await ledger.recordCredit({
+      tenant: tenantId,
+      lease: leaseId || reference?.lease,
+      property: reference?.property
+    }, unallocated, {
+      postedBy,
+      effectiveDate: paidDate ? new Date(paidDate) : new Date(),
+      description: 'Unapplied payment credit'
+    });
+  }
+
+  return {
+    received,
+    allocated,
+    unallocated,
+    allocations: plan.map(item => ({ payment: item.charge._id, amount: item.amount, status: item.charge.status }))
+  };
+};
+
+module.exports = {
+  OPEN_STATUSES,
+  balanceOf,
+  getOpenCharges,
+  applyToCharge,
+  allocatePayment
+};
@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const { parseCsvObjects } = require('./csv');
+const { ServiceError } = require('./errors');
+const { roundAmount } = require('./money');
+
+// Header names banks commonly use for each field, in order of preference
+const CSV_COLUMNS = {
+  date: ['date', 'posted date', 'posting date', 'transaction date', 'value date'],
+  amount: ['amount', 'transaction amount'],
+  credit: ['credit', 'credit amount', 'deposit', 'deposits', 'money in'],
+  description: ['description', 'memo', 'details', 'narrative', 'transaction description'],
+  reference: ['reference', 'ref', 'check number', 'cheque number', 'transaction id', 'id'],
+  payerName: ['payer', 'payer name', 'name', 'payee', 'counterparty']
+};
+
+const pick = (row, names) => {
+  const key = names.find(name => row[name] !== undefined && row[name] !== '');
+  return key ? row[key] : '';
+};
+
+const parseAmount = (value) => {
+  if (!value) return NaN;
+  const negative = /^\(.*\)$/.test(value.trim()) || value.trim().startsWith('-');
+  const number = parseFloat(value.replace(/[^0-9.]/g, ''));
+  return negative ? -number : number;
+};
+
+// OFX dates look like 20260115 or 20260115120000[-5:EST]
+const parseOfxDate = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})/.exec(value || '');
+  return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+};
+
+const parseCsvStatement = (text) => parseCsvObjects(text).map(row => {
+  const credit = parseAmount(pick(row, CSV_COLUMNS.credit));
+  return {
+    date: new Date(pick(row, CSV_COLUMNS.date)),
+    amount: isNaN(credit) ? parseAmount(pick(row, CSV_COLUMNS.amount)) : credit,
+    description: pick(row, CSV_COLUMNS.description),
+    reference: pick(row, CSV_COLUMNS.reference),
+    payerName: pick(row, CSV_COLUMNS.payerName)
+  };
+});
+
+// OFX 1.x is SGML with unclosed leaf tags, so read each <STMTTRN> block tag by tag
+const parseOfxStatement = (text) => {
+  const blocks = text.match(/<STMTTRN>[\s\S]*?(<\/STMTTRN>|(?=<STMTTRN>)|(?=<\/BANKTRANLIST>))/gi) || [];
+  return blocks.map(block => {
+    const tag = (name) => {
+      const match = new RegExp(`<${name}>([^<\\r\\n]*)`, 'i').exec(block);
+      return match ? match[1].trim() : '';
+    };
+    return {
+      date: parseOfxDate(tag('DTPOSTED')),
+      amount: parseAmount(tag('TRNAMT')),
+      description: tag('MEMO') || tag('NAME'),
+      reference: tag('FITID') || tag('CHECKNUM') || tag('REFNUM'),
+      payerName: tag('NAME')
+    };
+  });
+};
+
+const detectFormat = (filename, text) => {
+  if (/\.(ofx|qfx)$/i.test(filename || '') || /<OFX>/i.test(text)) return 'ofx';
+  if (/\.csv$/i.test(filename || '') || text.includes(',')) return 'csv';
+  throw new ServiceError('Unsupported statement format; upload a CSV or OFX file');
+};
+
+const fingerprintOf = (line) => crypto.createHash('sha256')
+  .update([line.date.toISOString().slice(0, 10), line.amount.toFixed(2), line.reference, line.description].join('|'))
+  .digest('hex');
+
+// Parse an uploaded statement into incoming-money lines. Debits and unreadable rows are skipped.
+const parseStatement = (buffer, filename) => {
+  const text = buffer.toString('utf8');
+  const format = detectFormat(filename, text);
+  const parsed = format === 'ofx' ? parseOfxStatement(text) : parseCsvStatement(text);
+
+  const lines = parsed
+    .filter(line => line.date && !isNaN(line.date) && line.amount > 0)
+    .map(line => ({ ...line, amount: roundAmount(line.amount) }))
+    .map(line => ({ ...line, fingerprint: fingerprintOf(line) }));
+
+  return {
+    format,
+    lines,
+    skipped: parsed.length - lines.length
+  };
+};
+
+module.exports = {
+  parseStatement
+};
@@ -0,0 +1,136 @@
+const Payment = require('../models/Payment');
+const PaymentIntent = require('../models/PaymentIntent');
+const gateways = require('./gateways');
+const allocation = require('./allocation');
+const ledger = require('./ledger');
+const paymentDocuments = require('./paymentDocuments');
+const { ServiceError } = require('./errors');
+const { roundAmount, sumAmounts } = require('./money');
+const { DEFAULT_CURRENCY } = require('./currency');
+
+// Open a checkout with a provider for a tenant's open charges (all of them, or the ones listed)
+const createCheckoutIntent = async ({ tenantId, paymentIds, provider, createdBy }) => {
+  const providerName = provider || gateways.defaultProvider();
+  if (!providerName) {
+    throw new ServiceError('No payment provider is configured');
+  }
+  const gateway = gateways.getProvider(providerName);
+  if (!gateway) {
+    throw new ServiceError(`Unknown payment provider: ${providerName}`);
+  }
+
+  let charges = await allocation.getOpenCharges(tenantId);
+  if (Array.isArray(paymentIds) && paymentIds.length > 0) {
+    const wanted = paymentIds.map(String);
+    charges = charges.filter(c => wanted.includes(c._id.toString()));
+    if (charges.length !== wanted.length) {
+      throw new ServiceError('Some charges are not open charges for this tenant');
+    }
+  }
+
+  const payable = charges.filter(charge => allocation.balanceOf(charge) > 0);
+  if (payable.length === 0) {
+    throw new ServiceError('There is nothing to pay');
+  }
+
+  // A provider takes one currency per checkout
+  const currencies = [...new Set(payable.map(charge => charge.currency || DEFAULT_CURRENCY))];
+  if (currencies.length > 1) {
+    throw new ServiceError(`Charges in different currencies (${currencies.join(', ')}) must be paid in separate checkouts`);
+  }
+
+  const items = payable.map(charge => ({ payment: charge._id, amount: allocation.balanceOf(charge) }));
+
+  const intent = new PaymentIntent({
+    tenant: tenantId,
+    provider: providerName,
+    charges: items,
+    amount: sumAmounts(items.map(item => item.amount)),
+    currency: currencies[0],
+    createdBy: createdBy || null
+  });
+
+  const checkout = await gateway.createCheckout({
+    intent,
+    amount: intent.amount,
+    currency: intent.currency,
+    description: `Payment for ${items.length} charge(s)`
+  });
+  intent.providerReference = checkout.providerReference;
+  intent.checkoutUrl = checkout.checkoutUrl;
+  await intent.save();
+
+  return intent;
+};
+
+// Apply a verified provider event. Replayed events for a settled intent are ignored.
+const handleWebhookEvent = async (providerName, event) => {
+  const intent = await PaymentIntent.findOne({
+    provider: providerName,
+    providerReference: event.providerReference
+  });
+  if (!intent) {
+    throw new ServiceError('Payment intent not found', 404);
+  }
+  if (intent.status !== 'created') {
+    return { intent, duplicate: true };
+  }
+
+  if (event.status !== 'succeeded') {
+    intent.status = 'failed';
+    intent.failureReason = event.failureReason || 'Payment failed';
+    intent.completedAt = new Date();
+    await intent.save();
+    return { intent, duplicate: false };
+  }
+
+  // Claim the intent before touching any charges so concurrent deliveries can't double-apply
+  const claimed = await PaymentIntent.findOneAndUpdate(
+    { _id: intent._id, status: 'created' },
+    { status: 'succeeded', transactionId: event.transactionId, completedAt: new Date() },
+    { new: true }
+  );
+  if (!claimed) {
+    return { intent, duplicate: true };
+  }
+
+  const paidDate = new Date();
+  let unapplied = roundAmount(event.amount || claimed.amount);
+
+  for (const item of claimed.charges) {
+    const charge = await Payment.findById(item.payment);
+    if (!charge || !allocation.OPEN_STATUSES.includes(charge.status)) continue;
+
+    // The charge may have been partly paid some other way since checkout started
+    const value = Math.min(item.amount, allocation.balanceOf(charge), unapplied);
+    if (value <= 0) continue;
+
+    if (claimed.charges.length === 1 && !charge.transactionId) {
+      charge.transactionId = event.transactionId;
+    }
+    await allocation.applyToCharge(charge, value, {
+      paidDate,
+      paymentMethod: 'online',
+      transactionId: event.transactionId,
+      notes: `Paid online via ${providerName}`,
+      paidBy: claimed.tenant
+    });
+    unapplied = roundAmount(unapplied - value);
+
+    await paymentDocuments.generateQuietly(paymentDocuments.generateReceipt, charge._id);
+  }
+
+  if (unapplied > 0) {
+    await ledger.recordCredit({ tenant: claimed.tenant }, unapplied, {
+      effectiveDate: paidDate,
+      description: `Unapplied online payment ${event.transactionId}`
+    });
+  }
+
+  return { intent: claimed, duplicate: false };
+};
+
+module.exports = {
+  createCheckoutIntent,
+  handleWebhookEvent
+};
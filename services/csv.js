@@ -0,0 +1,67 @@
+// Parse CSV text into an array of rows, handling quoted fields, escaped quotes and CRLF
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(cell => cell.trim() !== ''));
+};
+
+// Rows keyed by lower-cased, trimmed header names
+const parseCsvObjects = (text) => {
+  const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+  if (!header) return [];
+  const keys = header.map(h => h.trim().toLowerCase());
+  return rows.map(cells => keys.reduce((obj, key, index) => {
+    obj[key] = (cells[index] || '').trim();
+    return obj;
+  }, {}));
+};
+
+const escapeCell = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Serialize rows (arrays of cells) into CSV text, the first row being the header
+const toCsv = (rows) => rows.map(row => row.map(escapeCell).join(',')).join('\r\n') + '\r\n';
+
+module.exports = {
+  parseCsv,
+  parseCsvObjects,
+  toCsv
+};
@@ -0,0 +1,164 @@
+const ExchangeRate = require('../models/ExchangeRate');
+const { parseCsvObjects } = require('./csv');
+const { ServiceError } = require('./errors');
+const { roundAmount, sumAmounts } = require('./money');
+
+// Currency for records created before currencies were tracked, and the default reporting currency
+const DEFAULT_CURRENCY = (process.env.DEFAULT_CURRENCY || 'USD').toUpperCase();
+
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+// ISO 4217 currencies whose minor unit is not a hundredth (e.g. JPY has none, KWD has thousandths).
+// Amounts are stored in hundredths, so these can't be held exactly and are not accepted.
+const UNSUPPORTED_CURRENCIES = new Set([
+  'BIF', 'CLP', 'DJF', 'GNF', 'ISK', 'JPY', 'KMF', 'KRW', 'PYG', 'RWF', 'UGX', 'UYI', 'VND', 'VUV', 'XAF', 'XOF', 'XPF',
+  'BHD', 'IQD', 'JOD', 'KWD', 'LYD', 'OMR', 'TND',
+  'CLF', 'UYW'
+]);
+
+const isSupportedCurrency = (code) => CURRENCY_PATTERN.test(code) && !UNSUPPORTED_CURRENCIES.has(code);
+
+if (!isSupportedCurrency(DEFAULT_CURRENCY)) {
+  throw new Error(`DEFAULT_CURRENCY ${DEFAULT_CURRENCY} is not a supported currency`);
+}
+
+// Aggregation expression for a record's currency, treating untagged records as the default currency
+const currencyField = { $ifNull: ['$currency', DEFAULT_CURRENCY] };
+
+// Upper-cased ISO 4217 code, or the fallback when none is given
+const normalizeCurrency = (code, fallback = DEFAULT_CURRENCY) => {
+  if (!code) return fallback;
+  const currency = String(code).trim().toUpperCase();
+  if (!CURRENCY_PATTERN.test(currency)) {
+    throw new ServiceError(`Invalid currency code: ${code}`);
+  }
+  if (UNSUPPORTED_CURRENCIES.has(currency)) {
+    throw new ServiceError(`${currency} is not supported: amounts are kept to two decimal places`);
+  }
+  return currency;
+};
+
+// Start of the day a rate applies from; rates are stored per day
+const rateDay = (value) => {
+  const date = value ? new Date(value) : new Date();
+  if (isNaN(date)) {
+    throw new ServiceError('Invalid rate date');
+  }
+  date.setUTCHours(0, 0, 0, 0);
+  return date;
+};
+
+// Latest stored rate for a pair on or before a date, reading the reverse pair when it is newer
+const findRate = async (from, to, date) => {
+  if (from === to) return 1;
+
+  const [direct, inverse] = await Promise.all([
+    ExchangeRate.findOne({ from, to, effectiveDate: { $lte: date } }).sort({ effectiveDate: -1 }),
+    ExchangeRate.findOne({ from: to, to: from, effectiveDate: { $lte: date } }).sort({ effectiveDate: -1 })
+  ]);
+
+  if (direct && (!inverse || direct.effectiveDate >= inverse.effectiveDate)) return direct.rate;
+  if (inverse) return 1 / inverse.rate;
+  return null;
+};
+
+// Rate to convert `from` into `to`, crossing through the default currency when there is no direct pair
+const getRate = async (from, to, date = new Date()) => {
+  const rate = await findRate(from, to, date);
+  if (rate !== null) return rate;
+
+  if (from !== DEFAULT_CURRENCY && to !== DEFAULT_CURRENCY) {
+    const [fromDefault, toTarget] = await Promise.all([
+      findRate(from, DEFAULT_CURRENCY, date),
+      findRate(DEFAULT_CURRENCY, to, date)
+    ]);
+    if (fromDefault !== null && toTarget !== null) return fromDefault * toTarget;
+  }
+
+  throw new ServiceError(`No exchange rate from ${from} to ${to} on or before ${date.toISOString().slice(0, 10)}`);
+};
+
+// Converter into a base currency at the rates in force on a date; rates are looked up once per currency
+const createConverter = (base, date = new Date()) => {
+  const rates = new Map();
+
+  return async (amount, currency) => {
+    const from = currency || DEFAULT_CURRENCY;
+    if (!rates.has(from)) {
+      rates.set(from, await getRate(from, base, date));
+    }
+    return roundAmount((amount || 0) * rates.get(from));
+  };
+};
+
+// Sum per-currency totals (aggregation rows of { _id: currency, total }) into the converter's base currency
+const sumConverted = async (rows, convert) => {
+  const amounts = [];
+  for (const row of rows) {
+    amounts.push(await convert(row.total, row._id));
+  }
+  return sumAmounts(amounts);
+};
+
+const saveRate = ({ from, to, rate, effectiveDate, source = 'manual', notes, createdBy }) => {
+  const pair = { from: normalizeCurrency(from, null), to: normalizeCurrency(to, null) };
+  if (!pair.from || !pair.to) {
+    throw new ServiceError('from and to currencies are required');
+  }
+  if (pair.from === pair.to) {
+    throw new ServiceError('from and to currencies must differ');
+  }
+  const value = Number(rate);
+  if (!(value > 0)) {
+    throw new ServiceError('rate must be a positive number');
+  }
+  const day = rateDay(effectiveDate);
+
+  // Entering a rate again for the same day replaces it
+  return ExchangeRate.findOneAndUpdate(
+    { ...pair, effectiveDate: day },
+    { rate: value, source, notes: notes || '', createdBy: createdBy || null },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Import rates from a CSV file with from, to, rate and date columns
+const importRates = async ({ buffer, createdBy }) => {
+  const rows = parseCsvObjects(buffer.toString('utf8'));
+  if (rows.length === 0) {
+    throw new ServiceError('The file contains no rates');
+  }
+
+  const rates = [];
+  const errors = [];
+  for (const [index, row] of rows.entries()) {
+    try {
+      rates.push(await saveRate({
+        from: row.from || row.base,
+        to: row.to || row.quote,
+        rate: row.rate,
+        effectiveDate: row.date || row.effectivedate,
+        source: 'import',
+        createdBy
+      }));
+    } catch (error) {
+      if (!error.status) throw error;
+      // Line numbers count the header row, as in a spreadsheet
+      errors.push({ line: index + 2, message: error.message });
+    }
+  }
+
+  return { imported: rates.length, rates, errors };
+};
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  currencyField,
+  isSupportedCurrency,
+  normalizeCurrency,
+  getRate,
+  createConverter,
+  sumConverted,
+  saveRate,
+  importRates
+};
@@ -0,0 +1,420 @@
+const Deposit = require('../models/Deposit');
+const Payment = require('../models/Payment');
+const Maintenance = require('../models/Maintenance');
+const ledger = require('./ledger');
+const allocation = require('./allocation');
+const { ServiceError } = require('./errors');
+const { roundAmount, sumAmounts } = require('./money');
+
+const DEPOSIT_PAYMENT_TYPES = {
+  security: 'security_deposit',
+  pet: 'pet_deposit'
+};
+
+// Unsaved deposit record for a lease, from the lease amounts
+const newDeposit = (lease) => new Deposit({
+  lease: lease._id,
+  tenant: lease.tenant,
+  property: lease.property,
+  securityAmount: lease.securityDeposit || 0,
+  petAmount: lease.petDeposit || 0
+});
+
+// Deposit record for a lease without creating one; a lease with none gets an unsaved record
+const findDeposit = async (lease) => (await Deposit.findOne({ lease: lease._id })) || newDeposit(lease);
+
+// Deposit record for a lease, created from the lease amounts on first use
+const getOrCreateDeposit = async (lease) => {
+  let deposit = await Deposit.findOne({ lease: lease._id });
+  if (!deposit) {
+    deposit = newDeposit(lease);
+    await deposit.save();
+  }
+  return deposit;
+};
+
+const refreshStatus = (deposit) => {
+  if (deposit.status === 'disposed') return;
+  if (deposit.amountCollected <= 0) {
+    deposit.status = 'awaiting_collection';
+  } else if (deposit.amountCollected < deposit.amountRequired) {
+    deposit.status = 'partially_collected';
+  } else {
+    deposit.status = 'held';
+  }
+};
+
+const collectedOfType = (deposit, depositType) => sumAmounts(deposit.collections
+  .filter(c => c.depositType === depositType)
+  .map(c => c.amount));
+
+// Record deposit money received; it settles the lease's deposit charge, raising one if needed
+const collectDeposit = async (lease, { amount, depositType = 'security', paymentMethod, paidDate, transactionId, postedBy }) => {
+  const value = roundAmount(Number(amount));
+  if (!value || value <= 0) {
+    throw new ServiceError('A positive amount is required');
+  }
+  if (!DEPOSIT_PAYMENT_TYPES[depositType]) {
+    throw new ServiceError('depositType must be security or pet');
+  }
+
+  const deposit = await getOrCreateDeposit(lease);
+  if (deposit.status === 'disposed') {
+    throw new ServiceError('Deposit has already been disposed');
+  }
+
+  const paymentType = DEPOSIT_PAYMENT_TYPES[depositType];
+  let charge = await Payment.findOne({
+    lease: lease._id,
+    paymentType,
+    status: { $in: allocation.OPEN_STATUSES }
+  }).sort({ dueDate: 1 });
+
+  if (!charge) {
+    const required = depositType === 'pet' ? deposit.petAmount : deposit.securityAmount;
+    charge = new Payment({
+      lease: lease._id,
+      tenant: lease.tenant,
+      property: lease.property,
+      amount: Math.max(required - collectedOfType(deposit, depositType), value),
+      paymentType,
+      dueDate: paidDate ? new Date(paidDate) : new Date(),
+      status: 'pending',
+      description: depositType === 'pet' ? 'Pet deposit' : 'Security deposit'
+    });
+    await charge.save();
+    await ledger.recordCharge(charge, { postedBy });
+  }
+
+  if (value > allocation.balanceOf(charge)) {
+    throw new ServiceError('Amount exceeds the deposit still due');
+  }
+
+  await allocation.applyToCharge(charge, value, { paidDate, paymentMethod, transactionId, postedBy });
+
+  deposit.collections.push({
+    depositType,
+    amount: value,
+    date: paidDate ? new Date(paidDate) : new Date(),
+    paymentMethod,
+    payment: charge._id,
+    recordedBy: postedBy || null
+  });
+  deposit.amountCollected = roundAmount(deposit.amountCollected + value);
+  refreshStatus(deposit);
+  await deposit.save();
+
+  return deposit;
+};
+
+// Take back deposit money that never arrived (e.g. a bounced check) against a deposit charge
+const reverseCollection = async (charge, amount) => {
+  const deposit = await Deposit.findOne({ lease: charge.lease });
+  if (!deposit) return null;
+  if (deposit.status === 'disposed') {
+    throw new ServiceError('Deposit has already been disposed');
+  }
+
+  const index = deposit.collections.findIndex(c =>
+    c.payment && c.payment.toString() === charge._id.toString() && c.amount === amount
+  );
+  if (index !== -1) deposit.collections.splice(index, 1);
+
+  deposit.amountCollected = roundAmount(Math.max(deposit.amountCollected - amount, 0));
+  refreshStatus(deposit);
+  await deposit.save();
+
+  return deposit;
+};
+
+// Check an itemized move-out deduction, pricing it from a maintenance request's actual cost when
+// no amount is given
+const buildDeduction = async (lease, { description, category, amount, maintenanceId, postedBy }) => {
+  let value = amount !== undefined && amount !== null && amount !== '' ? Number(amount) : null;
+  let maintenance = null;
+
+  if (maintenanceId) {
+    maintenance = await Maintenance.findById(maintenanceId);
+    if (!maintenance || maintenance.property.toString() !== lease.property.toString()) {
+      throw new ServiceError('Maintenance request not found for this property');
+    }
+    if (value === null) value = maintenance.actualCost;
+  }
+
+  if (value === null || isNaN(value) || value < 0) {
+    throw new ServiceError('Deduction amount is required');
+  }
+
+  return {
+    description: description || (maintenance ? maintenance.title : ''),
+    category: category || (maintenance ? 'repairs' : 'damage'),
+    amount: roundAmount(value),
+    maintenance: maintenance ? maintenance._id : null,
+    addedBy: postedBy || null
+  };
+};
+
+// Add an itemized move-out deduction
+const addDeduction = async (lease, item) => {
+  const deposit = await getOrCreateDeposit(lease);
+  if (deposit.status === 'disposed') {
+    throw new ServiceError('Deposit has already been disposed');
+  }
+
+  deposit.deductions.push(await buildDeduction(lease, item));
+  await deposit.save();
+
+  return deposit;
+};
+
+const removeDeduction = async (lease, deductionId) => {
+  const deposit = await Deposit.findOne({ lease: lease._id });
+  if (!deposit) {
+    throw new ServiceError('Deposit not found', 404);
+  }
+  if (deposit.status === 'disposed') {
+    throw new ServiceError('Deposit has already been disposed');
+  }
+
+  const deduction = deposit.deductions.id(deductionId);
+  if (!deduction) {
+    throw new ServiceError('Deduction not found', 404);
+  }
+  deduction.deleteOne();
+  await deposit.save();
+
+  return deposit;
+};
+
+// Change the deposit amounts a lease asks for. The deposit record follows, and an open deposit
+// charge is adjusted to what is still owed at the new amount.
+const setDepositAmounts = async (lease, { securityDeposit, petDeposit, postedBy } = {}) => {
+  const amounts = { security: securityDeposit, pet: petDeposit };
+  for (const [depositType, amount] of Object.entries(amounts)) {
+    if (amount === undefined) continue;
+    const value = Number(amount);
+    if (amount === null || amount === '' || isNaN(value) || value < 0) {
+      throw new ServiceError(`${depositType === 'pet' ? 'petDeposit' : 'securityDeposit'} must be a non-negative amount`);
+    }
+    amounts[depositType] = roundAmount(value);
+  }
+
+  const deposit = await Deposit.findOne({ lease: lease._id });
+  if (deposit && deposit.status === 'disposed') {
+    throw new ServiceError('Deposit has already been disposed');
+  }
+
+  if (amounts.security !== undefined) lease.securityDeposit = amounts.security;
+  if (amounts.pet !== undefined) lease.petDeposit = amounts.pet;
+  await lease.save();
+
+  if (!deposit) return newDeposit(lease);
+
+  deposit.securityAmount = lease.securityDeposit || 0;
+  deposit.petAmount = lease.petDeposit || 0;
+
+  for (const [depositType, paymentType] of Object.entries(DEPOSIT_PAYMENT_TYPES)) {
+    if (amounts[depositType] === undefined) continue;
+
+    const charge = await Payment.findOne({
+      lease: lease._id,
+      paymentType,
+      status: { $in: allocation.OPEN_STATUSES }
+    }).sort({ dueDate: 1 });
+    if (!charge) continue;
+
+    const outstanding = Math.max(amounts[depositType] - collectedOfType(deposit, depositType), 0);
+    const newAmount = roundAmount((charge.paidAmount || 0) + outstanding);
+    const delta = roundAmount(newAmount - charge.amount);
+    if (!delta) continue;
+
+    charge.amount = newAmount;
+    if (charge.paidAmount >= newAmount) {
+      charge.status = 'completed';
+    }
+    await charge.save();
+    await ledger.recordAdjustment(charge, delta, {
+      postedBy,
+      description: `${charge.description || 'Deposit'} changed on the lease`
+    });
+  }
+
+  refreshStatus(deposit);
+  await deposit.save();
+
+  return deposit;
+};
+
+// Close a deposit charge at what has been paid on it
+const writeOffUncollected = async (charge, { postedBy, date, description }) => {
+  const writeOff = allocation.balanceOf(charge);
+  charge.amount = charge.paidAmount || 0;
+  charge.status = 'completed';
+  await charge.save();
+  await ledger.recordAdjustment(charge, -writeOff, { postedBy, effectiveDate: date, description });
+};
+
+// Carry the deposit over to a renewal: the money held moves to the successor lease, which asks
+// for its own deposit amounts. Deposit still uncollected on the old lease is closed there and
+// collected against the successor instead.
+const transferDeposit = async (lease, successor, { postedBy } = {}) => {
+  const deposit = await Deposit.findOne({ lease: lease._id });
+  if (!deposit || deposit.status === 'disposed') return null;
+
+  const uncollected = await Payment.find({
+    lease: lease._id,
+    paymentType: { $in: Object.values(DEPOSIT_PAYMENT_TYPES) },
+    status: { $in: allocation.OPEN_STATUSES }
+  });
+  for (const charge of uncollected) {
+    await writeOffUncollected(charge, {
+      postedBy,
+      date: new Date(),
+      description: `Uncollected ${charge.description || 'deposit'} carried over to the renewed lease`
+    });
+  }
+
+  deposit.lease = successor._id;
+  deposit.securityAmount = successor.securityDeposit || 0;
+  deposit.petAmount = successor.petDeposit || 0;
+  refreshStatus(deposit);
+  await deposit.save();
+
+  return deposit;
+};
+
+// Move-out disposition: charge the deductions, apply the deposit to what the tenant owes on the
+// lease, refund the rest and produce an itemized statement
+const disposeDeposit = async (lease, { moveOutDate, deductions = [], applyToBalance = true, postedBy } = {}) => {
+  const deposit = await getOrCreateDeposit(lease);
+  if (deposit.status === 'disposed') {
+    throw new ServiceError('Deposit has already been disposed');
+  }
+
+  // Check every deduction before any is kept, so a bad item leaves nothing half-recorded
+  const items = [];
+  for (const item of deductions) {
+    items.push(await buildDeduction(lease, { ...item, postedBy }));
+  }
+  items.forEach(item => deposit.deductions.push(item));
+
+  const date = moveOutDate ? new Date(moveOutDate) : new Date();
+
+  // Each deduction becomes a charge against the tenant
+  for (const deduction of deposit.deductions) {
+    if (deduction.payment || deduction.amount <= 0) continue;
+
+    const charge = new Payment({
+      lease: lease._id,
+      tenant: deposit.tenant,
+      property: deposit.property,
+      amount: deduction.amount,
+      paymentType: 'maintenance',
+      dueDate: date,
+      status: 'pending',
+      description: `Move-out deduction: ${deduction.description}`
+    });
+    await charge.save();
+    await ledger.recordCharge(charge, { postedBy, effectiveDate: date });
+    deduction.payment = charge._id;
+  }
+
+  let available = deposit.amountCollected;
+  const appliedCharges = [];
+
+  if (applyToBalance) {
+    const openCharges = await allocation.getOpenCharges(deposit.tenant, { leaseId: lease._id });
+    for (const charge of openCharges) {
+      if (available <= 0) break;
+      if (Object.values(DEPOSIT_PAYMENT_TYPES).includes(charge.paymentType)) continue;
+
+      const value = Math.min(available, allocation.balanceOf(charge));
+      if (value <= 0) continue;
+
+      await allocation.applyToCharge(charge, value, {
+        paidDate: date,
+        paymentMethod: 'other',
+        notes: 'Applied from security deposit',
+        postedBy,
+        fromAccount: 'deposits_held'
+      });
+      appliedCharges.push({ payment: charge._id, description: charge.description, amount: value });
+      available = roundAmount(available - value);
+    }
+  }
+
+  const appliedToBalance = roundAmount(deposit.amountCollected - available);
+  const refundAmount = available;
+
+  if (refundAmount > 0) {
+    await ledger.recordDepositRefund({
+      tenant: deposit.tenant,
+      lease: lease._id,
+      property: deposit.property
+    }, refundAmount, { postedBy, effectiveDate: date });
+  }
+
+  let remaining = await allocation.getOpenCharges(deposit.tenant, { leaseId: lease._id });
+
+  // Deposit still uncollected at move-out is no longer owed
+  for (const charge of remaining) {
+    if (!Object.values(DEPOSIT_PAYMENT_TYPES).includes(charge.paymentType)) continue;
+    await writeOffUncollected(charge, {
+      postedBy,
+      date,
+      description: `Uncollected ${charge.description || 'deposit'} written off at move-out`
+    });
+  }
+  remaining = remaining.filter(charge => charge.status !== 'completed');
+  const amountOwed = sumAmounts(remaining.map(charge => allocation.balanceOf(charge)));
+  const totalDeductions = sumAmounts(deposit.deductions.map(d => d.amount));
+
+  deposit.status = 'disposed';
+  deposit.disposition = {
+    moveOutDate: date,
+    totalDeductions,
+    appliedToBalance,
+    refundAmount,
+    amountOwed,
+    processedAt: new Date(),
+    processedBy: postedBy || null,
+    statement: {
+      lease: lease._id,
+      tenant: deposit.tenant,
+      property: deposit.property,
+      moveOutDate: date,
+      depositRequired: {
+        security: deposit.securityAmount,
+        pet: deposit.petAmount
+      },
+      depositCollected: deposit.amountCollected,
+      deductions: deposit.deductions.map(d => ({
+        description: d.description,
+        category: d.category,
+        amount: d.amount,
+        maintenance: d.maintenance
+      })),
+      totalDeductions,
+      appliedToCharges: appliedCharges,
+      appliedToBalance,
+      refundAmount,
+      amountOwed,
+      generatedAt: new Date()
+    }
+  };
+  await deposit.save();
+
+  return deposit;
+};
+
+module.exports = {
+  findDeposit,
+  getOrCreateDeposit,
+  collectDeposit,
+  reverseCollection,
+  addDeduction,
+  removeDeduction,
+  setDepositAmounts,
+  transferDeposit,
+  disposeDeposit
+};
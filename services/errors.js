@@ -0,0 +1,10 @@
+// Error raised by services for problems the caller can fix; routes map `status` onto the response
+class ServiceError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ServiceError';
+    this.status = status;
+  }
+}
+
+module.exports = { ServiceError };
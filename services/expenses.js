@@ -0,0 +1,216 @@
+const Expense = require('../models/Expense');
+const Property = require('../models/Property');
+const { addPeriod } = require('./recurringCharges');
+const { collectionsByProperty } = require('./ownerStatements');
+const { roundAmount, sumAmounts, fromMinorTotals } = require('./money');
+
+const DEFAULT_WINDOW_DAYS = 35;
+
+// Debt service is a financing cost, so it sits below net operating income
+const NON_OPERATING_CATEGORIES = ['mortgage'];
+
+// Save an expense; a recurring one starts a series that the scheduler extends
+const createExpense = async (fields, { recordedBy } = {}) => {
+  const expense = new Expense({ ...fields, recordedBy: recordedBy || null });
+  if (expense.status === 'paid' && !expense.paidDate) {
+    expense.paidDate = expense.date;
+  }
+  if (expense.isRecurring && !expense.nextDueDate) {
+    expense.nextDueDate = addPeriod(expense.date, expense.recurringPeriod || 'monthly');
+  }
+  await expense.save();
+  return expense;
+};
+
+// Keep the expense for a maintenance request in step with it: raised once the job is completed
+// with a cost, updated if the cost changes, voided if the job is reopened or the cost removed
+const syncMaintenanceExpense = async (maintenance, { recordedBy } = {}) => {
+  const cost = maintenance.actualCost || maintenance.vendorInfo?.cost || 0;
+  const existing = await Expense.findOne({ maintenance: maintenance._id });
+
+  if (maintenance.status !== 'completed' || cost <= 0) {
+    if (existing && existing.status !== 'void') {
+      existing.status = 'void';
+      await existing.save();
+    }
+    return existing;
+  }
+
+  const fields = {
+    property: maintenance.property?._id || maintenance.property,
+    amount: cost,
+    date: maintenance.completedDate || new Date(),
+    description: `Maintenance: ${maintenance.title}`,
+    vendor: {
+      name: maintenance.vendorInfo?.name,
+      contact: maintenance.vendorInfo?.contact,
+      email: maintenance.vendorInfo?.email
+    }
+  };
+
+  if (existing) {
+    existing.set(fields);
+    if (existing.status === 'void') existing.status = 'unpaid';
+    await existing.save();
+    return existing;
+  }
+
+  try {
+    return await createExpense({
+      ...fields,
+      category: 'repairs',
+      status: 'unpaid',
+      maintenance: maintenance._id
+    }, { recordedBy });
+  } catch (error) {
+    // Another request created it first
+    if (error.code === 11000) return Expense.findOne({ maintenance: maintenance._id });
+    throw error;
+  }
+};
+
+// Raise every recurring expense falling due within the window, one series step at a time.
+// Claiming nextDueDate atomically keeps concurrent runs from duplicating a period. If the next
+// expense can't be created the claim is handed back, so the series is retried on the next run.
+const generateRecurringExpenses = async ({ asOf = new Date(), windowDays = DEFAULT_WINDOW_DAYS, propertyId } = {}) => {
+  const horizon = new Date(asOf);
+  horizon.setDate(horizon.getDate() + Number(windowDays));
+
+  const query = {
+    isRecurring: true,
+    status: { $ne: 'void' },
+    nextDueDate: { $ne: null, $lte: horizon }
+  };
+  if (propertyId) query.property = propertyId;
+
+  const created = [];
+  const failed = [];
+  let heads = await Expense.find(query);
+
+  while (heads.length > 0) {
+    for (const head of heads) {
+      const dueDate = head.nextDueDate;
+      const claimed = await Expense.findOneAndUpdate(
+        { _id: head._id, nextDueDate: dueDate },
+        { nextDueDate: null }
+      );
+      if (!claimed) continue;
+
+      try {
+        const expense = await createExpense({
+          property: head.property,
+          category: head.category,
+          description: head.description,
+          amount: head.amount,
+          date: dueDate,
+          status: 'unpaid',
+          vendor: head.vendor,
+          deductFromOwner: head.deductFromOwner,
+          isRecurring: true,
+          recurringPeriod: head.recurringPeriod,
+          nextDueDate: addPeriod(dueDate, head.recurringPeriod)
+        }, { recordedBy: head.recordedBy });
+
+        created.push(expense);
+      } catch (error) {
+        await Expense.updateOne({ _id: head._id, nextDueDate: null }, { nextDueDate: dueDate });
+        console.error(`Recurring expense for series ${head._id} failed:`, error.message);
+        failed.push({ expense: head._id, dueDate, error: error.message });
+      }
+    }
+
+    // Leave failed series for the next run rather than retrying them in a loop
+    heads = await Expense.find({ ...query, _id: { $nin: failed.map(f => f.expense) } });
+  }
+
+  return {
+    asOf: new Date(asOf),
+    horizon,
+    count: created.length,
+    expenses: created.map(e => ({
+      expense: e._id,
+      property: e.property,
+      category: e.category,
+      amount: e.amount,
+      date: e.date
+    })),
+    failed
+  };
+};
+
+// Income collected less operating expenses per property for a period
+const netOperatingIncome = async ({ propertyQuery = {}, start, end }) => {
+  const properties = await Property.find(propertyQuery).select('title owner');
+  const propertyIds = properties.map(p => p._id);
+
+  const collections = await collectionsByProperty(propertyIds, start, end);
+  const expenseTotals = await Expense.aggregate([
+    {
+      $match: {
+        property: { $in: propertyIds },
+        status: { $ne: 'void' },
+        date: { $gte: start, $lte: end }
+      }
+    },
+    {
+      $group: {
+        _id: { property: '$property', category: '$category' },
+        total: { $sum: '$amount' }
+      }
+    }
+  ]).then(rows => fromMinorTotals(rows));
+
+  const rows = properties.map(property => {
+    const id = property._id.toString();
+    const collected = collections.get(id);
+    const byCategory = {};
+    expenseTotals
+      .filter(e => e._id.property.toString() === id)
+      .forEach(e => { byCategory[e._id.category] = roundAmount(e.total); });
+
+    const income = roundAmount(collected.rent + collected.other);
+    const operatingExpenses = sumAmounts(Object.entries(byCategory)
+      .filter(([category]) => !NON_OPERATING_CATEGORIES.includes(category))
+      .map(([, total]) => total));
+    const debtService = sumAmounts(NON_OPERATING_CATEGORIES.map(category => byCategory[category] || 0));
+    const noi = roundAmount(income - operatingExpenses);
+
+    return {
+      property: property._id,
+      title: property.title,
+      income: {
+        rent: roundAmount(collected.rent),
+        other: roundAmount(collected.other),
+        total: income
+      },
+      expenses: byCategory,
+      operatingExpenses,
+      netOperatingIncome: noi,
+      debtService,
+      cashFlow: roundAmount(noi - debtService)
+    };
+  });
+
+  const sum = (pick) => sumAmounts(rows.map(pick));
+
+  return {
+    from: start,
+    to: end,
+    properties: rows,
+    totals: {
+      income: sum(r => r.income.total),
+      operatingExpenses: sum(r => r.operatingExpenses),
+      netOperatingIncome: sum(r => r.netOperatingIncome),
+      debtService: sum(r => r.debtService),
+      cashFlow: sum(r => r.cashFlow)
+    }
+  };
+};
+
+module.exports = {
+  NON_OPERATING_CATEGORIES,
+  createExpense,
+  syncMaintenanceExpense,
+  generateRecurringExpenses,
+  netOperatingIncome
+};
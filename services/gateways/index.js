@@ -0,0 +1,32 @@
+// Payment providers. Each implements:
+//   createCheckout({ intent, amount, currency, description }) -> { providerReference, checkoutUrl }
+//   verifyWebhook(req) -> boolean, checked against the raw request body
+//   parseWebhook(req) -> { providerReference, status, transactionId, amount, failureReason }
+const isProduction = () => process.env.NODE_ENV === 'production';
+
+const providers = {};
+
+// The mock provider settles checkouts without moving money, so it only exists outside production
+if (!isProduction()) {
+  providers.mock = require('./mock');
+}
+
+const registerProvider = (name, provider) => {
+  providers[name] = provider;
+};
+
+const getProvider = (name) => {
+  if (name === 'mock' && isProduction()) return null;
+  return Object.prototype.hasOwnProperty.call(providers, name) ? providers[name] : null;
+};
+
+const listProviders = () => Object.keys(providers).filter(name => getProvider(name));
+
+const defaultProvider = () => process.env.PAYMENT_PROVIDER || (isProduction() ? null : 'mock');
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  listProviders,
+  defaultProvider
+};
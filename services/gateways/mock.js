@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+const { ServiceError } = require('../errors');
+
+// Local provider for development and testing: checkout always "redirects" back to the API and
+// webhooks are signed with a shared secret exactly as a real provider would sign them. It is never
+// registered in production, and needs MOCK_GATEWAY_SECRET set so nobody can sign events with a known key.
+const SECRET = process.env.MOCK_GATEWAY_SECRET || '';
+const SIGNATURE_HEADER = 'x-mock-signature';
+
+const sign = (payload) => crypto.createHmac('sha256', SECRET).update(payload).digest('hex');
+
+const requireSecret = () => {
+  if (!SECRET) {
+    throw new ServiceError('Set MOCK_GATEWAY_SECRET to use the mock payment provider');
+  }
+};
+
+const createCheckout = async ({ intent }) => {
+  requireSecret();
+  const providerReference = `mock_${crypto.randomBytes(12).toString('hex')}`;
+  return {
+    providerReference,
+    checkoutUrl: `/api/payments/checkout/${intent._id}/mock-complete`
+  };
+};
+
+const verifyWebhook = (req) => {
+  const signature = req.headers[SIGNATURE_HEADER];
+  if (!SECRET || !signature || !req.rawBody) return false;
+
+  const expected = Buffer.from(sign(req.rawBody));
+  const received = Buffer.from(String(signature));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+// Normalize the provider payload into { providerReference, status, transactionId, amount }
+const parseWebhook = (req) => {
+  const { reference, outcome, transactionId, amount, reason } = req.body;
+  return {
+    providerReference: reference,
+    status: outcome === 'paid' ? 'succeeded' : 'failed',
+    transactionId,
+    amount: Number(amount),
+    failureReason: reason || null
+  };
+};
+
+// Build the signed request the mock provider would send for an intent
+const buildEvent = (intent, { outcome = 'paid' } = {}) => {
+  requireSecret();
+  const body = {
+    reference: intent.providerReference,
+    outcome,
+    transactionId: `mocktxn_${crypto.randomBytes(8).toString('hex')}`,
+    amount: intent.amount
+  };
+  const payload = JSON.stringify(body);
+  return {
+    body,
+    rawBody: Buffer.from(payload),
+    headers: { [SIGNATURE_HEADER]: sign(payload) }
+  };
+};
+
+module.exports = {
+  name: 'mock',
+  createCheckout,
+  verifyWebhook,
+  parseWebhook,
+  buildEvent
+};
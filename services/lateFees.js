@@ -0,0 +1,142 @@
+const Payment = require('../models/Payment');
+const Lease = require('../models/Lease');
+const ledger = require('./ledger');
+const { roundAmount, sumAmounts } = require('./money');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Late fee owed on a charge as of a date under the lease's late fee rule
+const calculateLateFee = (lease, charge, asOf = new Date()) => {
+  const rule = lease.lateFee || {};
+  const daysLate = Math.floor((new Date(asOf) - new Date(charge.dueDate)) / DAY_MS);
+  const gracePeriod = rule.gracePeriod || 0;
+
+  if (daysLate <= gracePeriod) return 0;
+
+  let fee;
+  switch (rule.type) {
+    case 'percentage':
+      fee = charge.amount * (rule.percentage || 0) / 100;
+      break;
+    case 'daily':
+      fee = (rule.amount || 0) * (daysLate - gracePeriod);
+      break;
+    default:
+      fee = rule.amount || 0;
+  }
+
+  if (rule.maxAmount > 0) {
+    fee = Math.min(fee, rule.maxAmount);
+  }
+
+  return roundAmount(fee);
+};
+
+// Scan overdue rent charges and work out which late fees to create or grow.
+// With dryRun the plan is returned without writing anything.
+const assessLateFees = async ({ asOf = new Date(), dryRun = false, leaseId, chargeId, postedBy } = {}) => {
+  const date = new Date(asOf);
+  const query = {
+    paymentType: 'rent',
+    status: { $in: ['pending', 'partial'] },
+    dueDate: { $lt: date },
+    lease: { $ne: null }
+  };
+  if (leaseId) query.lease = leaseId;
+  if (chargeId) query._id = chargeId;
+
+  const charges = await Payment.find(query).sort({ dueDate: 1 });
+  const leases = await Lease.find({ _id: { $in: charges.map(c => c.lease) } });
+  const leaseById = new Map(leases.map(l => [l._id.toString(), l]));
+  const existingFees = await Payment.find({ lateFeeFor: { $in: charges.map(c => c._id) } });
+  const feeByCharge = new Map(existingFees.map(f => [f.lateFeeFor.toString(), f]));
+
+  const results = [];
+
+  for (const charge of charges) {
+    const lease = leaseById.get(charge.lease.toString());
+    if (!lease) continue;
+
+    const fee = calculateLateFee(lease, charge, date);
+    if (fee <= 0) continue;
+
+    const existing = feeByCharge.get(charge._id.toString());
+    let action = null;
+    let amount = fee;
+
+    if (!existing) {
+      action = 'create';
+    } else if (fee > existing.amount && ['pending', 'partial'].includes(existing.status)) {
+      // Daily accrual grows the same fee until it hits the cap
+      action = 'increase';
+      amount = roundAmount(fee - existing.amount);
+    }
+
+    if (!action) continue;
+
+    const result = {
+      action,
+      charge: charge._id,
+      lease: lease._id,
+      tenant: charge.tenant,
+      property: charge.property,
+      dueDate: charge.dueDate,
+      rule: lease.lateFee.type,
+      amount,
+      totalFee: fee
+    };
+
+    if (!dryRun) {
+      if (action === 'create') {
+        const lateFeePayment = new Payment({
+          lease: charge.lease,
+          tenant: charge.tenant,
+          property: charge.property,
+          amount: fee,
+          paymentType: 'late_fee',
+          dueDate: date,
+          status: 'pending',
+          description: `Late fee for ${charge.description || `payment ${charge._id}`}`,
+          lateFeeFor: charge._id
+        });
+
+        try {
+          await lateFeePayment.save();
+        } catch (error) {
+          // Another run created the fee first
+          if (error.code === 11000) continue;
+          throw error;
+        }
+
+        await ledger.recordCharge(lateFeePayment, { postedBy, effectiveDate: date });
+        result.lateFeePayment = lateFeePayment._id;
+      } else {
+        existing.amount = fee;
+        await existing.save();
+        await ledger.recordAdjustment(existing, amount, {
+          postedBy,
+          effectiveDate: date,
+          description: `Late fee accrual for ${charge.description || `payment ${charge._id}`}`
+        });
+        result.lateFeePayment = existing._id;
+      }
+
+      await Payment.updateOne({ _id: charge._id }, { lateFee: fee });
+    }
+
+    results.push(result);
+  }
+
+  return {
+    asOf: date,
+    dryRun,
+    count: results.length,
+    total: sumAmounts(results.map(r => r.amount)),
+    fees: results
+  };
+};
+
+module.exports = {
+  calculateLateFee,
+  assessLateFees
+};
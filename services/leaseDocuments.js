@@ -0,0 +1,323 @@
+const LeaseTemplate = require('../models/LeaseTemplate');
+const pdf = require('./pdf');
+const { ServiceError } = require('./errors');
+
+const COMPANY_NAME = process.env.COMPANY_NAME || 'Rental House Management';
+
+const UTILITY_LABELS = {
+  water: 'water',
+  electricity: 'electricity',
+  gas: 'gas',
+  internet: 'internet',
+  cable: 'cable',
+  trash: 'trash collection'
+};
+
+const ordinal = (n) => {
+  const suffix = (n % 100 >= 11 && n % 100 <= 13) ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th');
+  return `${n}${suffix}`;
+};
+
+const describeLateFee = (rule, currency) => {
+  if (!rule) return 'None';
+  let fee;
+  if (rule.type === 'percentage') {
+    fee = `${rule.percentage || 0}% of the overdue rent`;
+  } else if (rule.type === 'daily') {
+    fee = `${pdf.formatCurrency(rule.amount, currency)} per day`;
+  } else {
+    fee = pdf.formatCurrency(rule.amount, currency);
+  }
+  if (rule.maxAmount > 0) fee += `, up to ${pdf.formatCurrency(rule.maxAmount, currency)}`;
+  return `${fee} when rent is more than ${rule.gracePeriod || 0} day(s) late`;
+};
+
+const partyNames = (lease, role) => (lease.parties || [])
+  .filter(party => party.role === role)
+  .map(party => `${party.user?.name || ''} (${party.share}%)`)
+  .join(', ');
+
+// Merge fields available to templates: { description, kind, value(context) }. The kind decides how
+// the value prints; {{#if field}} blocks test the raw value.
+const MERGE_FIELDS = {
+  'today': { description: 'Date the document is generated', kind: 'date', value: () => new Date() },
+  'company.name': { description: 'Managing company', value: ({ property }) => property?.company || COMPANY_NAME },
+
+  'tenant.name': { description: 'Tenant name', value: ({ tenant }) => tenant?.name },
+  'tenant.email': { description: 'Tenant email', value: ({ tenant }) => tenant?.email },
+  'tenant.phone': { description: 'Tenant phone', value: ({ tenant }) => tenant?.phone },
+  'lease.occupants': { description: 'Everyone living at the property under the lease, with their rent share', value: ({ lease }) => partyNames(lease, 'occupant') },
+  'lease.guarantors': { description: 'Guarantors and the share of the rent each guarantees', value: ({ lease }) => partyNames(lease, 'guarantor') },
+
+  'property.title': { description: 'Property name', value: ({ property }) => property?.title },
+  'property.address': { description: 'Full street address', value: ({ property }) => (property?.address
+    ? `${property.address.street}, ${property.address.city}, ${property.address.state} ${property.address.zipCode}`
+    : '') },
+  'property.street': { description: 'Street', value: ({ property }) => property?.address?.street },
+  'property.city': { description: 'City', value: ({ property }) => property?.address?.city },
+  'property.state': { description: 'State', value: ({ property }) => property?.address?.state },
+  'property.zipCode': { description: 'ZIP code', value: ({ property }) => property?.address?.zipCode },
+  'property.type': { description: 'Property type, e.g. apartment', value: ({ property }) => property?.propertyType },
+  'property.bedrooms': { description: 'Bedrooms', value: ({ property }) => property?.bedrooms },
+  'property.bathrooms': { description: 'Bathrooms', value: ({ property }) => property?.bathrooms },
+  'property.parkingSpaces': { description: 'Parking spaces', value: ({ property }) => property?.parkingSpaces },
+
+  'lease.startDate': { description: 'Lease start date', kind: 'date', value: ({ lease }) => lease.startDate },
+  'lease.endDate': { description: 'Lease end date', kind: 'date', value: ({ lease }) => lease.endDate },
+  'lease.termMonths': { description: 'Lease term in months', value: ({ lease }) => lease.durationMonths },
+  'lease.monthlyRent': { description: 'Monthly rent', kind: 'money', value: ({ lease }) => lease.monthlyRent },
+  'lease.securityDeposit': { description: 'Security deposit', kind: 'money', value: ({ lease }) => lease.securityDeposit },
+  'lease.petDeposit': { description: 'Pet deposit', kind: 'money', value: ({ lease }) => lease.petDeposit },
+  'lease.currency': { description: 'Currency code', value: ({ lease }) => lease.currency },
+  'lease.paymentDueDay': { description: 'Day of the month rent is due, e.g. 1st', value: ({ lease }) => ordinal(lease.paymentDueDate || 1) },
+  'lease.lateFee': { description: 'Late fee rule in words', value: ({ lease }) => describeLateFee(lease.lateFee, lease.currency) },
+  'lease.lateFeeGraceDays': { description: 'Days after the due date before a late fee applies', value: ({ lease }) => lease.lateFee?.gracePeriod || 0 },
+  'lease.utilitiesIncluded': {
+    description: 'Utilities included in the rent',
+    value: ({ lease }) => Object.keys(UTILITY_LABELS).filter(key => lease.utilities?.[key]).map(key => UTILITY_LABELS[key]).join(', ')
+  },
+  'lease.additionalCharges': {
+    description: 'Other recurring or one-time charges',
+    value: ({ lease }) => (lease.additionalCharges || [])
+      .map(c => `${c.description}: ${pdf.formatCurrency(c.amount, lease.currency)}${c.frequency === 'monthly' ? ' per month' : ' (one-time)'}`)
+      .join('; ')
+  },
+  'lease.rentSchedule': {
+    description: 'Scheduled rent changes',
+    value: ({ lease }) => [...(lease.rentSchedule || [])]
+      .sort((a, b) => a.effectiveDate - b.effectiveDate)
+      .map(step => `${pdf.formatCurrency(step.monthlyRent, lease.currency)} from ${pdf.formatDate(step.effectiveDate)}`)
+      .join('; ')
+  },
+  'lease.terms': { description: 'Free-text lease terms', value: ({ lease }) => lease.leaseTerms },
+
+  'pets.allowed': { description: 'Whether pets are allowed', kind: 'boolean', value: ({ property }) => Boolean(property?.petPolicy?.allowed) },
+  'pets.deposit': { description: 'Pet deposit under the property pet policy', kind: 'money', value: ({ property, lease }) => property?.petPolicy?.deposit || lease.petDeposit },
+  'pets.monthlyFee': { description: 'Monthly pet fee', kind: 'money', value: ({ property }) => property?.petPolicy?.monthlyFee },
+  'pets.restrictions': { description: 'Pet restrictions', value: ({ property }) => property?.petPolicy?.restrictions }
+};
+
+const TAG = /{{\s*([\w.]+)\s*}}/g;
+const CONDITIONAL = /{{#if\s+([\w.]+)\s*}}([\s\S]*?)(?:{{else}}([\s\S]*?))?{{\/if}}/g;
+
+// Merge field names a template uses that do not exist
+const unknownFields = (body) => {
+  const names = [
+    ...[...body.matchAll(CONDITIONAL)].map(match => match[1]),
+    ...[...body.replace(CONDITIONAL, '$2$3').matchAll(TAG)].map(match => match[1])
+  ];
+  return [...new Set(names)].filter(name => !MERGE_FIELDS[name]);
+};
+
+const validateBody = (body) => {
+  if (!body || !body.trim()) {
+    throw new ServiceError('Template body is required');
+  }
+  const unknown = unknownFields(body);
+  if (unknown.length > 0) {
+    throw new ServiceError(`Unknown merge field(s): ${unknown.join(', ')}`);
+  }
+};
+
+const formatValue = (field, value, lease) => {
+  if (value === undefined || value === null || value === '') return '';
+  if (field.kind === 'money') return pdf.formatCurrency(value, lease.currency);
+  if (field.kind === 'date') return pdf.formatDate(value);
+  if (field.kind === 'boolean') return value ? 'Yes' : 'No';
+  return String(value);
+};
+
+// Fill a template body for a lease with its tenant and property populated
+const renderTemplate = (body, lease) => {
+  const context = { lease, tenant: lease.tenant, property: lease.property };
+  const raw = (name) => (MERGE_FIELDS[name] ? MERGE_FIELDS[name].value(context) : undefined);
+
+  return body
+    .replace(CONDITIONAL, (match, name, then, otherwise = '') => (raw(name) ? then : otherwise))
+    .replace(TAG, (match, name) => (MERGE_FIELDS[name] ? formatValue(MERGE_FIELDS[name], raw(name), lease) : match));
+};
+
+// Published template for a property: the most specific company and jurisdiction match wins, then
+// the latest version
+const selectTemplate = async (property, { templateId, name } = {}) => {
+  if (templateId) {
+    const template = await LeaseTemplate.findById(templateId);
+    if (!template) {
+      throw new ServiceError('Lease template not found', 404);
+    }
+    return template;
+  }
+
+  const company = property?.company || '';
+  const jurisdiction = (property?.address?.state || '').toUpperCase();
+  const query = {
+    status: 'published',
+    company: { $in: [...new Set([company, ''])] },
+    jurisdiction: { $in: [...new Set([jurisdiction, ''])] }
+  };
+  if (name) query.name = name;
+
+  const candidates = await LeaseTemplate.find(query);
+  const score = (t) => (t.company && t.company === company ? 2 : 0) + (t.jurisdiction && t.jurisdiction === jurisdiction ? 1 : 0);
+  candidates.sort((a, b) => score(b) - score(a) || b.version - a.version || b.publishedAt - a.publishedAt);
+
+  if (candidates.length === 0) {
+    throw new ServiceError('No published lease template applies to this property', 404);
+  }
+  return candidates[0];
+};
+
+const populateLease = (lease) => lease.populate([
+  { path: 'tenant', select: 'name email phone' },
+  { path: 'parties.user', select: 'name' },
+  { path: 'property', select: 'title address company propertyType bedrooms bathrooms parkingSpaces petPolicy' }
+]);
+
+// Rendered agreement text, for previewing a template against a lease
+const previewLeaseDocument = async (lease, options = {}) => {
+  await populateLease(lease);
+  const template = await selectTemplate(lease.property, options);
+  return { template, text: renderTemplate(template.body, lease) };
+};
+
+const writeAgreement = (doc, title, text) => {
+  pdf.heading(doc, title);
+  text.split(/\n{2,}/).forEach(block => {
+    const paragraph = block.trim();
+    if (!paragraph) return;
+    // Lines starting with # are section headings
+    if (paragraph.startsWith('#')) {
+      doc.font('Helvetica-Bold').fontSize(12).text(paragraph.replace(/^#+\s*/, ''));
+    } else {
+      doc.font('Helvetica').fontSize(10).text(paragraph, { align: 'justify' });
+    }
+    doc.moveDown(0.6);
+  });
+};
+
+// Generate the lease agreement PDF from a published template and keep it with the lease documents
+const generateLeaseDocument = async (lease, { templateId, name } = {}) => {
+  await populateLease(lease);
+  const template = await selectTemplate(lease.property, { templateId, name });
+  if (template.status !== 'published') {
+    throw new ServiceError('Only a published template can be used for a lease agreement');
+  }
+
+  const text = renderTemplate(template.body, lease);
+  const url = await pdf.writePdf('leases', `lease-${lease._id}-${template._id}-v${template.version}-${Date.now()}.pdf`, (doc) => {
+    writeAgreement(doc, template.name, text);
+  });
+
+  lease.documents.push({
+    name: `${template.name} (v${template.version})`,
+    url,
+    template: template._id,
+    templateVersion: template.version
+  });
+  lease.signatureRequired = true;
+  lease.depopulate('tenant').depopulate('property').depopulate('parties.user');
+  await lease.save();
+
+  return { template, url, document: lease.documents[lease.documents.length - 1] };
+};
+
+// Template CRUD. Drafts can be edited; a published version only changes by publishing a new one.
+const createTemplate = async ({ name, company = '', jurisdiction = '', body, notes, createdBy }) => {
+  validateBody(body);
+  const existing = await LeaseTemplate.exists({ name, company, jurisdiction: (jurisdiction || '').toUpperCase() });
+  if (existing) {
+    throw new ServiceError('A template with this name already exists for the company and jurisdiction; add a new version instead');
+  }
+
+  const template = new LeaseTemplate({ name, company, jurisdiction, body, notes, createdBy, version: 1 });
+  await template.save();
+  return template;
+};
+
+const updateDraft = async (template, { body, notes }) => {
+  if (template.status !== 'draft') {
+    throw new ServiceError('Only a draft can be edited; create a new version instead');
+  }
+  if (body !== undefined) {
+    validateBody(body);
+    template.body = body;
+  }
+  if (notes !== undefined) template.notes = notes;
+  await template.save();
+  return template;
+};
+
+// New draft version of a template family, starting from the given version's text
+const createVersion = async (source, { body, notes, createdBy }) => {
+  const text = body !== undefined ? body : source.body;
+  validateBody(text);
+
+  const latest = await LeaseTemplate.findOne({
+    name: source.name,
+    company: source.company,
+    jurisdiction: source.jurisdiction
+  }).sort({ version: -1 });
+
+  const template = new LeaseTemplate({
+    name: source.name,
+    company: source.company,
+    jurisdiction: source.jurisdiction,
+    version: latest.version + 1,
+    body: text,
+    notes: notes || '',
+    createdBy
+  });
+  await template.save();
+  return template;
+};
+
+// Publish a version, retiring the family's previously published one
+const publishTemplate = async (template, { publishedBy }) => {
+  if (template.status !== 'draft') {
+    throw new ServiceError(`Template version is already ${template.status}`);
+  }
+  validateBody(template.body);
+
+  await LeaseTemplate.updateMany({
+    _id: { $ne: template._id },
+    name: template.name,
+    company: template.company,
+    jurisdiction: template.jurisdiction,
+    status: 'published'
+  }, { status: 'retired' });
+
+  template.status = 'published';
+  template.publishedAt = new Date();
+  template.publishedBy = publishedBy || null;
+  await template.save();
+  return template;
+};
+
+const retireTemplate = async (template) => {
+  if (template.status === 'retired') {
+    throw new ServiceError('Template version is already retired');
+  }
+  template.status = 'retired';
+  await template.save();
+  return template;
+};
+
+const listMergeFields = () => Object.entries(MERGE_FIELDS).map(([name, field]) => ({
+  name,
+  description: field.description,
+  kind: field.kind || 'text'
+}));
+
+module.exports = {
+  listMergeFields,
+  unknownFields,
+  renderTemplate,
+  selectTemplate,
+  previewLeaseDocument,
+  generateLeaseDocument,
+  createTemplate,
+  updateDraft,
+  createVersion,
+  publishTemplate,
+  retireTemplate
+};
@@ -0,0 +1,165 @@
+const Lease = require('../models/Lease');
+const Property = require('../models/Property');
+const User = require('../models/User');
+const lifecycle = require('./leaseLifecycle');
+const { occupantIds } = require('./leaseParties');
+const { startOfDay } = require('./proration');
+
+const idOf = (value) => (value ? value.toString() : null);
+
+// Expire active (and never-activated pending) leases whose end date has passed, and hand each
+// renewed lease that has ended over to its successor. Runs through the lifecycle, so properties
+// and tenants are freed with the lease.
+const expireLeases = async ({ leaseId } = {}) => {
+  const today = startOfDay(new Date());
+  const scope = leaseId ? { _id: leaseId } : {};
+  const expired = [];
+  const handedOver = [];
+  const released = [];
+  const waiting = [];
+
+  const ended = await Lease.find({ ...scope, status: { $in: ['active', 'pending'] }, endDate: { $lt: today } });
+  for (const lease of ended) {
+    const previousStatus = lease.status;
+    await lifecycle.transitionLease(lease, 'expired', {
+      reason: previousStatus === 'pending' ? 'Lease ended without being activated' : 'Lease reached its end date'
+    });
+    expired.push({ lease: lease._id, property: lease.property, tenant: lease.tenant, endDate: lease.endDate, previousStatus });
+  }
+
+  const renewed = await Lease.find({ ...scope, status: 'renewed', endDate: { $lt: today } });
+  for (const lease of renewed) {
+    // Already handed over
+    if (!(await Property.exists({ _id: lease.property, currentLease: lease._id }))) continue;
+
+    const successor = lease.nextLease ? await Lease.findById(lease.nextLease) : null;
+    if (successor && successor.status === 'pending' && startOfDay(successor.startDate) <= today) {
+      try {
+        await lifecycle.transitionLease(successor, 'active', { reason: 'Renewal started' });
+        handedOver.push({ lease: lease._id, successor: successor._id, property: lease.property });
+      } catch (error) {
+        // e.g. the renewal agreement is still out for signature; try again on the next run
+        if (!error.status) throw error;
+        waiting.push({ lease: lease._id, successor: successor._id, property: lease.property, reason: error.message });
+      }
+    } else if (!successor || !lifecycle.RUNNING_STATUSES.includes(successor.status)) {
+      // The renewal fell through, so the property is free once this lease ends
+      await lifecycle.release(lease);
+      released.push({ lease: lease._id, property: lease.property, tenant: lease.tenant, endDate: lease.endDate });
+    }
+  }
+
+  return {
+    asOf: today,
+    count: expired.length + handedOver.length + released.length,
+    expired,
+    handedOver,
+    released,
+    waiting
+  };
+};
+
+// Compare each property's current lease and tenant with the leases and users they point at.
+// Reports what is out of step without changing anything.
+const checkOccupancy = async () => {
+  const today = startOfDay(new Date());
+  const issues = [];
+  const report = (type, message, refs) => issues.push({ type, message, ...refs });
+
+  const properties = await Property.find({}).select('title status currentLease currentTenant');
+  const tenants = await User.find({ role: 'tenant', leaseId: { $ne: null } }).select('name leaseId propertyId');
+  const referenced = [...properties.map(p => p.currentLease), ...tenants.map(t => t.leaseId)].filter(Boolean);
+  const leases = await Lease.find({
+    $or: [{ status: { $in: lifecycle.RUNNING_STATUSES } }, { _id: { $in: referenced } }]
+  }).select('property tenant parties status startDate endDate nextLease');
+
+  const leasesById = new Map(leases.map(l => [idOf(l._id), l]));
+  const propertiesById = new Map(properties.map(p => [idOf(p._id), p]));
+  const tenantsById = new Map(tenants.map(t => [idOf(t._id), t]));
+
+  properties.forEach(property => {
+    const refs = { property: property._id, lease: property.currentLease, tenant: property.currentTenant };
+
+    if (!property.currentLease) {
+      if (property.status === 'occupied') {
+        report('occupied_without_lease', `${property.title} is occupied but has no current lease`, refs);
+      }
+      return;
+    }
+
+    const lease = leasesById.get(idOf(property.currentLease));
+    if (!lease) {
+      report('missing_lease', `${property.title} points at a lease that does not exist`, refs);
+      return;
+    }
+    if (idOf(lease.property) !== idOf(property._id)) {
+      report('lease_property_mismatch', `${property.title} points at a lease for another property`, refs);
+    }
+    if (!lifecycle.RUNNING_STATUSES.includes(lease.status)) {
+      report('lease_not_running', `${property.title} points at lease ${lease._id}, which is ${lease.status}`, refs);
+    } else if (lease.status === 'renewed' && startOfDay(lease.endDate) < today) {
+      report('renewal_not_handed_over', `${property.title} points at a renewed lease that has ended`, refs);
+    }
+    if (property.status === 'available') {
+      report('status_mismatch', `${property.title} is marked available but has a current lease`, refs);
+    }
+    if (idOf(property.currentTenant) !== idOf(lease.tenant)) {
+      report('tenant_mismatch', `${property.title} lists a different tenant from its current lease`, refs);
+    }
+  });
+
+  leases
+    .filter(lease => ['active', 'pending'].includes(lease.status) && startOfDay(lease.endDate) < today)
+    .forEach(lease => {
+      const refs = { property: lease.property, lease: lease._id, tenant: lease.tenant };
+      report('lease_past_end', `Lease ${lease._id} is ${lease.status} but ended on ${lease.endDate.toISOString().slice(0, 10)}`, refs);
+    });
+
+  leases.filter(lease => lease.status === 'active').forEach(lease => {
+    const refs = { property: lease.property, lease: lease._id, tenant: lease.tenant };
+    const property = propertiesById.get(idOf(lease.property));
+
+    if (property && idOf(property.currentLease) !== idOf(lease._id)) {
+      report('lease_not_current', `Lease ${lease._id} is active but is not the current lease of ${property.title}`, refs);
+    }
+    occupantIds(lease).forEach(occupantId => {
+      const tenant = tenantsById.get(occupantId);
+      if (!tenant || idOf(tenant.leaseId) !== idOf(lease._id)) {
+        report('tenant_lease_mismatch', `An occupant of active lease ${lease._id} is not linked to it`, { ...refs, tenant: occupantId });
+      }
+    });
+  });
+
+  tenants.forEach(tenant => {
+    const refs = { property: tenant.propertyId, lease: tenant.leaseId, tenant: tenant._id };
+    const lease = leasesById.get(idOf(tenant.leaseId));
+
+    if (!lease) {
+      report('missing_lease', `${tenant.name} is linked to a lease that does not exist`, refs);
+    } else if (!lifecycle.RUNNING_STATUSES.includes(lease.status)) {
+      report('tenant_lease_not_running', `${tenant.name} is linked to lease ${lease._id}, which is ${lease.status}`, refs);
+    } else if (!occupantIds(lease).includes(idOf(tenant._id))) {
+      report('tenant_lease_mismatch', `${tenant.name} is linked to a lease they do not occupy`, refs);
+    }
+  });
+
+  return { checkedAt: new Date(), count: issues.length, issues };
+};
+
+// Daily run: expire what has ended, then log anything still out of step for someone to look at
+const syncLeaseStatuses = async () => {
+  const expiry = await expireLeases();
+  const occupancy = await checkOccupancy();
+  expiry.waiting.forEach(item => console.warn(`⚠️  Renewal ${item.successor} not started: ${item.reason}`));
+  if (occupancy.count > 0) {
+    console.warn(`⚠️  Occupancy check found ${occupancy.count} mismatch(es):`);
+    occupancy.issues.forEach(issue => console.warn(`   - [${issue.type}] ${issue.message}`));
+  }
+  return { ...expiry, occupancy };
+};
+
+module.exports = {
+  expireLeases,
+  checkOccupancy,
+  syncLeaseStatuses
+};
@@ -0,0 +1,178 @@
+const Property = require('../models/Property');
+const User = require('../models/User');
+const Payment = require('../models/Payment');
+const Deposit = require('../models/Deposit');
+const SignatureRequest = require('../models/SignatureRequest');
+const deposits = require('./deposits');
+const { occupantIds } = require('./leaseParties');
+const { seedLeaseCharges, prorateForTermination } = require('./recurringCharges');
+const { startOfDay } = require('./proration');
+const { ServiceError } = require('./errors');
+
+// Statuses a lease may move to from each status. A renewed lease runs to its end date while its
+// successor waits as pending; a pending lease that was never activated expires once it has ended.
+// Expired and terminated leases are final.
+const LEASE_TRANSITIONS = {
+  pending: ['active', 'expired', 'terminated'],
+  active: ['expired', 'terminated', 'renewed'],
+  renewed: ['terminated'],
+  expired: [],
+  terminated: []
+};
+
+// Leases still running, including renewed ones that have not reached their end date
+const RUNNING_STATUSES = ['pending', 'active', 'renewed'];
+
+const canTransition = (from, to) => (LEASE_TRANSITIONS[from] || []).includes(to);
+
+const recordStatus = (lease, from, to, { changedBy, reason } = {}) => {
+  lease.statusHistory.push({
+    from,
+    to,
+    changedAt: new Date(),
+    changedBy: changedBy || null,
+    reason: reason || ''
+  });
+  lease.status = to;
+};
+
+// Point the property and its occupants at this lease
+const occupy = async (lease) => {
+  await Property.findByIdAndUpdate(lease.property, {
+    currentLease: lease._id,
+    currentTenant: lease.tenant,
+    status: 'occupied'
+  });
+  await User.updateMany({ _id: { $in: occupantIds(lease) } }, {
+    leaseId: lease._id,
+    propertyId: lease.property
+  });
+};
+
+// Free the property and occupants, unless they have already moved on to another lease
+const release = async (lease) => {
+  await Property.updateOne({ _id: lease.property, currentLease: lease._id }, {
+    currentLease: null,
+    currentTenant: null,
+    status: 'available'
+  });
+  await User.updateMany({ leaseId: lease._id }, {
+    leaseId: null,
+    propertyId: null
+  });
+};
+
+// Seed the lease's charges unless its rent series already exists
+const ensurePaymentSchedule = async (lease, postedBy) => {
+  try {
+    if (await Payment.exists({ lease: lease._id, recurringKey: 'rent' })) return;
+    await seedLeaseCharges(lease, { postedBy });
+  } catch (error) {
+    console.error('Error creating payment schedule:', error);
+  }
+};
+
+// Save a new lease with its first history entry, take over the property unless it is a renewal
+// still waiting for the current lease to end, and seed its payment schedule
+const startLease = async (lease, { changedBy, reason } = {}) => {
+  recordStatus(lease, null, lease.status || 'pending', { changedBy, reason: reason || 'Lease created' });
+  await lease.save();
+
+  if (!lease.previousLease) {
+    await occupy(lease);
+  }
+  await ensurePaymentSchedule(lease, changedBy);
+
+  return lease;
+};
+
+// A lease whose agreement has been generated or sent for signature needs it signed by every party
+// before it starts. When agreements were generated, the latest one is the one that must be signed.
+const agreementSigned = async (lease) => {
+  const agreement = [...lease.documents].reverse().find(doc => doc.template && !doc.signatureRequest);
+  if (!agreement && !lease.signatureRequired) return true;
+
+  const query = { lease: lease._id, status: 'completed' };
+  if (agreement) query['document.url'] = agreement.url;
+  return Boolean(await SignatureRequest.exists(query));
+};
+
+// Move a lease to a new status, recording who did it and running the side effects that go with it.
+// Termination takes { terminationDate, moveOutDate, deductions, applyDepositToBalance, disposeDeposit }.
+const transitionLease = async (lease, to, { changedBy, reason, ...options } = {}) => {
+  if (!LEASE_TRANSITIONS[to]) {
+    throw new ServiceError(`Unknown lease status: ${to}`);
+  }
+  if (lease.status === to) {
+    throw new ServiceError(`Lease is already ${to}`);
+  }
+  if (!canTransition(lease.status, to)) {
+    throw new ServiceError(`Cannot move a lease from ${lease.status} to ${to}`);
+  }
+
+  const today = startOfDay(new Date());
+  const result = { lease };
+
+  if (to === 'active' && startOfDay(lease.endDate) < today) {
+    throw new ServiceError('Lease has already ended and cannot be activated');
+  }
+  if (to === 'active' && !(await agreementSigned(lease))) {
+    throw new ServiceError('The lease agreement must be signed by all parties before the lease is activated');
+  }
+  if (to === 'expired' && startOfDay(lease.endDate) >= today) {
+    throw new ServiceError('Lease has not reached its end date');
+  }
+
+  if (to === 'terminated') {
+    const { terminationDate, moveOutDate } = options;
+    const date = new Date(terminationDate || moveOutDate || Date.now());
+    if (isNaN(date)) {
+      throw new ServiceError('Invalid terminationDate');
+    }
+    lease.terminationDate = date;
+  }
+
+  recordStatus(lease, lease.status, to, { changedBy, reason });
+  await lease.save();
+
+  if (to === 'active') {
+    await occupy(lease);
+    await ensurePaymentSchedule(lease, changedBy);
+  }
+
+  if (to === 'expired') {
+    await Payment.updateMany({ lease: lease._id, nextDueDate: { $ne: null } }, { nextDueDate: null });
+    await release(lease);
+  }
+
+  if (to === 'terminated') {
+    const { moveOutDate, deductions, applyDepositToBalance = true, disposeDeposit = true } = options;
+
+    // Prorate the final rent period and cancel charges beyond the termination date
+    result.rentAdjustments = await prorateForTermination(lease, lease.terminationDate, { postedBy: changedBy });
+    await release(lease);
+
+    // Move-out deposit disposition, unless it was already settled
+    let deposit = await Deposit.findOne({ lease: lease._id });
+    if (disposeDeposit && (!deposit || deposit.status !== 'disposed')) {
+      deposit = await deposits.disposeDeposit(lease, {
+        moveOutDate: moveOutDate || lease.terminationDate,
+        deductions: deductions || [],
+        applyToBalance: applyDepositToBalance,
+        postedBy: changedBy
+      });
+    }
+    result.deposit = deposit;
+  }
+
+  return result;
+};
+
+module.exports = {
+  LEASE_TRANSITIONS,
+  RUNNING_STATUSES,
+  canTransition,
+  release,
+  startLease,
+  transitionLease
+};
@@ -0,0 +1,151 @@
+const mongoose = require('mongoose');
+const Lease = require('../models/Lease');
+const Property = require('../models/Property');
+const User = require('../models/User');
+const { ServiceError } = require('./errors');
+const { toMinor, fromMinor } = require('./money');
+
+const PARTY_ROLES = ['occupant', 'guarantor'];
+
+const idOf = (value) => (value ? (value._id || value).toString() : null);
+
+// Everyone on a lease. Leases saved before parties were recorded have their tenant as sole occupant.
+const partiesOf = (lease) => (lease.parties && lease.parties.length > 0
+  ? lease.parties
+  : [{ user: lease.tenant, role: 'occupant', share: 100 }]);
+
+const occupantIds = (lease) => partiesOf(lease).filter(p => p.role === 'occupant').map(p => idOf(p.user));
+
+const partyFor = (lease, userId) => partiesOf(lease).find(p => idOf(p.user) === idOf(userId)) || null;
+
+const isParty = (lease, userId) => idOf(lease.tenant) === idOf(userId) || Boolean(partyFor(lease, userId));
+
+// Leases a user is on in any role
+const partyQuery = (userId) => ({ $or: [{ tenant: userId }, { 'parties.user': userId }] });
+
+const leaseIdsFor = (userId) => Lease.find(partyQuery(userId)).distinct('_id');
+
+// Charges a user can see and pay: their own, and every charge on a lease they are party to
+const chargeQuery = async (userId) => ({
+  $or: [{ tenant: userId }, { lease: { $in: await leaseIdsFor(userId) } }]
+});
+
+const canAccessCharge = async (user, charge) => {
+  if (idOf(charge.tenant) === idOf(user._id)) return true;
+  if (!charge.lease) return false;
+  const lease = await Lease.findById(idOf(charge.lease)).select('tenant parties');
+  return Boolean(lease && isParty(lease, user._id));
+};
+
+// A tenant lives at a property as its current tenant or as an occupant of its current lease
+const livesAt = (user, property) => idOf(property.currentTenant) === idOf(user._id) ||
+  idOf(user.propertyId) === idOf(property._id);
+
+// What each party answers for out of an amount. Occupants split it by share, with any rounding
+// left over on the primary tenant; a guarantor's amount is the part they guarantee.
+const responsibilityFor = (lease, amount) => {
+  const total = toMinor(amount);
+  const rows = partiesOf(lease).map(party => ({
+    user: party.user,
+    role: party.role,
+    share: party.share,
+    minor: Math.floor(total * party.share / 100)
+  }));
+
+  const occupants = rows.filter(row => row.role === 'occupant');
+  const primary = occupants.find(row => idOf(row.user) === idOf(lease.tenant)) || occupants[0];
+  if (primary) {
+    primary.minor += total - occupants.reduce((sum, row) => sum + row.minor, 0);
+  }
+
+  return rows.map(({ minor, ...row }) => ({ ...row, amount: fromMinor(minor) }));
+};
+
+// A user's part of a charge; charges outside a lease belong to their tenant in full
+const amountFor = (lease, userId, amount) => {
+  if (!lease) return amount;
+  const row = responsibilityFor(lease, amount).find(r => idOf(r.user) === idOf(userId));
+  return row ? row.amount : 0;
+};
+
+// Check a parties list from a request: [{ userId, role, share }]. The primary tenant is always an
+// occupant and the occupants' shares add up to 100.
+const buildParties = async (tenantId, parties) => {
+  if (!parties || parties.length === 0) {
+    return [{ user: tenantId, role: 'occupant', share: 100 }];
+  }
+  if (!Array.isArray(parties)) {
+    throw new ServiceError('parties must be a list of { userId, role, share }');
+  }
+
+  const seen = new Set();
+  const list = parties.map(({ userId, user, role = 'occupant', share }) => {
+    const id = String(userId || user || '');
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw new ServiceError('Each party needs a valid userId');
+    }
+    if (seen.has(id)) {
+      throw new ServiceError('A user can only be on a lease once');
+    }
+    seen.add(id);
+    if (!PARTY_ROLES.includes(role)) {
+      throw new ServiceError(`Party role must be one of: ${PARTY_ROLES.join(', ')}`);
+    }
+    const value = Number(share);
+    if (!Number.isFinite(value) || value < 0 || value > 100) {
+      throw new ServiceError('Party share must be a percentage from 0 to 100');
+    }
+    return { user: id, role, share: value };
+  });
+
+  const primary = list.find(party => party.user === idOf(tenantId));
+  if (!primary || primary.role !== 'occupant') {
+    throw new ServiceError('The primary tenant must be one of the occupants');
+  }
+
+  const occupantTotal = list
+    .filter(party => party.role === 'occupant')
+    .reduce((sum, party) => sum + toMinor(party.share), 0);
+  if (occupantTotal !== toMinor(100)) {
+    throw new ServiceError(`Occupant shares must add up to 100, not ${fromMinor(occupantTotal)}`);
+  }
+
+  const tenants = await User.countDocuments({ _id: { $in: [...seen] }, role: 'tenant' });
+  if (tenants !== list.length) {
+    throw new ServiceError('Every party must be a tenant account');
+  }
+
+  return list;
+};
+
+// Replace who is on a lease; the primary tenant stays. While the lease is the property's current
+// one, occupants are linked to it and anyone no longer living there is unlinked.
+const setParties = async (lease, parties) => {
+  lease.parties = await buildParties(lease.tenant, parties);
+  await lease.save();
+
+  if (await Property.exists({ _id: lease.property, currentLease: lease._id })) {
+    const occupants = occupantIds(lease);
+    await User.updateMany({ _id: { $in: occupants } }, { leaseId: lease._id, propertyId: lease.property });
+    await User.updateMany({ _id: { $nin: occupants }, leaseId: lease._id }, { leaseId: null, propertyId: null });
+  }
+
+  return lease;
+};
+
+module.exports = {
+  PARTY_ROLES,
+  partiesOf,
+  occupantIds,
+  partyFor,
+  isParty,
+  partyQuery,
+  leaseIdsFor,
+  chargeQuery,
+  canAccessCharge,
+  livesAt,
+  responsibilityFor,
+  amountFor,
+  buildParties,
+  setParties
+};
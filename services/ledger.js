@@ -0,0 +1,218 @@
+const mongoose = require('mongoose');
+const LedgerEntry = require('../models/LedgerEntry');
+const { fromMinor, roundAmount } = require('./money');
+
+// Income (or liability) account credited when a charge of each payment type is raised
+const chargeAccounts = {
+  rent: 'rental_income',
+  late_fee: 'fee_income',
+  security_deposit: 'deposits_held',
+  pet_deposit: 'deposits_held',
+  utility: 'utility_income',
+  maintenance: 'maintenance_income',
+  other: 'other_income'
+};
+
+const accountFor = (paymentType) => chargeAccounts[paymentType] || 'other_income';
+
+const refsFrom = (payment) => ({
+  tenant: payment.tenant?._id || payment.tenant,
+  lease: payment.lease?._id || payment.lease || null,
+  property: payment.property?._id || payment.property || null,
+  payment: payment._id
+});
+
+// Post a balanced journal entry. `amount` is the change to the tenant's receivable.
+const postEntry = async ({ entryType, refs, effectiveDate, description, lines, amount, reversalOf, postedBy }) => {
+  const entry = new LedgerEntry({
+    entryType,
+    ...refs,
+    effectiveDate: effectiveDate || new Date(),
+    description: description || '',
+    lines,
+    amount,
+    reversalOf: reversalOf || null,
+    postedBy: postedBy || null
+  });
+  await entry.save();
+  return entry;
+};
+
+// Charge raised against a tenant: receivable up, income (or deposit liability) up
+const recordCharge = (payment, { postedBy, effectiveDate } = {}) => postEntry({
+  entryType: 'charge',
+  refs: refsFrom(payment),
+  effectiveDate: effectiveDate || payment.dueDate,
+  description: payment.description || `${payment.paymentType} charge`,
+  lines: [
+    { account: 'accounts_receivable', debit: payment.amount },
+    { account: accountFor(payment.paymentType), credit: payment.amount }
+  ],
+  amount: payment.amount,
+  postedBy
+});
+
+// Money received from a tenant against a charge: cash (or the deposit held) down into receivable
+const recordPayment = (payment, amount, { postedBy, effectiveDate, description, fromAccount = 'cash' } = {}) => postEntry({
+  entryType: 'payment',
+  refs: refsFrom(payment),
+  effectiveDate: effectiveDate || payment.paidDate || new Date(),
+  description: description || `Payment received${payment.description ? ` - ${payment.description}` : ''}`,
+  lines: [
+    { account: fromAccount, debit: amount },
+    { account: 'accounts_receivable', credit: amount }
+  ],
+  amount: -amount,
+  postedBy
+});
+
+// Deposit money paid back to the tenant; the receivable is untouched
+const recordDepositRefund = ({ tenant, lease, property }, amount, { postedBy, effectiveDate, description } = {}) => postEntry({
+  entryType: 'adjustment',
+  refs: { tenant, lease, property, payment: null },
+  effectiveDate: effectiveDate || new Date(),
+  description: description || 'Security deposit refund',
+  lines: [
+    { account: 'deposits_held', debit: amount },
+    { account: 'cash', credit: amount }
+  ],
+  amount: 0,
+  postedBy
+});
+
+// Money paid back to (or never received from) a tenant on a charge. When the charge is reopened
+// the tenant owes it again; otherwise the charge itself is reduced and the income comes back out.
+const recordRefund = (payment, amount, { reopen, postedBy, effectiveDate, description } = {}) => postEntry({
+  entryType: 'adjustment',
+  refs: refsFrom(payment),
+  effectiveDate: effectiveDate || new Date(),
+  description: description || `Refund${payment.description ? ` - ${payment.description}` : ''}`,
+  lines: [
+    { account: reopen ? 'accounts_receivable' : accountFor(payment.paymentType), debit: amount },
+    { account: 'cash', credit: amount }
+  ],
+  amount: reopen ? amount : 0,
+  postedBy
+});
+
+// Money received that is not applied to any charge; held as a credit on the tenant's account
+const recordCredit = ({ tenant, lease, property }, amount, { postedBy, effectiveDate, description } = {}) => postEntry({
+  entryType: 'credit',
+  refs: { tenant, lease: lease || null, property: property || null, payment: null },
+  effectiveDate: effectiveDate || new Date(),
+  description: description || 'Unapplied payment credit',
+  lines: [
+    { account: 'cash', debit: amount },
+    { account: 'accounts_receivable', credit: amount }
+  ],
+  amount: -amount,
+  postedBy
+});
+
+// Change to the value of an existing charge; positive delta increases what is owed
+const recordAdjustment = (payment, delta, { postedBy, effectiveDate, description } = {}) => {
+  const value = Math.abs(delta);
+  const account = accountFor(payment.paymentType);
+  const lines = delta > 0
+    ? [{ account: 'accounts_receivable', debit: value }, { account, credit: value }]
+    : [{ account, debit: value }, { account: 'accounts_receivable', credit: value }];
+
+  return postEntry({
+    entryType: 'adjustment',
+    refs: refsFrom(payment),
+    effectiveDate: effectiveDate || new Date(),
+    description: description || `Adjustment to ${payment.description || payment.paymentType}`,
+    lines,
+    amount: delta,
+    postedBy
+  });
+};
+
+// Offset every entry posted for a payment, leaving its net effect on the ledger at zero
+const reversePaymentEntries = async (payment, { postedBy, description } = {}) => {
+  const entries = await LedgerEntry.find({ payment: payment._id }).sort({ createdAt: 1 });
+  const reversedIds = new Set(entries.filter(e => e.reversalOf).map(e => e.reversalOf.toString()));
+  const reversals = [];
+
+  for (const entry of entries) {
+    if (entry.reversalOf || reversedIds.has(entry._id.toString())) continue;
+
+    reversals.push(await postEntry({
+      entryType: 'adjustment',
+      refs: refsFrom(payment),
+      effectiveDate: new Date(),
+      description: description || `Reversal of ${entry.description}`,
+      lines: entry.lines.map(line => ({ account: line.account, debit: line.credit, credit: line.debit })),
+      amount: -entry.amount,
+      reversalOf: entry._id,
+      postedBy
+    }));
+  }
+
+  return reversals;
+};
+
+// Dated entries with a running receivable balance for a tenant or lease. With leaseIds, a
+// tenant's ledger also takes in everything on those leases, e.g. ones shared with co-tenants.
+const getLedger = async ({ tenantId, leaseId, leaseIds }, { from, to } = {}) => {
+  // Aggregation pipelines are not cast by mongoose, so build ObjectIds up front
+  const filter = {};
+  if (tenantId) filter.tenant = new mongoose.Types.ObjectId(tenantId);
+  if (leaseId) filter.lease = new mongoose.Types.ObjectId(leaseId);
+  if (tenantId && leaseIds && leaseIds.length > 0) {
+    filter.$or = [
+      { tenant: filter.tenant },
+      { lease: { $in: leaseIds.map(id => new mongoose.Types.ObjectId(id)) } }
+    ];
+    delete filter.tenant;
+  }
+
+  let openingBalance = 0;
+
+  if (from) {
+    const opening = await LedgerEntry.aggregate([
+      { $match: { ...filter, effectiveDate: { $lt: new Date(from) } } },
+      { $group: { _id: null, total: { $sum: '$amount' } } }
+    ]);
+    openingBalance = fromMinor(opening[0]?.total);
+  }
+
+  const query = { ...filter };
+  if (from || to) {
+    query.effectiveDate = {};
+    if (from) query.effectiveDate.$gte = new Date(from);
+    if (to) query.effectiveDate.$lte = new Date(to);
+  }
+
+  const entries = await LedgerEntry.find(query)
+    .populate('payment', 'paymentType dueDate status invoiceNumber receiptNumber')
+    .sort({ effectiveDate: 1, createdAt: 1 });
+
+  let balance = openingBalance;
+  const rows = entries.map(entry => {
+    balance = roundAmount(balance + entry.amount);
+    return {
+      ...entry.toObject(),
+      balance
+    };
+  });
+
+  return {
+    openingBalance,
+    entries: rows,
+    closingBalance: balance
+  };
+};
+
+module.exports = {
+  accountFor,
+  postEntry,
+  recordCharge,
+  recordPayment,
+  recordCredit,
+  recordDepositRefund,
+  recordRefund,
+  recordAdjustment,
+  reversePaymentEntries,
+  getLedger
+};
@@ -0,0 +1,58 @@
+// Money is stored as integer minor units (hundredths of the currency unit) so that sums in the
+// database and in code are exact. Documents still read and write decimal amounts: schema fields
+// built with moneyField convert on the way in and out. Only currencies with two decimal places
+// are accepted (see services/currency.js), so one scale fits every amount.
+
+const MINOR_UNITS = 100;
+
+// Round half away from zero, so refunds and reversals round the same way as the charges they offset
+const roundHalfAway = (value) => Math.sign(value) * Math.round(Math.abs(value));
+
+// Decimal amount to integer minor units; toPrecision drops float noise such as 1.005 * 100 = 100.49999...
+const toMinor = (amount) => roundHalfAway(Number((Number(amount || 0) * MINOR_UNITS).toPrecision(15))) || 0;
+
+const fromMinor = (minor) => (minor || 0) / MINOR_UNITS;
+
+// Amount rounded to the nearest minor unit
+const roundAmount = (amount) => fromMinor(toMinor(amount));
+
+// Exact total of a list of amounts
+const sumAmounts = (amounts) => fromMinor(amounts.reduce((total, amount) => total + toMinor(amount), 0));
+
+// Schema field storing minor units; anything that is not a number is left for Mongoose to reject.
+// `money: true` lets the migration find these paths on every schema.
+const moneyField = (options = {}) => ({
+  type: Number,
+  ...options,
+  money: true,
+  get: (value) => (typeof value === 'number' ? fromMinor(value) : value),
+  set: (value) => {
+    if (value === null || value === undefined || value === '') return value;
+    const amount = Number(value);
+    return Number.isFinite(amount) ? toMinor(amount) : value;
+  }
+});
+
+// Schema options so JSON responses and plain objects carry decimal amounts rather than minor units
+const moneySchemaOptions = {
+  toJSON: { getters: true, virtuals: false },
+  toObject: { getters: true, virtuals: false }
+};
+
+// $sum of a money path in an aggregation gives minor units; convert group totals back to amounts
+const fromMinorTotals = (rows, fields = ['total']) => rows.map(row => {
+  const converted = { ...row };
+  fields.forEach(field => { converted[field] = fromMinor(row[field]); });
+  return converted;
+});
+
+module.exports = {
+  MINOR_UNITS,
+  toMinor,
+  fromMinor,
+  roundAmount,
+  sumAmounts,
+  moneyField,
+  moneySchemaOptions,
+  fromMinorTotals
+};
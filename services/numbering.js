@@ -0,0 +1,57 @@
+const Counter = require('../models/Counter');
+const NumberingScheme = require('../models/NumberingScheme');
+
+const DEFAULT_SCHEMES = {
+  receipt: { prefix: 'RCP', padding: 6, resetYearly: true },
+  invoice: { prefix: 'INV', padding: 6, resetYearly: true }
+};
+
+// Company-specific scheme, falling back to the default scheme and then the built-in one
+const getScheme = async (documentType, company = '') => {
+  const schemes = await NumberingScheme.find({
+    documentType,
+    company: { $in: company ? [company, ''] : [''] }
+  });
+
+  return schemes.find(s => s.company === company)
+    || schemes.find(s => s.company === '')
+    || DEFAULT_SCHEMES[documentType];
+};
+
+// Atomically take the next value of a named counter
+const increment = async (key) => {
+  try {
+    const counter = await Counter.findOneAndUpdate(
+      { key },
+      { $inc: { seq: 1 } },
+      { new: true, upsert: true }
+    );
+    return counter.seq;
+  } catch (error) {
+    // Two first-time upserts can race on the unique key; the loser simply retries
+    if (error.code === 11000) {
+      return increment(key);
+    }
+    throw error;
+  }
+};
+
+// Next number for a document type, e.g. RCP-2026-000123. Counters are keyed by prefix (not
+// company) so two companies sharing a prefix can never hand out the same number.
+const nextNumber = async (documentType, { company = '', date = new Date() } = {}) => {
+  const scheme = await getScheme(documentType, company);
+  const year = new Date(date).getFullYear();
+  const period = scheme.resetYearly ? String(year) : 'all';
+  const seq = await increment(`${documentType}:${scheme.prefix}:${period}`);
+  const sequence = String(seq).padStart(scheme.padding, '0');
+
+  return scheme.resetYearly
+    ? `${scheme.prefix}-${year}-${sequence}`
+    : `${scheme.prefix}-${sequence}`;
+};
+
+module.exports = {
+  DEFAULT_SCHEMES,
+  getScheme,
+  nextNumber
+};
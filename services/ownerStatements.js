@@ -0,0 +1,260 @@
+const Owner = require('../models/Owner');
+const OwnerStatement = require('../models/OwnerStatement');
+const Property = require('../models/Property');
+const Payment = require('../models/Payment');
+const Expense = require('../models/Expense');
+const Lease = require('../models/Lease');
+const pdf = require('./pdf');
+const { ServiceError } = require('./errors');
+const { roundAmount, sumAmounts } = require('./money');
+const { DEFAULT_CURRENCY, createConverter } = require('./currency');
+
+// Deposits are held for the tenant, never paid out to the owner
+const DEPOSIT_TYPES = ['security_deposit', 'pet_deposit'];
+
+// Leases that actually started, as opposed to drafts that were never activated
+const STARTED_LEASE_STATUSES = ['active', 'expired', 'terminated', 'renewed'];
+
+// Calendar month for a 'YYYY-MM' string, defaulting to last month
+const monthPeriod = (month) => {
+  let start;
+  if (month) {
+    const match = /^(\d{4})-(\d{2})$/.exec(month);
+    if (!match || Number(match[2]) < 1 || Number(match[2]) > 12) {
+      throw new ServiceError('month must be in YYYY-MM format');
+    }
+    start = new Date(Number(match[1]), Number(match[2]) - 1, 1);
+  } else {
+    const now = new Date();
+    start = new Date(now.getFullYear(), now.getMonth() - 1, 1);
+  }
+  const end = new Date(start.getFullYear(), start.getMonth() + 1, 0, 23, 59, 59, 999);
+  return { start, end };
+};
+
+const inPeriod = (date, start, end) => date && date >= start && date <= end;
+
+// Money received per property in the period (cash basis), net of refunds and bounced payments
+const collectionsByProperty = async (propertyIds, start, end) => {
+  const totals = new Map(propertyIds.map(id => [id.toString(), { rent: 0, other: 0 }]));
+  const add = (charge, value) => {
+    const row = totals.get(charge.property.toString());
+    if (!row) return;
+    if (charge.paymentType === 'rent') row.rent = roundAmount(row.rent + value);
+    else row.other = roundAmount(row.other + value);
+  };
+
+  const charges = await Payment.find({
+    property: { $in: propertyIds },
+    paymentType: { $nin: DEPOSIT_TYPES },
+    'allocations.paidDate': { $gte: start, $lte: end }
+  }).select('property paymentType allocations');
+
+  charges.forEach(charge => {
+    charge.allocations
+      .filter(a => inPeriod(a.paidDate, start, end))
+      .forEach(a => add(charge, a.amount));
+  });
+
+  const offsets = await Payment.find({
+    property: { $in: propertyIds },
+    paymentType: { $nin: DEPOSIT_TYPES },
+    relatedPayment: { $ne: null },
+    status: { $in: ['refunded', 'failed'] },
+    paidDate: { $gte: start, $lte: end }
+  }).select('property paymentType amount');
+
+  offsets.forEach(offset => add(offset, -offset.amount));
+
+  return totals;
+};
+
+const managementFeeFor = (owner, rentCollected) => {
+  const fee = owner.managementFee || {};
+  if (fee.type === 'flat') return roundAmount(fee.amount || 0);
+  return roundAmount(Math.max(rentCollected, 0) * (fee.percentage || 0) / 100);
+};
+
+const leasingFeeFor = (owner, lease) => {
+  const fee = owner.leasingFee || {};
+  if (fee.type === 'flat') return roundAmount(fee.amount || 0);
+  if (fee.type === 'percentage') return roundAmount(lease.monthlyRent * (fee.percentage || 0) / 100);
+  return 0;
+};
+
+// Figures for one owner's properties over a period
+const buildOwnerStatement = async (owner, start, end) => {
+  const properties = await Property.find({ owner: owner._id }).select('title currency');
+  const propertyIds = properties.map(p => p._id);
+
+  const collections = await collectionsByProperty(propertyIds, start, end);
+
+  // Costs we paid on the owner's behalf, including completed maintenance
+  const expenses = await Expense.find({
+    property: { $in: propertyIds },
+    status: { $ne: 'void' },
+    deductFromOwner: true,
+    date: { $gte: start, $lte: end }
+  }).select('property category description date amount');
+
+  const leases = await Lease.find({
+    property: { $in: propertyIds },
+    status: { $in: STARTED_LEASE_STATUSES },
+    startDate: { $gte: start, $lte: end }
+  }).select('property startDate monthlyRent');
+
+  const rows = properties.map(property => {
+    const id = property._id.toString();
+    const collected = collections.get(id);
+    const items = expenses.filter(e => e.property.toString() === id);
+    const newLeases = leases.filter(l => l.property.toString() === id);
+
+    const rentCollected = roundAmount(collected.rent);
+    const otherIncome = roundAmount(collected.other);
+    const expenseTotal = sumAmounts(items.map(e => e.amount));
+    const managementFee = managementFeeFor(owner, rentCollected);
+    const leaseRows = newLeases.map(l => ({
+      lease: l._id,
+      startDate: l.startDate,
+      monthlyRent: l.monthlyRent,
+      fee: leasingFeeFor(owner, l)
+    }));
+    const leasingFees = sumAmounts(leaseRows.map(l => l.fee));
+
+    return {
+      property: property._id,
+      title: property.title,
+      currency: property.currency || DEFAULT_CURRENCY,
+      rentCollected,
+      otherIncome,
+      expenses: expenseTotal,
+      managementFee,
+      leasingFees,
+      netPayout: roundAmount(rentCollected + otherIncome - expenseTotal - managementFee - leasingFees),
+      expenseItems: items.map(e => ({
+        expense: e._id,
+        category: e.category,
+        description: e.description,
+        date: e.date,
+        amount: e.amount
+      })),
+      leases: leaseRows
+    };
+  });
+
+  // Totals are in the currency the properties share, or converted into the default currency
+  // at the rates in force at the end of the period when they differ
+  const currencies = [...new Set(rows.map(row => row.currency))];
+  const currency = currencies.length === 1 ? currencies[0] : DEFAULT_CURRENCY;
+  const convert = createConverter(currency, end);
+  const sum = async (field) => {
+    const amounts = [];
+    for (const row of rows) {
+      amounts.push(row.currency === currency ? row[field] : await convert(row[field], row.currency));
+    }
+    return sumAmounts(amounts);
+  };
+
+  return {
+    currency,
+    properties: rows,
+    totals: {
+      rentCollected: await sum('rentCollected'),
+      otherIncome: await sum('otherIncome'),
+      expenses: await sum('expenses'),
+      managementFees: await sum('managementFee'),
+      leasingFees: await sum('leasingFees'),
+      netPayout: await sum('netPayout')
+    }
+  };
+};
+
+// Generate (or regenerate, while still draft) the monthly statement for every active owner
+const generateOwnerStatements = async ({ month, ownerId, generatedBy } = {}) => {
+  const { start, end } = monthPeriod(month);
+
+  const query = { isActive: true };
+  if (ownerId) query._id = ownerId;
+  const owners = await Owner.find(query);
+
+  const statements = [];
+  const skipped = [];
+
+  for (const owner of owners) {
+    const hasProperties = await Property.exists({ owner: owner._id });
+    if (!hasProperties) continue;
+
+    let statement = await OwnerStatement.findOne({ owner: owner._id, periodStart: start });
+    if (statement && statement.status !== 'draft') {
+      skipped.push({ owner: owner._id, statement: statement._id, status: statement.status });
+      continue;
+    }
+
+    const figures = await buildOwnerStatement(owner, start, end);
+    if (!statement) {
+      statement = new OwnerStatement({ owner: owner._id, periodStart: start });
+    }
+    statement.set({
+      ...figures,
+      periodEnd: end,
+      generatedAt: new Date(),
+      generatedBy: generatedBy || null
+    });
+    await statement.save();
+    statements.push(statement);
+  }
+
+  return {
+    periodStart: start,
+    periodEnd: end,
+    count: statements.length,
+    statements,
+    skipped
+  };
+};
+
+const renderOwnerStatementPdf = (doc, statement) => {
+  const owner = statement.owner || {};
+  const monthLabel = statement.periodStart.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+
+  pdf.heading(doc, 'OWNER STATEMENT', process.env.COMPANY_NAME || 'Rental House Management');
+  pdf.details(doc, [
+    ['Owner', owner.name],
+    ['Company', owner.company],
+    ['Period', monthLabel],
+    ['Status', statement.status],
+    ['Generated', pdf.formatDate(statement.generatedAt)]
+  ]);
+  pdf.table(doc, [
+    { header: 'Property', width: 112 },
+    { header: 'Rent', width: 65, align: 'right' },
+    { header: 'Other', width: 60, align: 'right' },
+    { header: 'Expenses', width: 70, align: 'right' },
+    { header: 'Mgmt fee', width: 65, align: 'right' },
+    { header: 'Leasing', width: 60, align: 'right' },
+    { header: 'Net', width: 80, align: 'right' }
+  ], statement.properties.map(row => [
+    row.title,
+    pdf.formatCurrency(row.rentCollected, row.currency),
+    pdf.formatCurrency(row.otherIncome, row.currency),
+    pdf.formatCurrency(row.expenses, row.currency),
+    pdf.formatCurrency(row.managementFee, row.currency),
+    pdf.formatCurrency(row.leasingFees, row.currency),
+    pdf.formatCurrency(row.netPayout, row.currency)
+  ]));
+  pdf.details(doc, [
+    ['Total collected', pdf.formatCurrency(statement.totals.rentCollected + statement.totals.otherIncome, statement.currency)],
+    ['Expenses', pdf.formatCurrency(statement.totals.expenses, statement.currency)],
+    ['Management fees', pdf.formatCurrency(statement.totals.managementFees, statement.currency)],
+    ['Leasing fees', pdf.formatCurrency(statement.totals.leasingFees, statement.currency)],
+    ['Net payout', pdf.formatCurrency(statement.totals.netPayout, statement.currency)]
+  ]);
+};
+
+module.exports = {
+  monthPeriod,
+  collectionsByProperty,
+  buildOwnerStatement,
+  generateOwnerStatements,
+  renderOwnerStatementPdf
+};
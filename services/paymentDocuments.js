@@ -0,0 +1,114 @@
+const fs = require('fs');
+const Payment = require('../models/Payment');
+const pdf = require('./pdf');
+const { nextNumber } = require('./numbering');
+
+const COMPANY_NAME = process.env.COMPANY_NAME || 'Rental House Management';
+
+const paymentTypeLabel = (type) => (type || '').replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+
+const loadPayment = (paymentId) => Payment.findById(paymentId)
+  .populate('tenant', 'name email phone')
+  .populate('property', 'title address company')
+  .populate('lease', 'startDate endDate');
+
+// Invoice for a charge, written to /uploads/invoices
+const generateInvoice = async (paymentId) => {
+  const payment = await loadPayment(paymentId);
+  if (!payment) return null;
+
+  if (!payment.invoiceNumber) {
+    payment.invoiceNumber = await nextNumber('invoice', { company: payment.property?.company || '' });
+    await Payment.updateOne({ _id: payment._id }, { invoiceNumber: payment.invoiceNumber });
+  }
+
+  const url = await pdf.writePdf('invoices', `invoice-${payment.invoiceNumber}.pdf`, (doc) => {
+    pdf.heading(doc, 'INVOICE', payment.property?.company || COMPANY_NAME);
+    pdf.details(doc, [
+      ['Invoice number', payment.invoiceNumber],
+      ['Issued', pdf.formatDate(new Date())],
+      ['Due date', pdf.formatDate(payment.dueDate)],
+      ['Bill to', payment.tenant?.name],
+      ['Email', payment.tenant?.email],
+      ['Property', pdf.propertyLine(payment.property)]
+    ]);
+    pdf.table(doc, [
+      { header: 'Description', width: 300 },
+      { header: 'Type', width: 110 },
+      { header: 'Amount', width: 100, align: 'right' }
+    ], [
+      [payment.description || paymentTypeLabel(payment.paymentType), paymentTypeLabel(payment.paymentType), pdf.formatCurrency(payment.amount, payment.currency)]
+    ]);
+    pdf.details(doc, [
+      ['Total due', pdf.formatCurrency(payment.amount, payment.currency)],
+      ['Paid to date', pdf.formatCurrency(payment.paidAmount, payment.currency)],
+      ['Balance due', pdf.formatCurrency(payment.balanceDue, payment.currency)]
+    ]);
+  });
+
+  await Payment.updateOne({ _id: payment._id }, { invoiceGenerated: true, invoiceUrl: url });
+  return url;
+};
+
+// Receipt listing every amount received against a charge, written to /uploads/receipts
+const generateReceipt = async (paymentId) => {
+  const payment = await loadPayment(paymentId);
+  if (!payment || !payment.paidAmount) return null;
+
+  const url = await pdf.writePdf('receipts', `receipt-${payment.receiptNumber || payment._id}.pdf`, (doc) => {
+    pdf.heading(doc, 'PAYMENT RECEIPT', payment.property?.company || COMPANY_NAME);
+    pdf.details(doc, [
+      ['Receipt number', payment.receiptNumber],
+      ['Date', pdf.formatDate(payment.paidDate)],
+      ['Received from', payment.tenant?.name],
+      ['Property', pdf.propertyLine(payment.property)],
+      ['For', payment.description || paymentTypeLabel(payment.paymentType)]
+    ]);
+    pdf.table(doc, [
+      { header: 'Date', width: 120 },
+      { header: 'Method', width: 110 },
+      { header: 'Reference', width: 180 },
+      { header: 'Amount', width: 100, align: 'right' }
+    ], payment.allocations.map(a => [
+      pdf.formatDate(a.paidDate),
+      paymentTypeLabel(a.paymentMethod),
+      a.transactionId || '',
+      pdf.formatCurrency(a.amount, payment.currency)
+    ]));
+    pdf.details(doc, [
+      ['Charge amount', pdf.formatCurrency(payment.amount, payment.currency)],
+      ['Total received', pdf.formatCurrency(payment.paidAmount, payment.currency)],
+      ['Balance remaining', pdf.formatCurrency(payment.balanceDue, payment.currency)],
+      ['Status', paymentTypeLabel(payment.status)]
+    ]);
+  });
+
+  await Payment.updateOne({ _id: payment._id }, { receiptUrl: url });
+  return url;
+};
+
+// Regenerate a document when it was never produced or the file has gone missing
+const ensureDocument = async (payment, kind) => {
+  const url = kind === 'receipt' ? payment.receiptUrl : payment.invoiceUrl;
+  if (url && fs.existsSync(pdf.pathForUrl(url))) {
+    return url;
+  }
+  return kind === 'receipt' ? generateReceipt(payment._id) : generateInvoice(payment._id);
+};
+
+// Document generation never blocks the payment flow; failures are logged and retried on download
+const generateQuietly = async (generator, paymentId) => {
+  try {
+    return await generator(paymentId);
+  } catch (error) {
+    console.error('Payment document generation error:', error);
+    return null;
+  }
+};
+
+module.exports = {
+  generateInvoice,
+  generateReceipt,
+  ensureDocument,
+  generateQuietly
+};
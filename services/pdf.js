@@ -0,0 +1,122 @@
+const PDFDocument = require('pdfkit');
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+const { DEFAULT_CURRENCY } = require('./currency');
+
+const UPLOADS_ROOT = path.join(__dirname, '../uploads');
+
+const formatCurrency = (amount, currency = DEFAULT_CURRENCY) => new Intl.NumberFormat('en-US', {
+  style: 'currency',
+  currency: currency || DEFAULT_CURRENCY
+}).format(amount || 0);
+
+const formatDate = (date) => (date
+  ? new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })
+  : '');
+
+// Absolute path on disk for an /uploads/... url
+const pathForUrl = (url) => path.join(__dirname, '..', url);
+
+// /uploads is served without auth, so stored names carry a random part that can't be guessed
+// from invoice numbers or ids; the url is kept on the record that owns the file
+const privateFilename = (filename) => {
+  const ext = path.extname(filename);
+  return `${path.basename(filename, ext)}-${crypto.randomBytes(16).toString('hex')}${ext}`;
+};
+
+// Render a PDF into /uploads/<folder>/ under an unguessable name and resolve with its url
+const writePdf = (folder, filename, build) => new Promise((resolve, reject) => {
+  const dir = path.join(UPLOADS_ROOT, folder);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  const stored = privateFilename(filename);
+  const doc = new PDFDocument({ size: 'LETTER', margin: 50 });
+  const stream = fs.createWriteStream(path.join(dir, stored));
+  stream.on('finish', () => resolve(`/uploads/${folder}/${stored}`));
+  stream.on('error', reject);
+  doc.pipe(stream);
+
+  try {
+    build(doc);
+    doc.end();
+  } catch (error) {
+    doc.end();
+    reject(error);
+  }
+});
+
+// Render a PDF straight into an HTTP response as a download
+const sendPdf = (res, filename, build) => {
+  const doc = new PDFDocument({ size: 'LETTER', margin: 50 });
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  doc.pipe(res);
+  build(doc);
+  doc.end();
+};
+
+const heading = (doc, title, subtitle) => {
+  doc.font('Helvetica-Bold').fontSize(20).text(title);
+  if (subtitle) {
+    doc.font('Helvetica').fontSize(10).fillColor('#555555').text(subtitle).fillColor('#000000');
+  }
+  doc.moveDown();
+};
+
+// Property title and address on one line
+const propertyLine = (property) => (property && property.address
+  ? `${property.title} - ${property.address.street}, ${property.address.city}, ${property.address.state} ${property.address.zipCode}`
+  : property?.title);
+
+// Two-column label/value block
+const details = (doc, rows) => {
+  rows.filter(([, value]) => value !== undefined && value !== null && value !== '').forEach(([label, value]) => {
+    doc.font('Helvetica-Bold').fontSize(10).text(`${label}: `, { continued: true })
+      .font('Helvetica').text(String(value));
+  });
+  doc.moveDown();
+};
+
+// Simple table; columns are { header, width, align }
+const table = (doc, columns, rows) => {
+  const left = doc.page.margins.left;
+  const drawRow = (cells, font) => {
+    doc.font(font).fontSize(9);
+    const texts = cells.map(cell => (cell === undefined || cell === null ? '' : String(cell)));
+    const height = Math.max(...texts.map((text, index) => doc.heightOfString(text, { width: columns[index].width })));
+
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+    }
+
+    const y = doc.y;
+    let x = left;
+    texts.forEach((text, index) => {
+      const column = columns[index];
+      doc.text(text, x, y, { width: column.width, align: column.align || 'left' });
+      x += column.width;
+    });
+    doc.x = left;
+    doc.y = y + height + 4;
+  };
+
+  drawRow(columns.map(c => c.header), 'Helvetica-Bold');
+  rows.forEach(row => drawRow(row, 'Helvetica'));
+  doc.moveDown();
+};
+
+module.exports = {
+  formatCurrency,
+  formatDate,
+  pathForUrl,
+  privateFilename,
+  propertyLine,
+  writePdf,
+  sendPdf,
+  heading,
+  details,
+  table
+};
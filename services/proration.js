@@ -0,0 +1,42 @@
+const { roundAmount } = require('./money');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+const PRORATION_METHODS = ['actual_days', 'thirty_day', 'none'];
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+// Inclusive number of days between two dates
+const daysBetween = (from, to) => Math.round((startOfDay(to) - startOfDay(from)) / DAY_MS) + 1;
+
+const dayBefore = (date) => {
+  const day = startOfDay(date);
+  day.setDate(day.getDate() - 1);
+  return day;
+};
+
+// Rent owed for the covered part (from..to) of a billing period (periodStart..periodEnd)
+const prorate = (rent, { periodStart, periodEnd, from, to, method = 'actual_days' }) => {
+  const coveredDays = Math.max(daysBetween(from, to), 0);
+  const periodDays = daysBetween(periodStart, periodEnd);
+
+  if (method === 'none' || coveredDays >= periodDays) {
+    return rent;
+  }
+  if (method === 'thirty_day') {
+    return roundAmount(rent * Math.min(coveredDays, 30) / 30);
+  }
+  return roundAmount(rent * coveredDays / periodDays);
+};
+
+module.exports = {
+  PRORATION_METHODS,
+  startOfDay,
+  daysBetween,
+  dayBefore,
+  prorate
+};
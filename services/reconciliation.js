@@ -0,0 +1,219 @@
+const BankStatement = require('../models/BankStatement');
+const BankTransaction = require('../models/BankTransaction');
+const Payment = require('../models/Payment');
+const allocation = require('./allocation');
+const paymentDocuments = require('./paymentDocuments');
+const { parseStatement } = require('./bankStatements');
+const { ServiceError } = require('./errors');
+
+const MIN_CONFIDENCE = 0.3;
+const MAX_PROPOSALS = 3;
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+const normalize = (value) => (value || '').toLowerCase().replace(/[^a-z0-9 ]/g, ' ');
+
+// Score how well an open charge explains a bank line, from amount, reference and tenant name
+const scoreCandidate = (line, charge) => {
+  const reasons = [];
+  let score = 0;
+
+  const balance = allocation.balanceOf(charge);
+  if (Math.abs(line.amount - balance) < 0.005) {
+    score += 50;
+    reasons.push('amount matches balance due');
+  } else if (Math.abs(line.amount - charge.amount) < 0.005) {
+    score += 45;
+    reasons.push('amount matches charge');
+  } else if (balance > 0 && Math.abs(line.amount - balance) / balance <= 0.01) {
+    score += 25;
+    reasons.push('amount within 1%');
+  }
+
+  const text = normalize(`${line.reference} ${line.description}`);
+  const references = [charge.invoiceNumber, charge.receiptNumber, charge._id.toString()]
+    .filter(Boolean)
+    .map(normalize);
+  if (references.some(ref => ref && text.includes(ref.trim()))) {
+    score += 30;
+    reasons.push('reference matches');
+  }
+
+  const name = normalize(charge.tenant?.name).split(/\s+/).filter(token => token.length > 1);
+  if (name.length > 0) {
+    const haystack = normalize(`${line.payerName} ${line.description}`);
+    const found = name.filter(token => haystack.split(/\s+/).includes(token));
+    if (found.length === name.length) {
+      score += 25;
+      reasons.push('tenant name matches');
+    } else if (found.length > 0) {
+      score += 10;
+      reasons.push('tenant name partly matches');
+    }
+  }
+
+  if (Math.abs(new Date(line.date) - new Date(charge.dueDate)) <= 10 * DAY_MS) {
+    score += 5;
+    reasons.push('close to due date');
+  }
+
+  return {
+    payment: charge._id,
+    tenant: charge.tenant?._id || charge.tenant,
+    confidence: Math.min(score, 100) / 100,
+    reasons
+  };
+};
+
+const proposeMatches = (line, openCharges) => openCharges
+  .map(charge => scoreCandidate(line, charge))
+  .filter(p => p.confidence >= MIN_CONFIDENCE)
+  .sort((a, b) => b.confidence - a.confidence)
+  .slice(0, MAX_PROPOSALS);
+
+const loadOpenCharges = () => Payment.find({ status: { $in: allocation.OPEN_STATUSES } })
+  .populate('tenant', 'name');
+
+// Import a statement file, queue each new line and propose matches for it
+const importStatement = async ({ buffer, filename, uploadedBy }) => {
+  const { format, lines, skipped } = parseStatement(buffer, filename);
+
+  const statement = new BankStatement({
+    filename,
+    format,
+    uploadedBy,
+    skippedCount: skipped
+  });
+  await statement.save();
+
+  const openCharges = await loadOpenCharges();
+  const queued = [];
+  let duplicates = 0;
+
+  for (const line of lines) {
+    const proposals = proposeMatches(line, openCharges);
+    try {
+      const transaction = new BankTransaction({
+        ...line,
+        statement: statement._id,
+        proposals,
+        status: proposals.length > 0 ? 'proposed' : 'unmatched'
+      });
+      await transaction.save();
+      queued.push(transaction);
+    } catch (error) {
+      if (error.code === 11000) {
+        duplicates++;
+        continue;
+      }
+      throw error;
+    }
+  }
+
+  statement.lineCount = queued.length;
+  statement.duplicateCount = duplicates;
+  await statement.save();
+
+  return { statement, transactions: queued };
+};
+
+// Recompute proposals for lines still waiting in the queue
+const refreshProposals = async (transactionIds) => {
+  const query = { status: { $in: ['unmatched', 'proposed'] } };
+  if (transactionIds) query._id = { $in: transactionIds };
+
+  const transactions = await BankTransaction.find(query);
+  const openCharges = await loadOpenCharges();
+
+  for (const transaction of transactions) {
+    transaction.proposals = proposeMatches(transaction, openCharges);
+    transaction.status = transaction.proposals.length > 0 ? 'proposed' : 'unmatched';
+    await transaction.save();
+  }
+
+  return transactions;
+};
+
+// Settle a queued line against a charge; anything above the charge balance becomes a credit
+const confirmMatch = async (transaction, paymentId, { postedBy }) => {
+  if (!['unmatched', 'proposed'].includes(transaction.status)) {
+    throw new ServiceError(`Bank line ${transaction._id} is already ${transaction.status}`);
+  }
+
+  const targetId = paymentId || transaction.proposals[0]?.payment;
+  if (!targetId) {
+    throw new ServiceError(`Bank line ${transaction._id} has no proposed match`);
+  }
+
+  const charge = await Payment.findById(targetId);
+  if (!charge || !allocation.OPEN_STATUSES.includes(charge.status)) {
+    throw new ServiceError(`Charge ${targetId} is not open`);
+  }
+
+  const result = await allocation.allocatePayment({
+    tenantId: charge.tenant,
+    leaseId: charge.lease,
+    amount: transaction.amount,
+    allocations: [{ paymentId: charge._id, amount: Math.min(transaction.amount, allocation.balanceOf(charge)) }],
+    paidDate: transaction.date,
+    paymentMethod: 'bank_transfer',
+    transactionId: transaction.reference || transaction.fingerprint.slice(0, 16),
+    notes: `Bank reconciliation: ${transaction.description}`.trim(),
+    postedBy
+  });
+
+  transaction.status = 'matched';
+  transaction.matchedPayment = charge._id;
+  transaction.matchedBy = postedBy || null;
+  transaction.matchedAt = new Date();
+  await transaction.save();
+
+  await paymentDocuments.generateQuietly(paymentDocuments.generateReceipt, charge._id);
+
+  return { transaction: transaction._id, payment: charge._id, ...result };
+};
+
+// Confirm many matches at once: an explicit list, or every top proposal above a confidence
+const confirmMatches = async ({ matches, minConfidence, postedBy }) => {
+  let work = [];
+
+  if (Array.isArray(matches) && matches.length > 0) {
+    work = matches.map(m => ({ id: m.transactionId, paymentId: m.paymentId }));
+  } else if (minConfidence !== undefined) {
+    const proposed = await BankTransaction.find({ status: 'proposed' });
+    work = proposed
+      .filter(t => t.proposals[0] && t.proposals[0].confidence >= Number(minConfidence))
+      .map(t => ({ id: t._id, paymentId: t.proposals[0].payment }));
+  } else {
+    throw new ServiceError('Provide matches or minConfidence');
+  }
+
+  const confirmed = [];
+  const errors = [];
+
+  for (const item of work) {
+    try {
+      const transaction = await BankTransaction.findById(item.id);
+      if (!transaction) {
+        throw new ServiceError(`Bank line ${item.id} not found`, 404);
+      }
+      confirmed.push(await confirmMatch(transaction, item.paymentId, { postedBy }));
+    } catch (error) {
+      if (!error.status) throw error;
+      errors.push({ transactionId: item.id, message: error.message });
+    }
+  }
+
+  // Payments just settled may have been proposed for other lines too
+  if (confirmed.length > 0) {
+    await refreshProposals();
+  }
+
+  return { confirmed, errors };
+};
+
+module.exports = {
+  scoreCandidate,
+  importStatement,
+  refreshProposals,
+  confirmMatches
+};
@@ -0,0 +1,449 @@
+const Payment = require('../models/Payment');
+const Lease = require('../models/Lease');
+const ledger = require('./ledger');
+const { voidPayment } = require('./refunds');
+const { prorate, startOfDay, dayBefore } = require('./proration');
+const { rentOn } = require('./rentSchedule');
+const { roundAmount } = require('./money');
+const { ServiceError } = require('./errors');
+
+const PERIOD_MONTHS = {
+  monthly: 1,
+  quarterly: 3,
+  yearly: 12
+};
+
+const DEFAULT_WINDOW_DAYS = 35;
+
+// Move a date by whole months, pinned to a day of month so short months don't cause drift
+const shiftMonths = (date, months, dayOfMonth) => {
+  const next = new Date(date);
+  const day = dayOfMonth || next.getDate();
+  next.setDate(1);
+  next.setMonth(next.getMonth() + months);
+  const daysInMonth = new Date(next.getFullYear(), next.getMonth() + 1, 0).getDate();
+  next.setDate(Math.min(day, daysInMonth));
+  return next;
+};
+
+// Advance a due date by one period
+const addPeriod = (date, period, dayOfMonth) => shiftMonths(date, PERIOD_MONTHS[period] || 1, dayOfMonth);
+
+// Rent for the billing period that starts on a due date, at the rent scheduled for the first
+// covered day. When the lease starts or ends inside the period only the covered days are charged,
+// using the lease's proration method.
+const rentForPeriod = (lease, dueDate, coveredFrom = dueDate) => {
+  const nextDue = addPeriod(dueDate, 'monthly', lease.paymentDueDate);
+  const periodEnd = dayBefore(nextDue);
+  const leaseEnd = startOfDay(lease.endDate);
+  const coveredTo = leaseEnd < periodEnd ? leaseEnd : periodEnd;
+
+  return {
+    amount: prorate(rentOn(lease, coveredFrom), {
+      periodStart: dueDate,
+      periodEnd,
+      from: coveredFrom,
+      to: coveredTo,
+      method: lease.proration
+    }),
+    periodStart: startOfDay(coveredFrom),
+    periodEnd: coveredTo,
+    nextDue
+  };
+};
+
+const monthLabel = (date) => date.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+
+const describe = (recurringKey, dueDate, lease, fallback) => {
+  if (recurringKey === 'rent') {
+    return `Monthly rent for ${monthLabel(dueDate)}`;
+  }
+  if (recurringKey && recurringKey.startsWith('additional:') && lease) {
+    const charge = lease.additionalCharges.id(recurringKey.split(':')[1]);
+    if (charge) return `${charge.description || 'Additional charge'} for ${monthLabel(dueDate)}`;
+  }
+  return fallback;
+};
+
+// Current amount for a series: lease-driven series follow the lease, others repeat the last charge
+const amountFor = (recurringKey, lease, fallback) => {
+  if (lease && recurringKey && recurringKey.startsWith('additional:')) {
+    const charge = lease.additionalCharges.id(recurringKey.split(':')[1]);
+    if (charge) return charge.amount;
+  }
+  return fallback;
+};
+
+// Save a charge and post it to the ledger
+const saveCharge = async (charge, { postedBy } = {}) => {
+  await charge.save();
+  await ledger.recordCharge(charge, { postedBy });
+  return charge;
+};
+
+const createCharge = (fields, options) => saveCharge(new Payment({ status: 'pending', ...fields }), options);
+
+// Materialize every recurring charge falling due within the rolling window. Each series is a
+// chain of charges where only the newest carries nextDueDate; claiming that date atomically
+// keeps concurrent runs from generating the same period twice. If the next charge can't be
+// created the claim is handed back, so the series is retried on the next run.
+const generateRecurringCharges = async ({ asOf = new Date(), windowDays = DEFAULT_WINDOW_DAYS, leaseId, postedBy } = {}) => {
+  const horizon = new Date(asOf);
+  horizon.setDate(horizon.getDate() + Number(windowDays));
+
+  const query = {
+    isRecurring: true,
+    nextDueDate: { $ne: null, $lte: horizon }
+  };
+  if (leaseId) query.lease = leaseId;
+
+  const created = [];
+  const failed = [];
+  let heads = await Payment.find(query);
+
+  while (heads.length > 0) {
+    for (const head of heads) {
+      const dueDate = head.nextDueDate;
+      const claimed = await Payment.findOneAndUpdate(
+        { _id: head._id, nextDueDate: dueDate },
+        { nextDueDate: null }
+      );
+      if (!claimed) continue;
+
+      let charge = null;
+      try {
+        let lease = null;
+        if (head.lease) {
+          lease = await Lease.findById(head.lease);
+          // The series ends with the lease
+          if (!lease || !['active', 'pending', 'renewed'].includes(lease.status) || dueDate > lease.endDate) {
+            continue;
+          }
+        }
+
+        const fields = {
+          lease: head.lease,
+          tenant: head.tenant,
+          property: head.property,
+          amount: amountFor(head.recurringKey, lease, head.amount),
+          paymentType: head.paymentType,
+          dueDate,
+          description: describe(head.recurringKey, dueDate, lease, head.description),
+          isRecurring: true,
+          recurringPeriod: head.recurringPeriod,
+          recurringKey: head.recurringKey,
+          nextDueDate: addPeriod(dueDate, head.recurringPeriod, lease ? lease.paymentDueDate : null)
+        };
+
+        if (lease && head.recurringKey === 'rent') {
+          const rent = rentForPeriod(lease, dueDate);
+          fields.amount = rent.amount;
+          fields.periodStart = rent.periodStart;
+          fields.periodEnd = rent.periodEnd;
+        }
+
+        charge = new Payment({ status: 'pending', ...fields });
+        await saveCharge(charge, { postedBy });
+        created.push(charge);
+      } catch (error) {
+        // Once the new charge is saved it leads the series, so only hand back an unused claim
+        if (!charge || charge.isNew) {
+          await Payment.updateOne({ _id: head._id, nextDueDate: null }, { nextDueDate: dueDate });
+        }
+        console.error(`Recurring charge for series ${head._id} failed:`, error.message);
+        failed.push({ payment: head._id, dueDate, error: error.message });
+      }
+    }
+
+    // Leave failed series for the next run rather than retrying them in a loop
+    heads = await Payment.find({ ...query, _id: { $nin: failed.map(f => f.payment) } });
+  }
+
+  return {
+    asOf: new Date(asOf),
+    horizon,
+    count: created.length,
+    charges: created.map(c => ({
+      payment: c._id,
+      lease: c.lease,
+      tenant: c.tenant,
+      paymentType: c.paymentType,
+      amount: c.amount,
+      dueDate: c.dueDate
+    })),
+    failed
+  };
+};
+
+// Regular due date on or before a date, i.e. the start of the billing period it falls in
+const anchorDueDate = (date, dueDay) => {
+  const day = startOfDay(date);
+  let anchor = shiftMonths(day, 0, dueDay);
+  if (anchor > day) {
+    anchor = shiftMonths(day, -1, dueDay);
+  }
+  return anchor;
+};
+
+// Seed the rent and additional-charge series for a lease, then fill the rolling window. A lease
+// starting mid-period gets a prorated first charge due on its start date.
+const seedLeaseCharges = async (lease, { postedBy } = {}) => {
+  const startDate = startOfDay(lease.startDate);
+  const endDate = startOfDay(lease.endDate);
+  const rent = rentForPeriod(lease, anchorDueDate(startDate, lease.paymentDueDate), startDate);
+  const dueDate = startDate;
+
+  if (dueDate <= endDate) {
+    await createCharge({
+      lease: lease._id,
+      tenant: lease.tenant,
+      property: lease.property,
+      amount: rent.amount,
+      paymentType: 'rent',
+      dueDate,
+      description: rent.amount < lease.monthlyRent
+        ? `Prorated rent for ${monthLabel(dueDate)}`
+        : describe('rent', dueDate, lease),
+      isRecurring: true,
+      recurringPeriod: 'monthly',
+      recurringKey: 'rent',
+      periodStart: rent.periodStart,
+      periodEnd: rent.periodEnd,
+      nextDueDate: rent.nextDue
+    }, { postedBy });
+  }
+
+  for (const additional of lease.additionalCharges || []) {
+    if (!additional.amount) continue;
+
+    const isMonthly = additional.frequency === 'monthly';
+    const recurringKey = `additional:${additional._id}`;
+
+    await createCharge({
+      lease: lease._id,
+      tenant: lease.tenant,
+      property: lease.property,
+      amount: additional.amount,
+      paymentType: 'other',
+      dueDate,
+      description: isMonthly
+        ? describe(recurringKey, dueDate, lease)
+        : additional.description || 'Additional charge',
+      isRecurring: isMonthly,
+      recurringPeriod: isMonthly ? 'monthly' : null,
+      recurringKey: isMonthly ? recurringKey : null,
+      nextDueDate: isMonthly ? rent.nextDue : null
+    }, { postedBy });
+  }
+
+  return generateRecurringCharges({ leaseId: lease._id, postedBy });
+};
+
+const ADDITIONAL_FREQUENCIES = ['monthly', 'one-time'];
+
+const additionalAmount = (amount) => {
+  const value = Number(amount);
+  if (amount === null || amount === '' || isNaN(value) || value <= 0) {
+    throw new ServiceError('A positive amount is required');
+  }
+  return roundAmount(value);
+};
+
+const findAdditional = (lease, chargeId) => {
+  const additional = lease.additionalCharges.id(chargeId);
+  if (!additional) {
+    throw new ServiceError('Additional charge not found', 404);
+  }
+  return additional;
+};
+
+// Add a charge to the lease's terms. Once the lease is billing, a one-time charge is raised now
+// and a monthly one starts its series on the next regular due date; before that, seeding picks
+// it up with the rest.
+const addAdditionalCharge = async (lease, { description, amount, frequency = 'monthly' }, { postedBy } = {}) => {
+  if (!ADDITIONAL_FREQUENCIES.includes(frequency)) {
+    throw new ServiceError('frequency must be monthly or one-time');
+  }
+  lease.additionalCharges.push({ description, amount: additionalAmount(amount), frequency });
+  const additional = lease.additionalCharges[lease.additionalCharges.length - 1];
+  await lease.save();
+
+  const charges = [];
+  if (!(await Payment.exists({ lease: lease._id, recurringKey: 'rent' }))) {
+    return { additional, charges };
+  }
+
+  const today = startOfDay(new Date());
+  if (frequency === 'one-time') {
+    charges.push(await createCharge({
+      lease: lease._id,
+      tenant: lease.tenant,
+      property: lease.property,
+      amount: additional.amount,
+      paymentType: 'other',
+      dueDate: today,
+      description: additional.description || 'Additional charge'
+    }, { postedBy }));
+    return { additional, charges };
+  }
+
+  const recurringKey = `additional:${additional._id}`;
+  const dueDate = addPeriod(anchorDueDate(today, lease.paymentDueDate), 'monthly', lease.paymentDueDate);
+  if (dueDate <= startOfDay(lease.endDate)) {
+    charges.push(await createCharge({
+      lease: lease._id,
+      tenant: lease.tenant,
+      property: lease.property,
+      amount: additional.amount,
+      paymentType: 'other',
+      dueDate,
+      description: describe(recurringKey, dueDate, lease),
+      isRecurring: true,
+      recurringPeriod: 'monthly',
+      recurringKey,
+      nextDueDate: addPeriod(dueDate, 'monthly', lease.paymentDueDate)
+    }, { postedBy }));
+    await generateRecurringCharges({ leaseId: lease._id, postedBy });
+  }
+
+  return { additional, charges };
+};
+
+// Change a charge's description or amount. Its series reads both from the lease, so charges
+// raised from now on follow; charges already raised keep theirs.
+const updateAdditionalCharge = async (lease, chargeId, { description, amount, frequency }) => {
+  const additional = findAdditional(lease, chargeId);
+  if (frequency !== undefined && frequency !== additional.frequency) {
+    throw new ServiceError('Remove the charge and add a new one to change its frequency');
+  }
+  if (description !== undefined) additional.description = description;
+  if (amount !== undefined) additional.amount = additionalAmount(amount);
+  await lease.save();
+
+  return additional;
+};
+
+// Take a charge off the lease: its series stops and unpaid charges not yet due are voided
+const removeAdditionalCharge = async (lease, chargeId, { postedBy } = {}) => {
+  const additional = findAdditional(lease, chargeId);
+  const recurringKey = `additional:${additional._id}`;
+  additional.deleteOne();
+  await lease.save();
+
+  await Payment.updateMany({ lease: lease._id, recurringKey, nextDueDate: { $ne: null } }, { nextDueDate: null });
+
+  const upcoming = await Payment.find({
+    lease: lease._id,
+    recurringKey,
+    status: 'pending',
+    dueDate: { $gt: startOfDay(new Date()) }
+  });
+  const voided = [];
+  for (const charge of upcoming) {
+    if (charge.paidAmount) continue;
+    await voidPayment(charge, { reason: 'Charge removed from the lease', postedBy });
+    voided.push(charge._id);
+  }
+
+  return { removed: additional, voided };
+};
+
+// Early termination: stop every series on the lease, prorate the rent charge covering the
+// termination date and void unpaid recurring charges that fall due afterwards
+const prorateForTermination = async (lease, terminationDate, { postedBy } = {}) => {
+  const endDate = startOfDay(terminationDate);
+  const adjustments = [];
+
+  await Payment.updateMany({ lease: lease._id, nextDueDate: { $ne: null } }, { nextDueDate: null });
+
+  const charges = await Payment.find({
+    lease: lease._id,
+    isRecurring: true,
+    status: { $in: ['pending', 'partial', 'completed'] }
+  });
+
+  for (const charge of charges) {
+    const dueDate = startOfDay(charge.dueDate);
+    const periodStart = charge.periodStart ? startOfDay(charge.periodStart) : dueDate;
+    const periodEnd = charge.periodEnd
+      ? startOfDay(charge.periodEnd)
+      : dayBefore(addPeriod(dueDate, charge.recurringPeriod, lease.paymentDueDate));
+
+    let newAmount = null;
+    if (periodStart > endDate) {
+      newAmount = 0;
+    } else if (charge.recurringKey === 'rent' && periodEnd > endDate) {
+      // Prorate against the full billing period the charge belongs to
+      const billingStart = anchorDueDate(periodStart, lease.paymentDueDate);
+      newAmount = prorate(rentOn(lease, periodStart), {
+        periodStart: billingStart,
+        periodEnd: dayBefore(addPeriod(billingStart, 'monthly', lease.paymentDueDate)),
+        from: periodStart,
+        to: endDate,
+        method: lease.proration
+      });
+      charge.periodEnd = endDate;
+    }
+
+    if (newAmount === null || newAmount >= charge.amount) continue;
+
+    // Nothing is owed or paid for a period after the lease ends, so the charge is cancelled outright
+    if (newAmount === 0 && !charge.paidAmount) {
+      const amount = charge.amount;
+      await voidPayment(charge, { reason: 'Falls due after the lease was terminated', postedBy });
+      adjustments.push({ payment: charge._id, description: charge.description, amount: 0, adjustment: roundAmount(-amount), voided: true });
+      continue;
+    }
+
+    const delta = roundAmount(newAmount - charge.amount);
+    const credit = roundAmount(Math.max((charge.paidAmount || 0) - newAmount, 0));
+    charge.amount = newAmount;
+    if (credit > 0) {
+      charge.paidAmount = newAmount;
+    }
+    if (charge.paidAmount >= newAmount) {
+      charge.status = 'completed';
+    }
+    await charge.save();
+    await ledger.recordAdjustment(charge, delta, {
+      postedBy,
+      effectiveDate: endDate,
+      description: newAmount === 0
+        ? `Cancelled after lease termination: ${charge.description}`
+        : `Prorated for lease termination: ${charge.description}`
+    });
+
+    // Money already paid for days after the lease ended comes off the charge and is held as a
+    // credit on the tenant's account
+    if (credit > 0) {
+      await ledger.recordRefund(charge, credit, {
+        reopen: true,
+        postedBy,
+        effectiveDate: endDate,
+        description: `Paid for days after lease termination: ${charge.description}`
+      });
+      await ledger.recordCredit(charge, credit, {
+        postedBy,
+        effectiveDate: endDate,
+        description: `Credit for days after lease termination: ${charge.description}`
+      });
+    }
+
+    adjustments.push({ payment: charge._id, description: charge.description, amount: newAmount, adjustment: delta, credit });
+  }
+
+  return adjustments;
+};
+
+module.exports = {
+  PERIOD_MONTHS,
+  addPeriod,
+  rentForPeriod,
+  createCharge,
+  generateRecurringCharges,
+  seedLeaseCharges,
+  addAdditionalCharge,
+  updateAdditionalCharge,
+  removeAdditionalCharge,
+  prorateForTermination
+};
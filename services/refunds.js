@@ -0,0 +1,196 @@
+const Payment = require('../models/Payment');
+const ledger = require('./ledger');
+const deposits = require('./deposits');
+const { ServiceError } = require('./errors');
+const { roundAmount } = require('./money');
+
+const DEPOSIT_TYPES = ['security_deposit', 'pet_deposit'];
+
+// Status a charge settles into after money has been taken back off it
+const settledStatus = (charge) => {
+  if (charge.amount <= 0 && charge.refundedAmount > 0) return 'refunded';
+  if (charge.paidAmount >= charge.amount) return 'completed';
+  return charge.paidAmount > 0 ? 'partial' : 'pending';
+};
+
+// Offsetting record that shows up alongside the original in payment lists
+const createOffsetRecord = async (charge, { status, amount, date, paymentMethod, transactionId, description, notes }) => {
+  const record = new Payment({
+    lease: charge.lease,
+    tenant: charge.tenant,
+    property: charge.property,
+    amount,
+    paymentType: charge.paymentType,
+    paymentMethod: paymentMethod || charge.paymentMethod || null,
+    status,
+    dueDate: date,
+    paidDate: date,
+    description,
+    transactionId: transactionId || undefined,
+    notes: notes || '',
+    relatedPayment: charge._id
+  });
+  await record.save();
+  return record;
+};
+
+// Give money back to the tenant. By default the charge is reduced by the refund; with
+// reopenCharge the tenant owes the refunded amount again.
+const refundPayment = async (charge, { amount, reason, reopenCharge = false, paymentMethod, transactionId, postedBy }) => {
+  if (charge.relatedPayment) {
+    throw new ServiceError('Refund and reversal records cannot be refunded');
+  }
+  if (DEPOSIT_TYPES.includes(charge.paymentType)) {
+    throw new ServiceError('Deposits are returned through the lease deposit disposition');
+  }
+
+  const received = roundAmount(charge.paidAmount || 0);
+  const value = amount !== undefined && amount !== null && amount !== '' ? roundAmount(Number(amount)) : received;
+  if (!value || value <= 0) {
+    throw new ServiceError('Refund amount must be greater than zero');
+  }
+  if (value > received) {
+    throw new ServiceError(`Refund exceeds the ${received} received on this charge`);
+  }
+
+  const date = new Date();
+  const description = `Refund of ${charge.description || charge.paymentType}`;
+
+  charge.paidAmount = roundAmount(received - value);
+  if (!reopenCharge) {
+    charge.amount = roundAmount(charge.amount - value);
+    charge.refundedAmount = roundAmount((charge.refundedAmount || 0) + value);
+  }
+  charge.status = settledStatus(charge);
+
+  const record = await createOffsetRecord(charge, {
+    status: 'refunded',
+    amount: value,
+    date,
+    paymentMethod,
+    transactionId,
+    description,
+    notes: reason
+  });
+
+  charge.auditTrail.push({
+    action: 'refund',
+    amount: value,
+    reason: reason || '',
+    relatedPayment: record._id,
+    performedBy: postedBy || null,
+    date
+  });
+  await charge.save();
+
+  await ledger.recordRefund(charge, value, {
+    reopen: reopenCharge,
+    postedBy,
+    effectiveDate: date,
+    description
+  });
+
+  return { charge, refund: record };
+};
+
+// Undo a payment that never cleared (bounced check, chargeback). The allocation is marked
+// reversed and the charge reopens for the amount.
+const reversePayment = async (charge, { allocationId, reason, postedBy }) => {
+  if (charge.relatedPayment) {
+    throw new ServiceError('Refund and reversal records cannot be reversed');
+  }
+
+  const live = charge.allocations.filter(a => !a.reversed);
+  const target = allocationId
+    ? live.find(a => a._id.toString() === String(allocationId))
+    : live[live.length - 1];
+  if (!target) {
+    throw new ServiceError(allocationId ? 'Allocation not found or already reversed' : 'No payment to reverse on this charge');
+  }
+  if (target.amount > roundAmount(charge.paidAmount || 0)) {
+    throw new ServiceError('Part of this payment has already been refunded; refund or reverse the rest instead');
+  }
+
+  if (DEPOSIT_TYPES.includes(charge.paymentType)) {
+    await deposits.reverseCollection(charge, target.amount);
+  }
+
+  const date = new Date();
+  const description = `Returned payment on ${charge.description || charge.paymentType}`;
+
+  target.reversed = true;
+  target.reversedAt = date;
+  charge.paidAmount = roundAmount(charge.paidAmount - target.amount);
+  charge.status = settledStatus(charge);
+  if (charge.paidAmount <= 0) charge.paidDate = null;
+
+  const record = await createOffsetRecord(charge, {
+    status: 'failed',
+    amount: target.amount,
+    date,
+    paymentMethod: target.paymentMethod,
+    description,
+    notes: [reason, target.transactionId && `Original transaction ${target.transactionId}`].filter(Boolean).join('. ')
+  });
+
+  charge.auditTrail.push({
+    action: 'reversal',
+    amount: target.amount,
+    reason: reason || '',
+    relatedPayment: record._id,
+    performedBy: postedBy || null,
+    date
+  });
+  await charge.save();
+
+  await ledger.recordRefund(charge, target.amount, {
+    reopen: true,
+    postedBy,
+    effectiveDate: date,
+    description
+  });
+
+  return { charge, reversal: record };
+};
+
+// Cancel a charge instead of deleting it: its ledger entries are offset and the record is kept.
+// Charges still holding tenant money must be refunded or reversed first unless forced.
+const voidPayment = async (charge, { reason, postedBy, force = false } = {}) => {
+  if (charge.status === 'void') {
+    throw new ServiceError('Payment is already void');
+  }
+  if (charge.relatedPayment) {
+    throw new ServiceError('Refund and reversal records cannot be voided');
+  }
+  if (!force && charge.paidAmount > 0) {
+    throw new ServiceError('Refund or reverse the money received on this charge before voiding it');
+  }
+
+  await ledger.reversePaymentEntries(charge, {
+    postedBy,
+    description: `Voided: ${charge.description || charge.paymentType}`
+  });
+
+  charge.status = 'void';
+  charge.auditTrail.push({
+    action: 'void',
+    amount: charge.amount,
+    reason: reason || '',
+    performedBy: postedBy || null
+  });
+  await charge.save();
+
+  // A late fee on a cancelled charge goes with it, as long as nothing has been paid on it
+  const lateFees = await Payment.find({ lateFeeFor: charge._id, status: 'pending', paidAmount: 0 });
+  for (const fee of lateFees) {
+    await voidPayment(fee, { reason: 'Charge voided', postedBy });
+  }
+
+  return charge;
+};
+
+module.exports = {
+  refundPayment,
+  reversePayment,
+  voidPayment
+};
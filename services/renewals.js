@@ -0,0 +1,283 @@
+const Lease = require('../models/Lease');
+const RenewalOffer = require('../models/RenewalOffer');
+const Maintenance = require('../models/Maintenance');
+const pdf = require('./pdf');
+const deposits = require('./deposits');
+const { rentOn } = require('./rentSchedule');
+const lifecycle = require('./leaseLifecycle');
+const { startOfDay, dayBefore } = require('./proration');
+const { ServiceError } = require('./errors');
+
+const COMPANY_NAME = process.env.COMPANY_NAME || 'Rental House Management';
+
+// Days the tenant has to answer an offer, unless the manager sets a date
+const DEFAULT_RESPONSE_DAYS = Number(process.env.RENEWAL_RESPONSE_DAYS) || 30;
+
+const LEASE_TERMS_COPIED = ['paymentDueDate', 'lateFee', 'utilities', 'petDeposit', 'proration', 'currency'];
+
+const isoDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+const parseDate = (value, field) => {
+  const date = startOfDay(value);
+  if (isNaN(date)) {
+    throw new ServiceError(`Invalid ${field}`);
+  }
+  return date;
+};
+
+// Another lease on the property overlapping the dates, other than the one being renewed
+const findOverlap = (lease, startDate, endDate) => Lease.findOne({
+  _id: { $ne: lease._id },
+  property: lease.property,
+  status: { $in: lifecycle.RUNNING_STATUSES },
+  startDate: { $lte: endDate },
+  endDate: { $gte: startDate }
+});
+
+const writeOfferLetter = async (offer, lease) => {
+  await lease.populate([
+    { path: 'tenant', select: 'name email' },
+    { path: 'property', select: 'title address company' }
+  ]);
+  const company = lease.property?.company || COMPANY_NAME;
+  const currency = offer.currency;
+
+  const url = await pdf.writePdf('renewals', `renewal-offer-${offer._id}.pdf`, (doc) => {
+    pdf.heading(doc, 'LEASE RENEWAL OFFER', company);
+    pdf.details(doc, [
+      ['Date', pdf.formatDate(new Date())],
+      ['To', lease.tenant?.name],
+      ['Property', pdf.propertyLine(lease.property)],
+      ['Current lease ends', pdf.formatDate(lease.endDate)]
+    ]);
+    doc.font('Helvetica').fontSize(11).text(
+      'Your lease is coming to an end and we would like to offer you a new lease on the terms below. ' +
+      `Please accept or decline this offer from your account by ${pdf.formatDate(offer.respondBy)}.`
+    );
+    doc.moveDown();
+    pdf.details(doc, [
+      ['New lease term', `${pdf.formatDate(offer.startDate)} - ${pdf.formatDate(offer.endDate)}`],
+      ['Current rent', pdf.formatCurrency(rentOn(lease, lease.endDate), currency)],
+      ['Offered rent', pdf.formatCurrency(offer.monthlyRent, currency)],
+      ['Security deposit', pdf.formatCurrency(offer.securityDeposit, currency)]
+    ]);
+    if (offer.message) {
+      doc.font('Helvetica').fontSize(11).text(offer.message);
+      doc.moveDown();
+    }
+    doc.font('Helvetica').fontSize(11).text(
+      'If we do not hear from you by that date the offer lapses and your lease will end on its current end date.'
+    );
+    doc.moveDown(2);
+    doc.text(company);
+  });
+
+  offer.letter = { url, generatedAt: new Date() };
+  lease.documents.push({ name: `Renewal offer ${isoDate(offer.startDate)} - ${isoDate(offer.endDate)}`, url });
+  lease.depopulate('tenant').depopulate('property');
+};
+
+// Offer the tenant a new lease following their current one. Dates default to a year starting the
+// day after the lease ends, and the rent to what the lease will be charging by then.
+const createRenewalOffer = async (lease, { startDate, endDate, monthlyRent, securityDeposit, leaseTerms, respondBy, message, createdBy }) => {
+  if (lease.status !== 'active') {
+    throw new ServiceError('Only an active lease can be renewed');
+  }
+  if (await RenewalOffer.exists({ lease: lease._id, status: 'pending' })) {
+    throw new ServiceError('This lease already has a renewal offer awaiting an answer');
+  }
+
+  const leaseEnd = startOfDay(lease.endDate);
+  let start;
+  if (startDate) {
+    start = parseDate(startDate, 'startDate');
+  } else {
+    start = new Date(leaseEnd);
+    start.setDate(start.getDate() + 1);
+  }
+  if (start <= leaseEnd) {
+    throw new ServiceError('The renewal must start after the current lease ends');
+  }
+
+  let end;
+  if (endDate) {
+    end = parseDate(endDate, 'endDate');
+  } else {
+    end = new Date(start);
+    end.setFullYear(end.getFullYear() + 1);
+    end = dayBefore(end);
+  }
+  if (end <= start) {
+    throw new ServiceError('endDate must be after startDate');
+  }
+
+  const today = startOfDay(new Date());
+  let deadline;
+  if (respondBy) {
+    deadline = parseDate(respondBy, 'respondBy');
+  } else {
+    deadline = new Date(today);
+    deadline.setDate(deadline.getDate() + DEFAULT_RESPONSE_DAYS);
+    if (deadline > leaseEnd) deadline = leaseEnd;
+  }
+  if (deadline < today || deadline > leaseEnd) {
+    throw new ServiceError('respondBy must fall between today and the end of the current lease');
+  }
+
+  if (await findOverlap(lease, start, end)) {
+    throw new ServiceError('Property has another lease overlapping the renewal dates');
+  }
+
+  const offer = new RenewalOffer({
+    lease: lease._id,
+    tenant: lease.tenant,
+    property: lease.property,
+    startDate: start,
+    endDate: end,
+    monthlyRent: monthlyRent !== undefined && monthlyRent !== null && monthlyRent !== ''
+      ? monthlyRent
+      : rentOn(lease, leaseEnd),
+    securityDeposit: securityDeposit !== undefined && securityDeposit !== null && securityDeposit !== ''
+      ? securityDeposit
+      : lease.securityDeposit,
+    currency: lease.currency,
+    leaseTerms: leaseTerms || lease.leaseTerms,
+    respondBy: deadline,
+    message: message || '',
+    createdBy
+  });
+  await offer.validate();
+
+  await writeOfferLetter(offer, lease);
+  await offer.save();
+
+  lease.renewalNotice = { sent: true, sentDate: new Date(), response: 'pending' };
+  await lease.save();
+
+  return offer;
+};
+
+// Offers past their answer date lapse
+const expireRenewalOffers = async ({ asOf = new Date() } = {}) => {
+  const result = await RenewalOffer.updateMany(
+    { status: 'pending', respondBy: { $lt: startOfDay(asOf) } },
+    { status: 'expired' }
+  );
+  return { asOf: new Date(asOf), count: result.modifiedCount };
+};
+
+// Lease for an offer that is still open to an answer
+const openOffer = async (offer) => {
+  if (offer.status !== 'pending') {
+    throw new ServiceError(`This renewal offer has been ${offer.status}`);
+  }
+  if (offer.respondBy < startOfDay(new Date())) {
+    offer.status = 'expired';
+    await offer.save();
+    throw new ServiceError('This renewal offer has expired');
+  }
+
+  const lease = await Lease.findById(offer.lease);
+  if (!lease || lease.status !== 'active') {
+    throw new ServiceError('The lease this offer renews is no longer active');
+  }
+  return lease;
+};
+
+// Accepting creates the successor lease on the offered terms and marks the current one renewed.
+// The current lease keeps billing until it ends; the successor waits as pending, billing from its
+// own start date, and takes over the property once activated. The deposit held moves with it.
+const acceptRenewalOffer = async (offer, { respondedBy } = {}) => {
+  const lease = await openOffer(offer);
+
+  if (await findOverlap(lease, offer.startDate, offer.endDate)) {
+    throw new ServiceError('Property has another lease overlapping the renewal dates');
+  }
+
+  // Plain copies, so amounts come across as decimals and go back through the money setters
+  const current = lease.toObject();
+  const terms = {};
+  LEASE_TERMS_COPIED.forEach(field => { terms[field] = current[field]; });
+
+  const successor = new Lease({
+    ...terms,
+    property: lease.property,
+    tenant: lease.tenant,
+    startDate: offer.startDate,
+    endDate: offer.endDate,
+    monthlyRent: offer.monthlyRent,
+    securityDeposit: offer.securityDeposit,
+    leaseTerms: offer.leaseTerms,
+    additionalCharges: current.additionalCharges.map(({ description, amount, frequency }) => ({ description, amount, frequency })),
+    parties: (current.parties || []).map(({ user, role, share }) => ({ user, role, share })),
+    previousLease: lease._id,
+    status: 'pending'
+  });
+  await lifecycle.startLease(successor, { changedBy: respondedBy, reason: 'Renewal offer accepted' });
+  await deposits.transferDeposit(lease, successor, { postedBy: respondedBy });
+
+  lease.nextLease = successor._id;
+  lease.renewalNotice.response = 'renew';
+  await lifecycle.transitionLease(lease, 'renewed', { changedBy: respondedBy, reason: 'Renewal offer accepted' });
+
+  offer.status = 'accepted';
+  offer.successorLease = successor._id;
+  offer.response = { respondedAt: new Date(), respondedBy: respondedBy || null, reason: '' };
+  await offer.save();
+
+  return { offer, lease, successor };
+};
+
+// Declining starts the move-out: the lease is set to end on its end date and a move-out
+// inspection is booked for that day
+const declineRenewalOffer = async (offer, { reason, respondedBy } = {}) => {
+  const lease = await openOffer(offer);
+  const moveOutDate = startOfDay(lease.endDate);
+
+  const inspection = new Maintenance({
+    property: lease.property,
+    tenant: lease.tenant,
+    requestedBy: respondedBy || offer.createdBy,
+    title: 'Move-out inspection',
+    description: `Inspect the property at the end of the lease on ${isoDate(moveOutDate)}; the tenant declined the renewal offer.`,
+    category: 'other',
+    priority: 'medium',
+    scheduledDate: moveOutDate
+  });
+  await inspection.save();
+
+  lease.renewalNotice.response = 'terminate';
+  lease.moveOut = {
+    scheduledDate: moveOutDate,
+    noticeDate: new Date(),
+    reason: reason || 'Renewal offer declined',
+    inspection: inspection._id
+  };
+  await lease.save();
+
+  offer.status = 'declined';
+  offer.response = { respondedAt: new Date(), respondedBy: respondedBy || null, reason: reason || '' };
+  await offer.save();
+
+  return { offer, lease, inspection };
+};
+
+const withdrawRenewalOffer = async (offer) => {
+  if (offer.status !== 'pending') {
+    throw new ServiceError(`This renewal offer has been ${offer.status}`);
+  }
+  offer.status = 'withdrawn';
+  await offer.save();
+
+  await Lease.updateOne({ _id: offer.lease }, { 'renewalNotice.sent': false, 'renewalNotice.sentDate': null });
+  return offer;
+};
+
+module.exports = {
+  DEFAULT_RESPONSE_DAYS,
+  createRenewalOffer,
+  expireRenewalOffers,
+  acceptRenewalOffer,
+  declineRenewalOffer,
+  withdrawRenewalOffer
+};
@@ -0,0 +1,258 @@
+const Lease = require('../models/Lease');
+const Payment = require('../models/Payment');
+const pdf = require('./pdf');
+const { roundAmount } = require('./money');
+const { startOfDay, dayBefore } = require('./proration');
+const { ServiceError } = require('./errors');
+
+const COMPANY_NAME = process.env.COMPANY_NAME || 'Rental House Management';
+
+// Days before a rent change that the tenant's notice letter is produced
+const DEFAULT_NOTICE_DAYS = Number(process.env.RENT_NOTICE_DAYS) || 60;
+
+const STEP_TYPES = ['percentage', 'amount', 'fixed'];
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+const isoDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+const sortedSteps = (lease) => [...(lease.rentSchedule || [])]
+  .sort((a, b) => a.effectiveDate - b.effectiveDate);
+
+// Monthly rent in force on a date
+const rentOn = (lease, date) => {
+  const day = startOfDay(date);
+  let rent = lease.monthlyRent;
+  sortedSteps(lease).forEach(step => {
+    if (startOfDay(step.effectiveDate) <= day) rent = step.monthlyRent;
+  });
+  return rent;
+};
+
+const applyStep = (rent, step) => {
+  if (step.type === 'fixed') return roundAmount(step.amount);
+  if (step.type === 'amount') return roundAmount(rent + step.amount);
+  return roundAmount(rent * (1 + step.percentage / 100));
+};
+
+// Work out each step's rent from the one before it. Steps whose notice has already gone out
+// must keep the rent the tenant was told about.
+const recalculate = (lease) => {
+  let rent = lease.monthlyRent;
+  sortedSteps(lease).forEach(step => {
+    const monthlyRent = applyStep(rent, step);
+    if (step.notice?.generatedAt && monthlyRent !== step.monthlyRent) {
+      throw new ServiceError(`This would change the rent from ${isoDate(step.effectiveDate)}, which the tenant has already been notified of`);
+    }
+    if (monthlyRent < 0) {
+      throw new ServiceError('Rent cannot fall below zero');
+    }
+    step.monthlyRent = monthlyRent;
+    rent = monthlyRent;
+  });
+};
+
+// Start of the latest billing period already charged; rent steps can only begin after it
+const chargedThrough = async (lease) => {
+  const latest = await Payment.findOne({ lease: lease._id, recurringKey: 'rent', status: { $ne: 'void' } })
+    .sort({ dueDate: -1 })
+    .select('dueDate periodStart');
+  return latest ? startOfDay(latest.periodStart || latest.dueDate) : null;
+};
+
+// Steps described by a request: one on a date, or one on every anniversary of the lease start
+const buildRentSteps = (lease, { effectiveDate, type = 'percentage', percentage, amount, noticeDays, repeat, notes, createdBy }) => {
+  if (!STEP_TYPES.includes(type)) {
+    throw new ServiceError('type must be percentage, amount or fixed');
+  }
+  if (type === 'percentage' ? !Number.isFinite(Number(percentage)) : !Number.isFinite(Number(amount))) {
+    throw new ServiceError(type === 'percentage' ? 'percentage is required' : 'amount is required');
+  }
+  if (repeat && repeat !== 'anniversary') {
+    throw new ServiceError('repeat must be anniversary');
+  }
+  if (repeat && type === 'fixed') {
+    throw new ServiceError('A fixed rent cannot repeat; use a percentage or amount increase');
+  }
+  const notice = noticeDays === undefined || noticeDays === null || noticeDays === ''
+    ? DEFAULT_NOTICE_DAYS
+    : Number(noticeDays);
+  if (!Number.isInteger(notice) || notice < 0) {
+    throw new ServiceError('noticeDays must be a whole number of days');
+  }
+
+  const start = startOfDay(lease.startDate);
+  const end = startOfDay(lease.endDate);
+  const from = effectiveDate ? startOfDay(effectiveDate) : null;
+  if (from && isNaN(from)) {
+    throw new ServiceError('Invalid effectiveDate');
+  }
+
+  let dates;
+  if (repeat === 'anniversary') {
+    dates = [];
+    for (let years = 1; ; years++) {
+      const anniversary = new Date(start);
+      anniversary.setFullYear(start.getFullYear() + years);
+      if (anniversary > end) break;
+      if (!from || anniversary >= from) dates.push(anniversary);
+    }
+    if (dates.length === 0) {
+      throw new ServiceError('The lease term has no anniversaries to schedule');
+    }
+  } else {
+    if (!from) {
+      throw new ServiceError('effectiveDate is required');
+    }
+    dates = [from];
+  }
+
+  if (dates.some(date => date <= start || date > end)) {
+    throw new ServiceError('Rent steps must fall after the lease start date and within its term');
+  }
+
+  return dates.map(date => ({
+    effectiveDate: date,
+    type,
+    percentage: type === 'percentage' ? Number(percentage) : 0,
+    amount: type === 'percentage' ? 0 : Number(amount),
+    noticeDays: notice,
+    notes: notes || '',
+    createdBy: createdBy || null
+  }));
+};
+
+// Add rent steps to a lease, working out the rent each one sets
+const addRentSteps = async (lease, input) => {
+  const steps = buildRentSteps(lease, input);
+
+  const charged = await chargedThrough(lease);
+  if (charged && steps.some(step => step.effectiveDate <= charged)) {
+    throw new ServiceError(`Rent has already been charged for the period starting ${isoDate(charged)}; steps must start after it`);
+  }
+
+  const taken = new Set(lease.rentSchedule.map(step => startOfDay(step.effectiveDate).getTime()));
+  const clash = steps.find(step => taken.has(step.effectiveDate.getTime()));
+  if (clash) {
+    throw new ServiceError(`A rent step already starts on ${isoDate(clash.effectiveDate)}`);
+  }
+
+  // Placeholder rent until the chain is worked out
+  steps.forEach(step => lease.rentSchedule.push({ ...step, monthlyRent: 0 }));
+  const added = lease.rentSchedule.slice(-steps.length);
+  recalculate(lease);
+  await lease.save();
+
+  return added;
+};
+
+const removeRentStep = async (lease, stepId) => {
+  const step = lease.rentSchedule.id(stepId);
+  if (!step) {
+    throw new ServiceError('Rent step not found', 404);
+  }
+  const charged = await chargedThrough(lease);
+  if (charged && startOfDay(step.effectiveDate) <= charged) {
+    throw new ServiceError('Rent has already been charged at this step');
+  }
+  if (step.notice?.generatedAt) {
+    throw new ServiceError('The tenant has already been notified of this step');
+  }
+
+  lease.rentSchedule.pull(step._id);
+  recalculate(lease);
+  await lease.save();
+  return lease;
+};
+
+const describeChange = (step) => {
+  if (step.type === 'percentage') return `${step.percentage > 0 ? '+' : ''}${step.percentage}%`;
+  if (step.type === 'amount') return `${step.amount > 0 ? '+' : '-'}${pdf.formatCurrency(Math.abs(step.amount))}`;
+  return 'new rent';
+};
+
+// Notice letter for a rent step, written to /uploads/notices and kept with the lease documents.
+// The lease should have its tenant and property populated.
+const createRentNotice = async (lease, step) => {
+  const previousRent = rentOn(lease, dayBefore(step.effectiveDate));
+  const currency = lease.currency;
+  const title = step.monthlyRent > previousRent ? 'NOTICE OF RENT INCREASE' : 'NOTICE OF RENT CHANGE';
+
+  const url = await pdf.writePdf('notices', `rent-notice-${lease._id}-${isoDate(step.effectiveDate)}.pdf`, (doc) => {
+    pdf.heading(doc, title, lease.property?.company || COMPANY_NAME);
+    pdf.details(doc, [
+      ['Date', pdf.formatDate(new Date())],
+      ['To', lease.tenant?.name],
+      ['Property', pdf.propertyLine(lease.property)],
+      ['Lease term', `${pdf.formatDate(lease.startDate)} - ${pdf.formatDate(lease.endDate)}`]
+    ]);
+    doc.font('Helvetica').fontSize(11).text(
+      `This letter is notice that, under the terms of your lease, the monthly rent for the property above ` +
+      `will change from ${pdf.formatCurrency(previousRent, currency)} to ${pdf.formatCurrency(step.monthlyRent, currency)} ` +
+      `starting ${pdf.formatDate(step.effectiveDate)}. All other terms of your lease stay the same.`
+    );
+    doc.moveDown();
+    pdf.details(doc, [
+      ['Current rent', pdf.formatCurrency(previousRent, currency)],
+      ['Change', describeChange(step)],
+      ['New rent', pdf.formatCurrency(step.monthlyRent, currency)],
+      ['Effective from', pdf.formatDate(step.effectiveDate)]
+    ]);
+    doc.font('Helvetica').fontSize(11).text(
+      'Rent charged for billing periods starting on or after that date will be at the new amount. ' +
+      'Please contact us if you have any questions.'
+    );
+    doc.moveDown(2);
+    doc.text(lease.property?.company || COMPANY_NAME);
+  });
+
+  step.notice = { url, generatedAt: new Date() };
+  lease.documents.push({ name: `Rent notice effective ${isoDate(step.effectiveDate)}`, url });
+  await lease.save();
+  return step;
+};
+
+// Produce notice letters for rent steps whose notice period has started
+const generateRentNotices = async ({ asOf = new Date(), leaseId } = {}) => {
+  const today = startOfDay(asOf);
+  const query = {
+    status: { $in: ['active', 'pending', 'renewed'] },
+    rentSchedule: { $elemMatch: { effectiveDate: { $gt: today }, 'notice.generatedAt': null } }
+  };
+  if (leaseId) query._id = leaseId;
+
+  const leases = await Lease.find(query)
+    .populate('tenant', 'name email')
+    .populate('property', 'title address company');
+
+  const notices = [];
+  for (const lease of leases) {
+    for (const step of sortedSteps(lease)) {
+      const effective = startOfDay(step.effectiveDate);
+      const noticeDate = new Date(effective - step.noticeDays * DAY_MS);
+      if (step.notice?.generatedAt || effective <= today || noticeDate > today) continue;
+
+      await createRentNotice(lease, step);
+      notices.push({
+        lease: lease._id,
+        tenant: lease.tenant?._id,
+        step: step._id,
+        effectiveDate: step.effectiveDate,
+        monthlyRent: step.monthlyRent,
+        url: step.notice.url
+      });
+    }
+  }
+
+  return { asOf: today, count: notices.length, notices };
+};
+
+module.exports = {
+  DEFAULT_NOTICE_DAYS,
+  rentOn,
+  buildRentSteps,
+  addRentSteps,
+  removeRentStep,
+  createRentNotice,
+  generateRentNotices
+};
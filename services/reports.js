@@ -0,0 +1,571 @@
+const Property = require('../models/Property');
+const Lease = require('../models/Lease');
+const Deposit = require('../models/Deposit');
+const LedgerEntry = require('../models/LedgerEntry');
+const Expense = require('../models/Expense');
+const Payment = require('../models/Payment');
+const pdf = require('./pdf');
+const { toCsv } = require('./csv');
+const { collectionsByProperty } = require('./ownerStatements');
+const { NON_OPERATING_CATEGORIES } = require('./expenses');
+const { ServiceError } = require('./errors');
+const { roundAmount, sumAmounts, fromMinorTotals } = require('./money');
+const { DEFAULT_CURRENCY, normalizeCurrency, createConverter } = require('./currency');
+
+const EXPENSE_CATEGORIES = Expense.schema.path('category').enumValues;
+
+// Ledger income accounts and the P&L line each one feeds
+const INCOME_LINES = {
+  rental_income: 'rent',
+  fee_income: 'fees',
+  utility_income: 'utilities',
+  maintenance_income: 'maintenance',
+  other_income: 'other'
+};
+
+const INCOME_LABELS = {
+  rent: 'Rent',
+  fees: 'Fees',
+  utilities: 'Utilities',
+  maintenance: 'Maintenance recharges',
+  other: 'Other income'
+};
+
+const labelFor = (key) => key.replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+
+const isoDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '');
+
+// End of a report period; a bare YYYY-MM-DD date covers the whole day
+const parseEndDate = (value) => {
+  const date = value ? new Date(value) : new Date();
+  if (isNaN(date)) {
+    throw new ServiceError('Invalid date');
+  }
+  if (value && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date;
+};
+
+// Report period, defaulting to the year to date
+const parseRange = ({ from, to }) => {
+  const end = parseEndDate(to);
+  const start = from ? new Date(from) : new Date(end.getFullYear(), 0, 1);
+  if (isNaN(start)) {
+    throw new ServiceError('Invalid date');
+  }
+  if (start > end) {
+    throw new ServiceError('from must be before to');
+  }
+  return { start, end };
+};
+
+// Sum a field over rows that are each in their own currency, converted into the report currency
+const sumConvertedRows = async (rows, field, convert) => {
+  const amounts = [];
+  for (const row of rows) {
+    amounts.push(await convert(row[field], row.currency));
+  }
+  return sumAmounts(amounts);
+};
+
+// Properties a report covers: optionally one property, one company or one owner
+const propertyFilter = ({ scope = {}, propertyId, company, ownerId }) => {
+  const query = { ...scope };
+  if (propertyId) query._id = propertyId;
+  if (company) query.company = company;
+  if (ownerId) query.owner = ownerId;
+  return query;
+};
+
+// Every rental unit with the lease in force on a date, its rent and the balance on the lease then.
+// Units are in their own currency; totals are converted into the report currency at that date.
+const rentRoll = async ({ asOf, currency, ...filters } = {}) => {
+  const date = parseEndDate(asOf);
+  const reportCurrency = normalizeCurrency(currency);
+  const convert = createConverter(reportCurrency, date);
+
+  const properties = await Property.find({ ...propertyFilter(filters), type: 'rent', isActive: true })
+    .select('title address company rentAmount currency')
+    .sort({ company: 1, title: 1 });
+  const propertyIds = properties.map(p => p._id);
+
+  const leases = await Lease.find({
+    property: { $in: propertyIds },
+    status: { $ne: 'pending' },
+    startDate: { $lte: date },
+    $or: [
+      { terminationDate: { $gte: date } },
+      { terminationDate: null, endDate: { $gte: date } }
+    ]
+  }).populate('tenant', 'name email phone');
+
+  // Balance owed on each unit's lease, whichever of its tenants the entries were posted to
+  const leaseIds = leases.map(l => l._id);
+  const balances = await LedgerEntry.aggregate([
+    { $match: { lease: { $in: leaseIds }, effectiveDate: { $lte: date } } },
+    { $group: { _id: '$lease', balance: { $sum: '$amount' } } }
+  ]).then(rows => fromMinorTotals(rows, ['balance']));
+  const deposits = await Deposit.find({ lease: { $in: leaseIds } }).select('lease amountCollected');
+
+  const rows = properties.map(property => {
+    const lease = leases.find(l => l.property.toString() === property._id.toString());
+    const balance = lease && balances.find(b => b._id.toString() === lease._id.toString());
+    const deposit = lease && deposits.find(d => d.lease.toString() === lease._id.toString());
+
+    return {
+      property: property._id,
+      title: property.title,
+      address: property.address ? `${property.address.street}, ${property.address.city}` : '',
+      company: property.company,
+      currency: property.currency || DEFAULT_CURRENCY,
+      occupied: Boolean(lease),
+      lease: lease?._id || null,
+      tenant: lease?.tenant ? { _id: lease.tenant._id, name: lease.tenant.name, email: lease.tenant.email } : null,
+      startDate: lease?.startDate || null,
+      endDate: lease ? lease.terminationDate || lease.endDate : null,
+      marketRent: property.rentAmount,
+      monthlyRent: lease?.monthlyRent || 0,
+      depositHeld: roundAmount(deposit?.amountCollected || 0),
+      balance: roundAmount(balance?.balance || 0)
+    };
+  });
+
+  const occupied = rows.filter(r => r.occupied).length;
+
+  return {
+    asOf: date,
+    currency: reportCurrency,
+    units: rows,
+    totals: {
+      units: rows.length,
+      occupied,
+      vacant: rows.length - occupied,
+      occupancyRate: rows.length ? roundAmount(occupied / rows.length * 100) : 0,
+      marketRent: await sumConvertedRows(rows, 'marketRent', convert),
+      monthlyRent: await sumConvertedRows(rows, 'monthlyRent', convert),
+      depositsHeld: await sumConvertedRows(rows, 'depositHeld', convert),
+      balance: await sumConvertedRows(rows, 'balance', convert)
+    }
+  };
+};
+
+const emptyIncome = () => Object.keys(INCOME_LABELS).reduce((obj, key) => ({ ...obj, [key]: 0 }), {});
+
+// Income per property for a period: accrual basis reads the income accounts in the ledger,
+// cash basis reads the money actually collected
+const incomeByProperty = async (propertyIds, start, end, basis) => {
+  const income = new Map(propertyIds.map(id => [id.toString(), emptyIncome()]));
+
+  if (basis === 'cash') {
+    const collections = await collectionsByProperty(propertyIds, start, end);
+    collections.forEach((collected, id) => {
+      const row = income.get(id);
+      row.rent = collected.rent;
+      row.other = collected.other;
+    });
+    return income;
+  }
+
+  const totals = await LedgerEntry.aggregate([
+    { $match: { property: { $in: propertyIds }, effectiveDate: { $gte: start, $lte: end } } },
+    { $unwind: '$lines' },
+    { $match: { 'lines.account': { $in: Object.keys(INCOME_LINES) } } },
+    {
+      $group: {
+        _id: { property: '$property', account: '$lines.account' },
+        credit: { $sum: '$lines.credit' },
+        debit: { $sum: '$lines.debit' }
+      }
+    }
+  ]).then(rows => fromMinorTotals(rows, ['credit', 'debit']));
+
+  totals.forEach(total => {
+    const row = income.get(total._id.property.toString());
+    if (row) row[INCOME_LINES[total._id.account]] += total.credit - total.debit;
+  });
+  return income;
+};
+
+const GROUP_BY = ['property', 'company', 'portfolio'];
+
+// Profit and loss over a period, by property, by company or for the whole portfolio. Each
+// property's figures are converted into the report currency at the end of the period.
+const profitAndLoss = async ({ from, to, groupBy = 'property', basis = 'accrual', currency, ...filters } = {}) => {
+  if (!GROUP_BY.includes(groupBy)) {
+    throw new ServiceError('groupBy must be property, company or portfolio');
+  }
+  if (!['accrual', 'cash'].includes(basis)) {
+    throw new ServiceError('basis must be accrual or cash');
+  }
+  const { start, end } = parseRange({ from, to });
+  const reportCurrency = normalizeCurrency(currency);
+  const convert = createConverter(reportCurrency, end);
+
+  const properties = await Property.find(propertyFilter(filters)).select('title company currency').sort({ title: 1 });
+  const propertyIds = properties.map(p => p._id);
+
+  const income = await incomeByProperty(propertyIds, start, end, basis);
+  const expenseTotals = await Expense.aggregate([
+    { $match: { property: { $in: propertyIds }, status: { $ne: 'void' }, date: { $gte: start, $lte: end } } },
+    { $group: { _id: { property: '$property', category: '$category' }, total: { $sum: '$amount' } } }
+  ]).then(rows => fromMinorTotals(rows));
+
+  const groupKey = (property) => {
+    if (groupBy === 'portfolio') return { key: 'portfolio', label: 'Portfolio' };
+    if (groupBy === 'company') return { key: property.company || '', label: property.company || 'No company' };
+    return { key: property._id.toString(), label: property.title };
+  };
+
+  const groups = new Map();
+  for (const property of properties) {
+    const { key, label } = groupKey(property);
+    if (!groups.has(key)) {
+      groups.set(key, { key, label, properties: [], income: emptyIncome(), expenses: {} });
+    }
+    const group = groups.get(key);
+    group.properties.push(property._id);
+    const propertyCurrency = property.currency || DEFAULT_CURRENCY;
+
+    const propertyIncome = income.get(property._id.toString());
+    for (const line of Object.keys(group.income)) {
+      group.income[line] = roundAmount(group.income[line] + await convert(propertyIncome[line], propertyCurrency));
+    }
+
+    const propertyExpenses = expenseTotals.filter(e => e._id.property.toString() === property._id.toString());
+    for (const e of propertyExpenses) {
+      group.expenses[e._id.category] = roundAmount((group.expenses[e._id.category] || 0) + await convert(e.total, propertyCurrency));
+    }
+  }
+
+  const summarize = (group) => {
+    const totalIncome = sumAmounts(Object.values(group.income));
+    const operatingExpenses = sumAmounts(Object.entries(group.expenses)
+      .filter(([category]) => !NON_OPERATING_CATEGORIES.includes(category))
+      .map(([, v]) => v));
+    const debtService = sumAmounts(NON_OPERATING_CATEGORIES.map(c => group.expenses[c] || 0));
+    const netOperatingIncome = roundAmount(totalIncome - operatingExpenses);
+
+    return {
+      ...group,
+      totalIncome,
+      operatingExpenses,
+      netOperatingIncome,
+      debtService,
+      netIncome: roundAmount(netOperatingIncome - debtService)
+    };
+  };
+
+  const rows = Array.from(groups.values()).map(summarize);
+  const sum = (field) => sumAmounts(rows.map(row => row[field]));
+
+  return {
+    from: start,
+    to: end,
+    groupBy,
+    basis,
+    currency: reportCurrency,
+    groups: rows,
+    totals: {
+      totalIncome: sum('totalIncome'),
+      operatingExpenses: sum('operatingExpenses'),
+      netOperatingIncome: sum('netOperatingIncome'),
+      debtService: sum('debtService'),
+      netIncome: sum('netIncome')
+    }
+  };
+};
+
+// Aging buckets, by days past the due date
+const AGING_BUCKETS = [
+  { key: 'current', label: 'Current', maxDays: 0 },
+  { key: 'days1to30', label: '1-30', maxDays: 30 },
+  { key: 'days31to60', label: '31-60', maxDays: 60 },
+  { key: 'days61to90', label: '61-90', maxDays: 90 },
+  { key: 'over90', label: '90+', maxDays: Infinity }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const emptyBuckets = () => AGING_BUCKETS.reduce((obj, bucket) => ({ ...obj, [bucket.key]: 0 }), {});
+
+const bucketFor = (daysPastDue) => AGING_BUCKETS.find(bucket => daysPastDue <= bucket.maxDays).key;
+
+// Oldest debt first, so collections can work down the list
+const byOldestBalance = (a, b) => {
+  for (let i = AGING_BUCKETS.length - 1; i >= 0; i--) {
+    const key = AGING_BUCKETS[i].key;
+    if (a.buckets[key] !== b.buckets[key]) return b.buckets[key] - a.buckets[key];
+  }
+  return 0;
+};
+
+// Balance owed on each charge on a date, from its ledger entries: the charge once it was raised,
+// then payments, refunds and adjustments dated on or before the date
+const chargeBalancesOn = async (propertyIds, date) => {
+  const rows = await LedgerEntry.aggregate([
+    {
+      $match: {
+        property: { $in: propertyIds },
+        payment: { $ne: null },
+        $or: [
+          { entryType: 'charge', createdAt: { $lte: date } },
+          { entryType: { $ne: 'charge' }, effectiveDate: { $lte: date } }
+        ]
+      }
+    },
+    { $group: { _id: '$payment', balance: { $sum: '$amount' } } },
+    { $match: { balance: { $gt: 0 } } }
+  ]).then(result => fromMinorTotals(result, ['balance']));
+  return new Map(rows.map(row => [row._id.toString(), row.balance]));
+};
+
+// Outstanding balances on charges billed by a date, as they stood then, bucketed by age per
+// tenant, per property and overall. Charges are listed in their own currency; the bucket totals
+// are converted into the report currency at that date.
+const agingReport = async ({ asOf, tenantId, currency, ...filters } = {}) => {
+  const date = parseEndDate(asOf);
+  const reportCurrency = normalizeCurrency(currency);
+  const convert = createConverter(reportCurrency, date);
+
+  const properties = await Property.find(propertyFilter(filters)).select('title company');
+  const balances = await chargeBalancesOn(properties.map(p => p._id), date);
+
+  const query = { _id: { $in: Array.from(balances.keys()) } };
+  if (tenantId) query.tenant = tenantId;
+
+  const charges = await Payment.find(query)
+    .populate('tenant', 'name email phone')
+    .select('tenant property lease amount currency paidAmount dueDate paymentType description invoiceNumber status')
+    .sort({ dueDate: 1 });
+
+  const tenants = new Map();
+  const propertyRows = new Map(properties.map(p => [p._id.toString(), {
+    property: p._id,
+    title: p.title,
+    company: p.company,
+    tenants: new Set(),
+    buckets: emptyBuckets(),
+    total: 0
+  }]));
+  const totals = { buckets: emptyBuckets(), total: 0, charges: 0 };
+
+  for (const charge of charges) {
+    const balance = balances.get(charge._id.toString());
+    const chargeCurrency = charge.currency || DEFAULT_CURRENCY;
+    const converted = await convert(balance, chargeCurrency);
+
+    const daysPastDue = Math.max(Math.floor((date - charge.dueDate) / DAY_MS), 0);
+    const bucket = bucketFor(daysPastDue);
+    const tenantKey = charge.tenant?._id.toString() || 'none';
+    const propertyRow = propertyRows.get(charge.property.toString());
+
+    if (!tenants.has(tenantKey)) {
+      tenants.set(tenantKey, {
+        tenant: charge.tenant ? { _id: charge.tenant._id, name: charge.tenant.name, email: charge.tenant.email, phone: charge.tenant.phone } : null,
+        buckets: emptyBuckets(),
+        total: 0,
+        oldestDueDate: charge.dueDate,
+        charges: []
+      });
+    }
+    const tenantRow = tenants.get(tenantKey);
+    tenantRow.charges.push({
+      payment: charge._id,
+      property: charge.property,
+      propertyTitle: propertyRow.title,
+      lease: charge.lease,
+      paymentType: charge.paymentType,
+      description: charge.description,
+      invoiceNumber: charge.invoiceNumber,
+      dueDate: charge.dueDate,
+      amount: charge.amount,
+      currency: chargeCurrency,
+      balance,
+      daysPastDue,
+      bucket
+    });
+
+    [tenantRow, propertyRow, totals].forEach(row => {
+      row.buckets[bucket] = roundAmount(row.buckets[bucket] + converted);
+      row.total = roundAmount(row.total + converted);
+    });
+    propertyRow.tenants.add(tenantKey);
+    totals.charges += 1;
+  }
+
+  return {
+    asOf: date,
+    currency: reportCurrency,
+    buckets: AGING_BUCKETS.map(({ key, label }) => ({ key, label })),
+    tenants: Array.from(tenants.values()).sort(byOldestBalance),
+    properties: Array.from(propertyRows.values())
+      .filter(row => row.total > 0)
+      .map(({ tenants: tenantKeys, ...row }) => ({ ...row, tenantCount: tenantKeys.size }))
+      .sort(byOldestBalance),
+    totals
+  };
+};
+
+const money = (value) => (value || 0).toFixed(2);
+
+const rentRollToCsv = (report) => toCsv([
+  ['Property', 'Address', 'Company', 'Status', 'Tenant', 'Lease start', 'Lease end', 'Currency', 'Market rent', 'Monthly rent', 'Deposit held', 'Balance'],
+  ...report.units.map(u => [
+    u.title,
+    u.address,
+    u.company,
+    u.occupied ? 'Occupied' : 'Vacant',
+    u.tenant?.name || '',
+    isoDate(u.startDate),
+    isoDate(u.endDate),
+    u.currency,
+    money(u.marketRent),
+    money(u.monthlyRent),
+    money(u.depositHeld),
+    money(u.balance)
+  ]),
+  ['Total', '', '', `${report.totals.occupied}/${report.totals.units} occupied`, '', '', '', report.currency,
+    money(report.totals.marketRent), money(report.totals.monthlyRent), money(report.totals.depositsHeld), money(report.totals.balance)]
+]);
+
+const renderRentRollPdf = (doc, report) => {
+  pdf.heading(doc, 'RENT ROLL', `As of ${pdf.formatDate(report.asOf)}`);
+  pdf.table(doc, [
+    { header: 'Property', width: 110 },
+    { header: 'Tenant', width: 90 },
+    { header: 'Lease', width: 110 },
+    { header: 'Rent', width: 65, align: 'right' },
+    { header: 'Deposit', width: 65, align: 'right' },
+    { header: 'Balance', width: 72, align: 'right' }
+  ], report.units.map(u => [
+    u.title,
+    u.tenant?.name || 'Vacant',
+    u.occupied ? `${isoDate(u.startDate)} - ${isoDate(u.endDate)}` : '',
+    pdf.formatCurrency(u.monthlyRent, u.currency),
+    pdf.formatCurrency(u.depositHeld, u.currency),
+    pdf.formatCurrency(u.balance, u.currency)
+  ]));
+  pdf.details(doc, [
+    ['Units', report.totals.units],
+    ['Occupancy', `${report.totals.occupied} occupied, ${report.totals.vacant} vacant (${report.totals.occupancyRate}%)`],
+    ['Scheduled rent', pdf.formatCurrency(report.totals.monthlyRent, report.currency)],
+    ['Deposits held', pdf.formatCurrency(report.totals.depositsHeld, report.currency)],
+    ['Outstanding balances', pdf.formatCurrency(report.totals.balance, report.currency)]
+  ]);
+};
+
+const profitAndLossToCsv = (report) => toCsv([
+  [
+    'Group',
+    'Currency',
+    ...Object.values(INCOME_LABELS),
+    'Total income',
+    ...EXPENSE_CATEGORIES.map(labelFor),
+    'Operating expenses',
+    'Net operating income',
+    'Debt service',
+    'Net income'
+  ],
+  ...report.groups.map(g => [
+    g.label,
+    report.currency,
+    ...Object.keys(INCOME_LABELS).map(line => money(g.income[line])),
+    money(g.totalIncome),
+    ...EXPENSE_CATEGORIES.map(category => money(g.expenses[category])),
+    money(g.operatingExpenses),
+    money(g.netOperatingIncome),
+    money(g.debtService),
+    money(g.netIncome)
+  ])
+]);
+
+const renderProfitAndLossPdf = (doc, report) => {
+  pdf.heading(doc, 'PROFIT AND LOSS',
+    `${pdf.formatDate(report.from)} - ${pdf.formatDate(report.to)} (${report.basis} basis)`);
+
+  report.groups.forEach(group => {
+    doc.font('Helvetica-Bold').fontSize(12).text(group.label);
+    doc.moveDown(0.5);
+    const rows = [
+      ...Object.keys(INCOME_LABELS)
+        .filter(line => group.income[line])
+        .map(line => [INCOME_LABELS[line], pdf.formatCurrency(group.income[line], report.currency)]),
+      ['Total income', pdf.formatCurrency(group.totalIncome, report.currency)],
+      ...Object.keys(group.expenses)
+        .filter(category => !NON_OPERATING_CATEGORIES.includes(category))
+        .map(category => [labelFor(category), `(${pdf.formatCurrency(group.expenses[category], report.currency)})`]),
+      ['Net operating income', pdf.formatCurrency(group.netOperatingIncome, report.currency)],
+      ['Debt service', `(${pdf.formatCurrency(group.debtService, report.currency)})`],
+      ['Net income', pdf.formatCurrency(group.netIncome, report.currency)]
+    ];
+    pdf.table(doc, [
+      { header: 'Item', width: 300 },
+      { header: 'Amount', width: 120, align: 'right' }
+    ], rows);
+  });
+
+  if (report.groups.length > 1) {
+    pdf.details(doc, [
+      ['Total income', pdf.formatCurrency(report.totals.totalIncome, report.currency)],
+      ['Operating expenses', pdf.formatCurrency(report.totals.operatingExpenses, report.currency)],
+      ['Net operating income', pdf.formatCurrency(report.totals.netOperatingIncome, report.currency)],
+      ['Net income', pdf.formatCurrency(report.totals.netIncome, report.currency)]
+    ]);
+  }
+};
+
+const agingToCsv = (report) => {
+  const bucketCells = (row) => AGING_BUCKETS.map(bucket => money(row.buckets[bucket.key]));
+  return toCsv([
+    ['Level', 'Name', 'Property', 'Invoice', 'Due date', 'Days past due', 'Currency', ...AGING_BUCKETS.map(b => b.label), 'Total'],
+    ...report.tenants.flatMap(row => [
+      ['Tenant', row.tenant?.name || 'No tenant', '', '', isoDate(row.oldestDueDate), '', report.currency, ...bucketCells(row), money(row.total)],
+      ...row.charges.map(charge => [
+        'Charge',
+        charge.description || charge.paymentType,
+        charge.propertyTitle,
+        charge.invoiceNumber || '',
+        isoDate(charge.dueDate),
+        charge.daysPastDue,
+        charge.currency,
+        ...AGING_BUCKETS.map(bucket => money(bucket.key === charge.bucket ? charge.balance : 0)),
+        money(charge.balance)
+      ])
+    ]),
+    ...report.properties.map(row => ['Property', row.title, '', '', '', '', report.currency, ...bucketCells(row), money(row.total)]),
+    ['Portfolio', 'Total', '', '', '', '', report.currency, ...bucketCells(report.totals), money(report.totals.total)]
+  ]);
+};
+
+const renderAgingPdf = (doc, report) => {
+  const columns = (first) => [
+    { header: first, width: 132 },
+    ...AGING_BUCKETS.map(bucket => ({ header: bucket.label, width: 62, align: 'right' })),
+    { header: 'Total', width: 70, align: 'right' }
+  ];
+  const cells = (row) => [
+    ...AGING_BUCKETS.map(bucket => pdf.formatCurrency(row.buckets[bucket.key], report.currency)),
+    pdf.formatCurrency(row.total, report.currency)
+  ];
+
+  pdf.heading(doc, 'ACCOUNTS RECEIVABLE AGING', `As of ${pdf.formatDate(report.asOf)}`);
+  pdf.table(doc, columns('Tenant'), report.tenants.map(row => [row.tenant?.name || 'No tenant', ...cells(row)]));
+  pdf.table(doc, columns('Property'), report.properties.map(row => [row.title, ...cells(row)]));
+  pdf.table(doc, columns(''), [['Portfolio', ...cells(report.totals)]]);
+};
+
+module.exports = {
+  parseEndDate,
+  parseRange,
+  propertyFilter,
+  rentRoll,
+  profitAndLoss,
+  agingReport,
+  rentRollToCsv,
+  renderRentRollPdf,
+  profitAndLossToCsv,
+  renderProfitAndLossPdf,
+  agingToCsv,
+  renderAgingPdf
+};
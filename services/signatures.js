@@ -0,0 +1,419 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+const Lease = require('../models/Lease');
+const Property = require('../models/Property');
+const User = require('../models/User');
+const SignatureRequest = require('../models/SignatureRequest');
+const pdf = require('./pdf');
+const lifecycle = require('./leaseLifecycle');
+const leaseParties = require('./leaseParties');
+const { startOfDay } = require('./proration');
+const { ServiceError } = require('./errors');
+
+// Days a signing link stays valid
+const LINK_DAYS = Number(process.env.SIGNATURE_LINK_DAYS) || 14;
+
+// Where signing links point; set it to the frontend's signing page to sign there instead of the API
+const SIGNING_URL = process.env.SIGNING_URL || '/api/signatures/sign';
+
+const CONSENT_TEXT = 'I agree to sign this document electronically and that my electronic signature ' +
+  'has the same effect as a handwritten signature.';
+
+// Small enough that the base64 image fits in the default JSON body limit
+const MAX_SIGNATURE_BYTES = 64 * 1024;
+const PNG_HEADER = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+const fileHash = (url) => {
+  const file = pdf.pathForUrl(url);
+  if (!fs.existsSync(file)) {
+    throw new ServiceError('The document file is missing', 404);
+  }
+  return sha256(fs.readFileSync(file));
+};
+
+// Write a file under /uploads/<folder>, named like the generated PDFs, and return its url
+const saveUpload = (folder, filename, data) => {
+  const url = `/uploads/${folder}/${pdf.privateFilename(filename)}`;
+  const file = pdf.pathForUrl(url);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, data);
+  return url;
+};
+
+// Give a signer a fresh link; only the hash is stored, so the url must be passed on now
+const issueLink = (signer) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  signer.tokenHash = sha256(token);
+  return {
+    signer: signer._id,
+    role: signer.role,
+    name: signer.name,
+    email: signer.email,
+    url: `${SIGNING_URL}/${token}`
+  };
+};
+
+// Latest agreement generated from a template that is not itself a signed copy
+const latestAgreement = (lease) => [...lease.documents]
+  .reverse()
+  .find(doc => doc.template && !doc.signatureRequest);
+
+// Everyone on the lease, and the property's manager signing for the landlord
+const defaultSigners = async (lease) => {
+  const parties = leaseParties.partiesOf(lease);
+  const users = await User.find({ _id: { $in: parties.map(p => p.user) } }).select('name email');
+  const property = await Property.findById(lease.property).select('managedBy');
+  const manager = property ? await User.findById(property.managedBy).select('name email') : null;
+
+  const signers = [];
+  parties.forEach(party => {
+    const user = users.find(u => u._id.toString() === party.user.toString());
+    if (!user) return;
+    const role = party.role === 'guarantor' ? 'guarantor' : 'tenant';
+    signers.push({ role, name: user.name, email: user.email, user: user._id });
+  });
+  if (manager) signers.push({ role: 'landlord', name: manager.name, email: manager.email, user: manager._id });
+  return signers;
+};
+
+// Send a lease document out for signature. Returns the request and one signing link per signer.
+const createSignatureRequest = async (lease, { documentId, signers, expiresInDays, createdBy }) => {
+  if (!['pending', 'active'].includes(lease.status)) {
+    throw new ServiceError('Only a pending or active lease can be sent for signature');
+  }
+  if (await SignatureRequest.exists({ lease: lease._id, status: 'pending' })) {
+    throw new ServiceError('This lease already has a signature request in progress; cancel it first');
+  }
+
+  const document = documentId ? lease.documents.id(documentId) : latestAgreement(lease);
+  if (!document) {
+    throw new ServiceError(documentId ? 'Lease document not found' : 'Generate the lease agreement before sending it for signature', 404);
+  }
+  if (!/\.pdf$/i.test(document.url || '')) {
+    throw new ServiceError('Only PDF documents can be signed');
+  }
+
+  const parties = signers && signers.length > 0
+    ? signers.map(({ role, name, email, userId }) => ({ role, name, email, user: userId || null }))
+    : await defaultSigners(lease);
+  if (!parties.some(signer => signer.role === 'tenant')) {
+    throw new ServiceError('At least one tenant must sign the lease');
+  }
+
+  const days = expiresInDays ? Number(expiresInDays) : LINK_DAYS;
+  if (!Number.isInteger(days) || days < 1) {
+    throw new ServiceError('expiresInDays must be a whole number of days');
+  }
+  const expiresAt = new Date();
+  expiresAt.setDate(expiresAt.getDate() + days);
+
+  const request = new SignatureRequest({
+    lease: lease._id,
+    document: {
+      name: document.name,
+      url: document.url,
+      template: document.template,
+      templateVersion: document.templateVersion,
+      sha256: fileHash(document.url)
+    },
+    expiresAt,
+    createdBy
+  });
+  parties.forEach(party => request.signers.push({ ...party, tokenHash: 'pending' }));
+  const links = request.signers.map(issueLink);
+  await request.save();
+
+  if (!lease.signatureRequired) {
+    lease.signatureRequired = true;
+    await lease.save();
+  }
+
+  return { request, links };
+};
+
+// New link for a signer who lost theirs; the old one stops working
+const reissueLink = async (request, signerId) => {
+  if (request.status !== 'pending') {
+    throw new ServiceError(`Signature request is ${request.status}`);
+  }
+  const signer = request.signers.id(signerId);
+  if (!signer) {
+    throw new ServiceError('Signer not found', 404);
+  }
+  if (signer.status !== 'pending') {
+    throw new ServiceError(`Signer has already ${signer.status}`);
+  }
+
+  const link = issueLink(signer);
+  await request.save();
+  return link;
+};
+
+// The open request and signer a signing link belongs to
+const findByToken = async (token) => {
+  const tokenHash = sha256(String(token || ''));
+  const request = await SignatureRequest.findOne({ 'signers.tokenHash': tokenHash }).select('+signers.tokenHash');
+  const signer = request && request.signers.find(s => s.tokenHash === tokenHash);
+  if (!signer) {
+    throw new ServiceError('Signing link is not valid', 404);
+  }
+
+  if (request.status === 'pending' && request.expiresAt < new Date()) {
+    request.status = 'expired';
+    await request.save();
+  }
+  return { request, signer };
+};
+
+const assertOpen = (request, signer) => {
+  if (request.status !== 'pending') {
+    throw new ServiceError(`This signature request is ${request.status}`);
+  }
+  if (signer.status !== 'pending') {
+    throw new ServiceError(`You have already ${signer.status} this document`);
+  }
+};
+
+// What a signer sees when they open their link
+const openSigningLink = async (token) => {
+  const { request, signer } = await findByToken(token);
+  if (!signer.viewedAt && request.status === 'pending') {
+    signer.viewedAt = new Date();
+    await request.save();
+  }
+
+  return {
+    request: request._id,
+    status: request.status,
+    expiresAt: request.expiresAt,
+    document: { name: request.document.name, url: request.document.url, sha256: request.document.sha256 },
+    signer: { _id: signer._id, name: signer.name, role: signer.role, status: signer.status },
+    signers: request.signers.map(s => ({ name: s.name, role: s.role, status: s.status })),
+    consent: CONSENT_TEXT
+  };
+};
+
+// PNG bytes from a data URL, checked before they are stored
+const decodeSignatureImage = (dataUrl) => {
+  const match = /^data:image\/png;base64,([A-Za-z0-9+/=]+)$/.exec(String(dataUrl || ''));
+  if (!match) {
+    throw new ServiceError('A drawn signature must be a PNG data URL');
+  }
+  const bytes = Buffer.from(match[1], 'base64');
+  if (bytes.length > MAX_SIGNATURE_BYTES || !bytes.subarray(0, 8).equals(PNG_HEADER)) {
+    throw new ServiceError('Drawn signature image is not a valid PNG under 64KB');
+  }
+  return bytes;
+};
+
+// pdf-lib's standard fonts only cover Latin-1
+const latin1 = (text) => String(text || '').replace(/[^\x20-\x7E\xA0-\xFF]/g, '?');
+
+// Copy of the signed document with a certificate page listing each signature and its evidence
+const buildSignedPdf = async (request) => {
+  const original = fs.readFileSync(pdf.pathForUrl(request.document.url));
+  const doc = await PDFDocument.load(original);
+  const regular = await doc.embedFont(StandardFonts.Helvetica);
+  const bold = await doc.embedFont(StandardFonts.HelveticaBold);
+  const script = await doc.embedFont(StandardFonts.TimesRomanItalic);
+
+  const margin = 50;
+  let page;
+  let y;
+  const newPage = () => {
+    page = doc.addPage([612, 792]);
+    y = 792 - margin;
+  };
+  const line = (text, { font = regular, size = 9, gap = 4, color = rgb(0, 0, 0) } = {}) => {
+    if (y - size < margin) newPage();
+    page.drawText(latin1(text), { x: margin, y: y - size, size, font, color, maxWidth: 512 });
+    y -= size + gap;
+  };
+
+  newPage();
+  line('CERTIFICATE OF ELECTRONIC SIGNATURE', { font: bold, size: 16, gap: 10 });
+  line(`Document: ${request.document.name}`);
+  line(`Signature request: ${request._id}`);
+  line(`Original document SHA-256: ${request.document.sha256}`);
+  line(`Sent: ${request.createdAt.toISOString()}`);
+  line(`Completed: ${request.completedAt.toISOString()}`, { gap: 14 });
+
+  for (const signer of request.signers) {
+    if (y - 150 < margin) newPage();
+    line(`${signer.name} (${signer.role})`, { font: bold, size: 11 });
+    if (signer.email) line(`Email: ${signer.email}`);
+
+    if (signer.signature.type === 'drawn' && signer.signature.imageUrl) {
+      const image = await doc.embedPng(fs.readFileSync(pdf.pathForUrl(signer.signature.imageUrl)));
+      const scaled = image.scaleToFit(200, 60);
+      page.drawImage(image, { x: margin, y: y - scaled.height, width: scaled.width, height: scaled.height });
+      y -= scaled.height + 4;
+    } else {
+      line(signer.signature.text, { font: script, size: 20, gap: 6 });
+    }
+    page.drawLine({ start: { x: margin, y }, end: { x: margin + 220, y }, thickness: 0.5, color: rgb(0.4, 0.4, 0.4) });
+    y -= 8;
+
+    line(`Signature type: ${signer.signature.type}`);
+    line(`Signed at: ${signer.evidence.signedAt.toISOString()}`);
+    line(`IP address: ${signer.evidence.ip || 'unknown'}`);
+    line(`User agent: ${(signer.evidence.userAgent || 'unknown').slice(0, 120)}`);
+    if (signer.viewedAt) line(`First viewed: ${signer.viewedAt.toISOString()}`);
+    line(`Consent: ${signer.evidence.consent}`, { gap: 14 });
+  }
+
+  return Buffer.from(await doc.save());
+};
+
+// Everyone has signed: store the signed copy with the lease and activate a pending lease. The
+// request is marked completed last, so a failure part way leaves it pending to be finished again.
+const completeRequest = async (request) => {
+  const bytes = await buildSignedPdf(request);
+  const url = saveUpload('leases', `lease-${request.lease}-signed.pdf`, bytes);
+
+  const lease = await Lease.findById(request.lease);
+  const signedCopy = lease.documents.find(doc =>
+    doc.signatureRequest && doc.signatureRequest.toString() === request._id.toString()
+  );
+  if (signedCopy) {
+    signedCopy.url = url;
+  } else {
+    lease.documents.push({
+      name: `${request.document.name} (signed)`,
+      url,
+      template: request.document.template,
+      templateVersion: request.document.templateVersion,
+      signatureRequest: request._id
+    });
+  }
+  await lease.save();
+
+  request.status = 'completed';
+  request.completedAt = request.completedAt || new Date();
+  request.signedDocument = { url, sha256: sha256(bytes) };
+  await request.save();
+
+  // A renewal waits for the lease before it to end; the expiry job hands over to it
+  const today = startOfDay(new Date());
+  const waitingRenewal = lease.previousLease && startOfDay(lease.startDate) > today;
+  if (lease.status === 'pending' && !waitingRenewal) {
+    try {
+      await lifecycle.transitionLease(lease, 'active', { reason: 'All parties signed the lease agreement' });
+    } catch (error) {
+      if (!error.status) throw error;
+      console.error(`Lease ${lease._id} signed but not activated:`, error.message);
+    }
+  }
+
+  return lease;
+};
+
+// Complete a request once every signer has signed. Claiming completedAt makes sure only one of two
+// signers finishing together builds the signed copy; the claim is handed back if that fails.
+const finishRequest = async (requestId) => {
+  const current = await SignatureRequest.findById(requestId);
+  if (!current || current.status !== 'pending' || !current.signers.every(s => s.status === 'signed')) {
+    return false;
+  }
+
+  const claimed = await SignatureRequest.findOneAndUpdate(
+    { _id: current._id, status: 'pending', completedAt: null },
+    { completedAt: new Date() },
+    { new: true }
+  );
+  if (!claimed) return false;
+
+  try {
+    await completeRequest(claimed);
+  } catch (error) {
+    await SignatureRequest.updateOne({ _id: claimed._id, status: 'pending' }, { completedAt: null });
+    throw error;
+  }
+  return true;
+};
+
+// Retry completing a fully signed request whose completion failed
+const retryCompletion = async (request) => {
+  if (request.status !== 'pending' || !request.signers.every(s => s.status === 'signed')) {
+    throw new ServiceError('Only a fully signed request still pending can be completed');
+  }
+  if (!(await finishRequest(request._id))) {
+    throw new ServiceError('This request is already being completed', 409);
+  }
+  return SignatureRequest.findById(request._id);
+};
+
+// Record a signer's typed or drawn signature with the evidence of how it was given
+const signDocument = async (token, { signatureType, typedName, signatureImage, consent, ip, userAgent }) => {
+  const { request, signer } = await findByToken(token);
+  assertOpen(request, signer);
+
+  if (consent !== true && consent !== 'true') {
+    throw new ServiceError('You must agree to sign electronically');
+  }
+  if (fileHash(request.document.url) !== request.document.sha256) {
+    throw new ServiceError('The document has changed since it was sent for signature', 409);
+  }
+
+  if (signatureType === 'drawn') {
+    const bytes = decodeSignatureImage(signatureImage);
+    signer.signature = {
+      type: 'drawn',
+      text: signer.name,
+      imageUrl: saveUpload('signatures', `${request._id}-${signer._id}.png`, bytes)
+    };
+  } else if (signatureType === 'typed') {
+    const name = String(typedName || '').trim();
+    if (!name) {
+      throw new ServiceError('Type your full name to sign');
+    }
+    signer.signature = { type: 'typed', text: name };
+  } else {
+    throw new ServiceError('signatureType must be typed or drawn');
+  }
+
+  signer.status = 'signed';
+  signer.evidence = { signedAt: new Date(), ip, userAgent, consent: CONSENT_TEXT };
+  await request.save();
+
+  // Re-read so a signature saved at the same moment by another signer is counted
+  await finishRequest(request._id);
+
+  return SignatureRequest.findById(request._id);
+};
+
+const declineDocument = async (token, { reason, ip, userAgent }) => {
+  const { request, signer } = await findByToken(token);
+  assertOpen(request, signer);
+
+  signer.status = 'declined';
+  signer.declineReason = reason || '';
+  signer.evidence = { signedAt: new Date(), ip, userAgent };
+  request.status = 'declined';
+  await request.save();
+  return request;
+};
+
+const cancelSignatureRequest = async (request) => {
+  if (request.status !== 'pending') {
+    throw new ServiceError(`Signature request is already ${request.status}`);
+  }
+  request.status = 'cancelled';
+  await request.save();
+  return request;
+};
+
+module.exports = {
+  CONSENT_TEXT,
+  createSignatureRequest,
+  reissueLink,
+  openSigningLink,
+  signDocument,
+  retryCompletion,
+  declineDocument,
+  cancelSignatureRequest
+};
@@ -0,0 +1,159 @@
+const User = require('../models/User');
+const Lease = require('../models/Lease');
+const ledger = require('./ledger');
+const leaseParties = require('./leaseParties');
+const { RUNNING_STATUSES } = require('./leaseLifecycle');
+const pdf = require('./pdf');
+const { toCsv } = require('./csv');
+const { ServiceError } = require('./errors');
+const { roundAmount, sumAmounts } = require('./money');
+const { DEFAULT_CURRENCY } = require('./currency');
+
+const COMPANY_NAME = process.env.COMPANY_NAME || 'Rental House Management';
+
+const ENTRY_LABELS = {
+  charge: 'Charge',
+  payment: 'Payment',
+  credit: 'Credit',
+  adjustment: 'Adjustment'
+};
+
+const parseDate = (value, label) => {
+  if (!value) return null;
+  const date = new Date(value);
+  if (isNaN(date)) {
+    throw new ServiceError(`Invalid ${label} date`);
+  }
+  return date;
+};
+
+// Account statement for a tenant: opening balance, each charge and payment, closing balance.
+// Entries that don't move the tenant's balance (e.g. deposit refunds) are left out. Charges on
+// leases shared with other tenants are included, with the tenant's share of each running lease.
+const buildTenantStatement = async (tenantId, { from, to } = {}) => {
+  const tenant = await User.findById(tenantId).select('name email phone role');
+  if (!tenant || tenant.role !== 'tenant') {
+    throw new ServiceError('Tenant not found', 404);
+  }
+
+  const start = parseDate(from, 'from');
+  const end = parseDate(to, 'to') || new Date();
+  // A bare date for `to` covers the whole of that day
+  if (to && /^\d{4}-\d{2}-\d{2}$/.test(to)) {
+    end.setUTCHours(23, 59, 59, 999);
+  }
+  if (start && start > end) {
+    throw new ServiceError('from must be before to');
+  }
+
+  const leases = await Lease.find(leaseParties.partyQuery(tenant._id))
+    .select('property tenant parties status monthlyRent currency')
+    .populate('property', 'title');
+  const result = await ledger.getLedger({ tenantId: tenant._id, leaseIds: leases.map(l => l._id) }, { from: start, to: end });
+
+  const responsibility = leases
+    .filter(lease => RUNNING_STATUSES.includes(lease.status))
+    .map(lease => {
+      const party = leaseParties.partyFor(lease, tenant._id);
+      return {
+        lease: lease._id,
+        property: lease.property?.title || '',
+        role: party ? party.role : 'occupant',
+        share: party ? party.share : 100,
+        monthlyRent: leaseParties.amountFor(lease, tenant._id, lease.monthlyRent),
+        currency: lease.currency
+      };
+    });
+
+  // Balances are in the currency the tenant's leases are billed in
+  const currencies = [...new Set(leases.map(lease => lease.currency || DEFAULT_CURRENCY))];
+  const currency = currencies.length === 1 ? currencies[0] : DEFAULT_CURRENCY;
+
+  const lines = result.entries
+    .filter(entry => entry.amount !== 0)
+    .map(entry => ({
+      date: entry.effectiveDate,
+      type: ENTRY_LABELS[entry.entryType] || entry.entryType,
+      description: entry.description,
+      reference: entry.entryType === 'payment'
+        ? entry.payment?.receiptNumber || ''
+        : entry.payment?.invoiceNumber || '',
+      charges: entry.amount > 0 ? roundAmount(entry.amount) : 0,
+      payments: entry.amount < 0 ? roundAmount(-entry.amount) : 0,
+      balance: roundAmount(entry.balance)
+    }));
+
+  return {
+    tenant: { _id: tenant._id, name: tenant.name, email: tenant.email, phone: tenant.phone },
+    from: start,
+    to: end,
+    generatedAt: new Date(),
+    currency,
+    responsibility,
+    openingBalance: roundAmount(result.openingBalance),
+    lines,
+    totals: {
+      charges: sumAmounts(lines.map(line => line.charges)),
+      payments: sumAmounts(lines.map(line => line.payments))
+    },
+    closingBalance: roundAmount(result.closingBalance)
+  };
+};
+
+const isoDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '');
+
+const statementToCsv = (statement) => toCsv([
+  ['Date', 'Type', 'Description', 'Reference', 'Charges', 'Payments', 'Balance'],
+  [isoDate(statement.from), '', 'Opening balance', '', '', '', statement.openingBalance.toFixed(2)],
+  ...statement.lines.map(line => [
+    isoDate(line.date),
+    line.type,
+    line.description,
+    line.reference,
+    line.charges ? line.charges.toFixed(2) : '',
+    line.payments ? line.payments.toFixed(2) : '',
+    line.balance.toFixed(2)
+  ]),
+  [isoDate(statement.to), '', 'Closing balance', '', statement.totals.charges.toFixed(2), statement.totals.payments.toFixed(2), statement.closingBalance.toFixed(2)]
+]);
+
+const renderStatementPdf = (doc, statement) => {
+  pdf.heading(doc, 'ACCOUNT STATEMENT', COMPANY_NAME);
+  pdf.details(doc, [
+    ['Tenant', statement.tenant.name],
+    ['Email', statement.tenant.email],
+    ['Period', `${statement.from ? pdf.formatDate(statement.from) : 'Start of account'} - ${pdf.formatDate(statement.to)}`],
+    ['Generated', pdf.formatDate(statement.generatedAt)],
+    ...statement.responsibility.map(item => [
+      item.role === 'guarantor' ? 'Guarantor' : 'Rent share',
+      `${item.property}: ${item.share}% (${pdf.formatCurrency(item.monthlyRent, item.currency)} per month)`
+    ])
+  ]);
+  pdf.details(doc, [['Opening balance', pdf.formatCurrency(statement.openingBalance, statement.currency)]]);
+  pdf.table(doc, [
+    { header: 'Date', width: 65 },
+    { header: 'Description', width: 165 },
+    { header: 'Reference', width: 85 },
+    { header: 'Charges', width: 65, align: 'right' },
+    { header: 'Payments', width: 65, align: 'right' },
+    { header: 'Balance', width: 67, align: 'right' }
+  ], statement.lines.map(line => [
+    isoDate(line.date),
+    line.description,
+    line.reference,
+    line.charges ? pdf.formatCurrency(line.charges, statement.currency) : '',
+    line.payments ? pdf.formatCurrency(line.payments, statement.currency) : '',
+    pdf.formatCurrency(line.balance, statement.currency)
+  ]));
+  pdf.details(doc, [
+    ['Total charges', pdf.formatCurrency(statement.totals.charges, statement.currency)],
+    ['Total payments', pdf.formatCurrency(statement.totals.payments, statement.currency)],
+    ['Closing balance', pdf.formatCurrency(statement.closingBalance, statement.currency)]
+  ]);
+};
+
+module.exports = {
+  buildTenantStatement,
+  statementToCsv,
+  renderStatementPdf
+};